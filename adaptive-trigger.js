@@ -0,0 +1,283 @@
+// Machinor Roundtable - Adaptive Plot Triggering from Scene Signals
+
+/**
+ * When a new plot is generated
+ * fixed: every N turns (the injection frequency)
+ * adaptive: when the scene stagnates or reaches a natural break, between a minimum gap and the frequency
+ * @type {string[]}
+ */
+export const TRIGGER_MODES = ['fixed', 'adaptive'];
+
+// Messages scored for stagnation
+const SIGNAL_WINDOW = 8;
+// Average message length (characters) that counts as fully short / not short at all
+const SHORT_MESSAGE_LENGTH = 120;
+const LONG_MESSAGE_LENGTH = 600;
+// Word overlap between consecutive AI replies that counts as fully repetitive
+const REPETITIVE_OVERLAP = 0.5;
+// New names in the recent messages that count as a fresh scene
+const FRESH_ENTITY_COUNT = 3;
+// Messages in one place before the location counts as fully stale
+const STALE_LOCATION_MESSAGES = 10;
+// How far back the current location is traced
+const LOCATION_LOOKBACK = 30;
+
+// Weights of the stagnation signals; they sum to 1
+const SIGNAL_WEIGHTS = {
+    repetition: 0.35,
+    shortExchanges: 0.2,
+    noNewEntities: 0.2,
+    sameLocation: 0.25
+};
+
+const SIGNAL_LABELS = {
+    repetition: 'Repetitive replies',
+    shortExchanges: 'Short exchanges',
+    noNewEntities: 'No new names',
+    sameLocation: 'Same location',
+    sceneBreak: 'Scene break'
+};
+
+// Score of a natural scene break: an explicit divider or time skip, or a move to a new place
+const SCENE_BREAK_SCORE = 1;
+const LOCATION_CHANGE_SCORE = 0.75;
+
+const SCENE_DIVIDER = /^\s*(\*\s*){3,}$|^\s*([-~=#_]\s*){3,}$/m;
+const TIME_SKIP = /\b(later that (day|night|evening|morning)|the next (morning|day|evening|night)|the following (morning|day|evening|night)|(hours|days|weeks|months) later|some time later|meanwhile|time skip)\b/i;
+
+// Place nouns used to follow where the scene is set
+const LOCATION_NOUNS = [
+    'tavern', 'inn', 'bar', 'pub', 'cafe', 'restaurant', 'kitchen', 'bedroom', 'bathroom', 'library', 'study',
+    'office', 'hall', 'hallway', 'corridor', 'room', 'chamber', 'cellar', 'basement', 'attic', 'garden', 'courtyard',
+    'yard', 'street', 'alley', 'market', 'square', 'shop', 'store', 'forest', 'woods', 'clearing', 'cave', 'mountain',
+    'river', 'lake', 'beach', 'shore', 'sea', 'ship', 'deck', 'harbor', 'dock', 'castle', 'palace', 'throne room',
+    'temple', 'church', 'shrine', 'camp', 'tent', 'village', 'town', 'city', 'road', 'bridge', 'field', 'farm',
+    'stable', 'barn', 'dungeon', 'prison', 'cell', 'tower', 'school', 'classroom', 'hospital', 'station', 'car',
+    'train', 'apartment', 'house', 'home', 'mansion', 'park', 'rooftop', 'roof', 'lab', 'laboratory', 'arena'
+];
+const LOCATION_PATTERN = new RegExp(`\\b(?:in|into|inside|at|to|toward|towards|through|onto|enter(?:s|ed)?|reach(?:es|ed)?)\\s+(?:the|a|an|his|her|their|my|your|our)\\s+(?:[a-z]+\\s+)?(${LOCATION_NOUNS.join('|')})\\b`, 'gi');
+
+// Capitalized word that does not start a sentence: a likely name
+const NAME_PATTERN = /(^|[^.!?"“*\s])\s+([A-Z][a-z]{2,})/g;
+
+/**
+ * @typedef {Object} SceneSignal
+ * @property {string} key - Signal key
+ * @property {string} label - Display name
+ * @property {number} score - Strength, 0-1
+ * @property {string} detail - What was measured
+ */
+
+/**
+ * @typedef {Object} SceneAnalysis
+ * @property {number} score - Overall trigger score, 0-1 (the stronger of stagnation and a scene break)
+ * @property {number} stagnation - Weighted stagnation score, 0-1
+ * @property {Array<SceneSignal>} signals - Individual signals, scene break last
+ */
+
+/**
+ * @typedef {Object} TriggerDecision
+ * @property {boolean} fire - Whether a new plot should be generated
+ * @property {string} mode - One of TRIGGER_MODES
+ * @property {string} reason - Why the trigger fired or held
+ * @property {number} turns - Turns since the last new plot
+ * @property {SceneAnalysis|null} analysis - Scene signals (adaptive mode only)
+ */
+
+/**
+ * Clamp a value to 0-1
+ * @param {number} value - Value
+ * @returns {number} Clamped value
+ */
+function clamp01(value) {
+    return Math.min(1, Math.max(0, Number.isFinite(value) ? value : 0));
+}
+
+/**
+ * Get the lowercase content words of a text
+ * @param {string} text - Text
+ * @returns {Set<string>} Words of four letters or more
+ */
+function contentWords(text) {
+    return new Set(String(text).toLowerCase().match(/[a-z']{4,}/g) ?? []);
+}
+
+/**
+ * Get the likely names in a text
+ * @param {string} text - Text
+ * @returns {Set<string>} Capitalized words that don't start a sentence
+ */
+function extractNames(text) {
+    const names = new Set();
+    for (const match of String(text).matchAll(NAME_PATTERN)) {
+        names.add(match[2]);
+    }
+    return names;
+}
+
+/**
+ * Get the last place a message mentions
+ * @param {string} text - Message text
+ * @returns {string|null} Place noun, or null if none is mentioned
+ */
+function extractLocation(text) {
+    let location = null;
+    for (const match of String(text).matchAll(LOCATION_PATTERN)) {
+        location = match[1].toLowerCase();
+    }
+    return location;
+}
+
+/**
+ * Share of words two texts have in common (Jaccard overlap)
+ * @param {Set<string>} a - Words
+ * @param {Set<string>} b - Words
+ * @returns {number} Overlap, 0-1
+ */
+function overlap(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(word => { if (b.has(word)) shared++; });
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Score the recent chat for stagnation and natural scene breaks
+ * @param {Array<Object>} chat - SillyTavern chat
+ * @returns {SceneAnalysis} Analysis
+ */
+export function analyzeScene(chat) {
+    const messages = (Array.isArray(chat) ? chat : [])
+        .filter(message => message && !message.is_system && typeof message.mes === 'string');
+    const recent = messages.slice(-SIGNAL_WINDOW);
+
+    // Repetition: how much each AI reply reuses the words of the one before it
+    const replies = recent.filter(message => !message.is_user).map(message => contentWords(message.mes));
+    const overlaps = replies.slice(1).map((words, i) => overlap(replies[i], words));
+    const averageOverlap = overlaps.length ? overlaps.reduce((sum, value) => sum + value, 0) / overlaps.length : 0;
+
+    // Short exchanges: the average length of the recent messages
+    const averageLength = recent.length ? recent.reduce((sum, message) => sum + message.mes.length, 0) / recent.length : LONG_MESSAGE_LENGTH;
+
+    // New entities: names in the newer half of the window that the chat hadn't mentioned before
+    const splitAt = messages.length - Math.ceil(recent.length / 2);
+    const knownNames = new Set(messages.slice(0, splitAt).flatMap(message => [...extractNames(message.mes)]));
+    const newNames = new Set(messages.slice(splitAt).flatMap(message => [...extractNames(message.mes)]).filter(name => !knownNames.has(name)));
+
+    // Location: how many messages the scene has stayed in the last place mentioned
+    const lookback = messages.slice(-LOCATION_LOOKBACK);
+    let currentLocation = null;
+    let messagesAtLocation = 0;
+    for (let i = lookback.length - 1; i >= 0; i--) {
+        const location = extractLocation(lookback[i].mes);
+        if (location && currentLocation && location !== currentLocation) break;
+        currentLocation = currentLocation ?? location;
+        messagesAtLocation++;
+    }
+
+    // Scene break: the latest message closes a scene or moves somewhere new
+    const latest = messages[messages.length - 1]?.mes ?? '';
+    let previousLocation = null;
+    for (let i = messages.length - 2; i >= Math.max(0, messages.length - LOCATION_LOOKBACK) && !previousLocation; i--) {
+        previousLocation = extractLocation(messages[i].mes);
+    }
+    const latestLocation = extractLocation(latest);
+    let sceneBreak = { score: 0, detail: 'None' };
+    if (SCENE_DIVIDER.test(latest) || TIME_SKIP.test(latest)) {
+        sceneBreak = { score: SCENE_BREAK_SCORE, detail: 'Divider or time skip in the latest message' };
+    } else if (latestLocation && previousLocation && latestLocation !== previousLocation) {
+        sceneBreak = { score: LOCATION_CHANGE_SCORE, detail: `Moved from the ${previousLocation} to the ${latestLocation}` };
+    }
+
+    const signals = [
+        {
+            key: 'repetition',
+            score: clamp01(averageOverlap / REPETITIVE_OVERLAP),
+            detail: `${Math.round(averageOverlap * 100)}% word overlap between replies`
+        },
+        {
+            key: 'shortExchanges',
+            score: clamp01((LONG_MESSAGE_LENGTH - averageLength) / (LONG_MESSAGE_LENGTH - SHORT_MESSAGE_LENGTH)),
+            detail: `${Math.round(averageLength)} characters per message`
+        },
+        {
+            key: 'noNewEntities',
+            // Too little chat to tell new names from old ones
+            score: messages.length < SIGNAL_WINDOW ? 0 : clamp01(1 - newNames.size / FRESH_ENTITY_COUNT),
+            detail: newNames.size ? `New: ${[...newNames].slice(0, FRESH_ENTITY_COUNT).join(', ')}` : 'No new names'
+        },
+        {
+            key: 'sameLocation',
+            score: currentLocation ? clamp01(messagesAtLocation / STALE_LOCATION_MESSAGES) : 0,
+            detail: currentLocation ? `${messagesAtLocation} messages in the ${currentLocation}` : 'No location mentioned'
+        }
+    ].map(signal => ({ ...signal, label: SIGNAL_LABELS[signal.key] }));
+
+    const stagnation = signals.reduce((sum, signal) => sum + signal.score * SIGNAL_WEIGHTS[signal.key], 0);
+    signals.push({ key: 'sceneBreak', label: SIGNAL_LABELS.sceneBreak, ...sceneBreak });
+
+    return {
+        score: Math.max(stagnation, sceneBreak.score),
+        stagnation,
+        signals
+    };
+}
+
+/**
+ * Describe what drove a scene score
+ * @param {SceneAnalysis} analysis - Analysis
+ * @returns {string} Strongest signals, e.g. "Scene break (Moved from the tavern to the street)"
+ */
+export function describeAnalysis(analysis) {
+    const sceneBreak = analysis.signals.find(signal => signal.key === 'sceneBreak');
+    if (sceneBreak && sceneBreak.score >= analysis.stagnation) {
+        return `${sceneBreak.label} (${sceneBreak.detail})`;
+    }
+
+    const strongest = analysis.signals
+        .filter(signal => signal.key !== 'sceneBreak' && signal.score >= 0.5)
+        .sort((a, b) => b.score * SIGNAL_WEIGHTS[b.key] - a.score * SIGNAL_WEIGHTS[a.key])
+        .slice(0, 2)
+        .map(signal => `${signal.label.toLowerCase()} (${signal.detail})`);
+    return `Scene stagnating${strongest.length ? `: ${strongest.join(', ')}` : ''}`;
+}
+
+/**
+ * Decide whether a new plot is due
+ * In adaptive mode the frequency is the most turns a plot is kept, and minTurns the fewest.
+ * @param {Object} options - Trigger inputs
+ * @param {string} options.mode - One of TRIGGER_MODES
+ * @param {number} options.turns - Turns since the last new plot
+ * @param {number} options.frequency - Injection frequency
+ * @param {number} [options.minTurns=1] - Fewest turns between plots (adaptive mode)
+ * @param {number} [options.threshold=0.6] - Score that fires the trigger, 0-1 (adaptive mode)
+ * @param {Array<Object>} [options.chat=[]] - SillyTavern chat (adaptive mode)
+ * @returns {TriggerDecision} Decision
+ */
+export function evaluateTrigger({ mode, turns, frequency, minTurns = 1, threshold = 0.6, chat = [] }) {
+    if (mode !== 'adaptive') {
+        const fire = frequency <= 1 || turns >= frequency;
+        return {
+            fire,
+            mode: 'fixed',
+            reason: fire ? `Every ${frequency} turn${frequency === 1 ? '' : 's'} (${turns} since the last plot)` : `${turns} of ${frequency} turns`,
+            turns,
+            analysis: null
+        };
+    }
+
+    const analysis = analyzeScene(chat);
+    const percent = value => `${Math.round(value * 100)}%`;
+    const decide = (fire, reason) => ({ fire, mode: 'adaptive', reason, turns, analysis });
+
+    if (turns >= frequency) {
+        return decide(true, `Reached the ${frequency}-turn maximum (score ${percent(analysis.score)})`);
+    }
+    if (turns < Math.min(minTurns, frequency)) {
+        return decide(false, `Waiting for the ${minTurns}-turn minimum (${turns} so far)`);
+    }
+    if (analysis.score >= threshold) {
+        return decide(true, `${describeAnalysis(analysis)} - score ${percent(analysis.score)} ≥ ${percent(threshold)}`);
+    }
+    return decide(false, `Score ${percent(analysis.score)} below ${percent(threshold)}`);
+}
@@ -0,0 +1,132 @@
+// Machinor Roundtable - Weighted Arc Progress & Pacing
+
+/**
+ * How the current phase is keeping to its turn target
+ * @type {Object<string, {label: string}>}
+ */
+export const PACING_STATES = {
+    on_track: { label: 'On pace' },
+    rushed: { label: 'Rushed' },
+    overrun: { label: 'Overrunning' }
+};
+
+// A phase running this far past its target gets told to wrap up
+const OVERRUN_RATIO = 1.5;
+// A phase that ended before this share of its target was rushed; the next one is told to slow down until it has run the same share of its own
+const RUSH_RATIO = 0.5;
+
+/**
+ * @typedef {Object} ArcSegment
+ * @property {string} name - Phase name
+ * @property {number} share - Share of the arc, in percent
+ * @property {number} targetTurns - Replies the phase should take
+ * @property {number} fill - How much of the phase is done, 0-1
+ * @property {string} state - 'completed', 'current' or 'upcoming'
+ */
+
+/**
+ * @typedef {Object} PacingStatus
+ * @property {string} state - One of PACING_STATES
+ * @property {number} phaseTurns - Replies since the phase started
+ * @property {number} targetTurns - Replies the phase should take
+ * @property {string|null} directive - Pacing instruction for the plot prompt (null when on pace)
+ */
+
+/**
+ * Total weight of a template's phases
+ * Weights are percentages in validated templates, but older ones are normalised rather than trusted.
+ * @param {Array<Object>} phases - Template phases
+ * @returns {number} Total weight (at least 1)
+ */
+function totalWeight(phases) {
+    return Math.max(1, phases.reduce((sum, phase) => sum + (Number(phase.weight) || 0), 0));
+}
+
+/**
+ * Split an arc's turn budget across its phases by weight
+ * @param {Array<Object>} phases - Template phases
+ * @param {number} arcLength - Replies the whole arc should take
+ * @returns {number[]} Target replies per phase (at least 1 each)
+ */
+export function getPhaseTargets(phases, arcLength) {
+    const total = totalWeight(phases);
+    return phases.map(phase => Math.max(1, Math.round((Number(phase.weight) || 0) / total * arcLength)));
+}
+
+/**
+ * Split an arc into weighted segments for the progress bar
+ * The current phase fills with the replies spent in it and stops at its end until the phase actually changes.
+ * @param {Object|null} arc - NarrativeArcManager.currentArc
+ * @param {number} arcLength - Replies the whole arc should take
+ * @returns {ArcSegment[]} Segments in story order (empty without an active arc)
+ */
+export function getArcSegments(arc, arcLength) {
+    const phases = arc?.template?.phases ?? [];
+    const total = totalWeight(phases);
+    const targets = getPhaseTargets(phases, arcLength);
+
+    return phases.map((phase, index) => {
+        const state = index < arc.phaseIndex ? 'completed' : index === arc.phaseIndex ? 'current' : 'upcoming';
+        return {
+            name: phase.name,
+            share: (Number(phase.weight) || 0) / total * 100,
+            targetTurns: targets[index],
+            fill: state === 'completed' ? 1 : state === 'current' ? Math.min(1, (arc.phaseTurns ?? 0) / targets[index]) : 0,
+            state
+        };
+    });
+}
+
+/**
+ * Arc progress from the phase weights and the replies spent in the current phase
+ * @param {Object|null} arc - NarrativeArcManager.currentArc
+ * @param {number} arcLength - Replies the whole arc should take
+ * @returns {number} Progress percentage (0-100)
+ */
+export function calculateWeightedProgress(arc, arcLength) {
+    const progress = getArcSegments(arc, arcLength).reduce((sum, segment) => sum + segment.share * segment.fill, 0);
+    return Math.round(progress);
+}
+
+/**
+ * Compare the current phase with its turn target
+ * @param {Object|null} arc - NarrativeArcManager.currentArc
+ * @param {Array<Object>} milestones - storyProgress.milestones of the arc
+ * @param {number} arcLength - Replies the whole arc should take
+ * @returns {PacingStatus|null} Status, or null without an active arc
+ */
+export function getPacingStatus(arc, milestones, arcLength) {
+    const phases = arc?.template?.phases ?? [];
+    const phase = phases[arc?.phaseIndex];
+    if (!phase) return null;
+
+    const targets = getPhaseTargets(phases, arcLength);
+    const targetTurns = targets[arc.phaseIndex];
+    const phaseTurns = arc.phaseTurns ?? 0;
+    const phaseLabel = phase.name.replace(/_/g, ' ');
+
+    if (phaseTurns > targetTurns * OVERRUN_RATIO) {
+        const exit = phase.exit ? ` Steer toward its end: ${phase.exit}.` : ' Steer toward its end.';
+        return {
+            state: 'overrun',
+            phaseTurns,
+            targetTurns,
+            directive: `The ${phaseLabel} phase has run ${phaseTurns} turns against a target of ${targetTurns}.${exit}`
+        };
+    }
+
+    // Milestones written before turns were recorded cannot tell whether the last phase was rushed
+    const previous = milestones?.at(-1);
+    const previousIndex = phases.findIndex(candidate => candidate.name === previous?.fromPhase);
+    if (typeof previous?.turns === 'number' && previousIndex >= 0 && previous.toPhase === phase.name &&
+        previous.turns < targets[previousIndex] * RUSH_RATIO && phaseTurns < targetTurns * RUSH_RATIO) {
+        return {
+            state: 'rushed',
+            phaseTurns,
+            targetTurns,
+            directive: `The ${previous.fromPhase.replace(/_/g, ' ')} phase ended after ${previous.turns} of ${targets[previousIndex]} planned turns. Slow down and let the ${phaseLabel} phase develop before moving on.`
+        };
+    }
+
+    return { state: 'on_track', phaseTurns, targetTurns, directive: null };
+}
@@ -0,0 +1,338 @@
+// Machinor Roundtable - Custom Arc Templates
+import { logger } from "./logger.js";
+
+/**
+ * Phase weights are percentages of the arc and must add up to this
+ * @type {number}
+ */
+export const TOTAL_PHASE_WEIGHT = 100;
+
+/**
+ * Version of the arc template export file
+ * @type {number}
+ */
+export const ARC_TEMPLATE_EXPORT_VERSION = 1;
+
+const MIN_PHASES = 2;
+const MAX_PHASES = 12;
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_PROMPT_LENGTH = 500;
+const MAX_CUES = 20;
+// Phase and branch option names are keys; formatBranchName turns the underscores back into spaces
+const KEY_PATTERN = /^[a-z0-9]+(?:_[a-z0-9]+)*$/;
+// Keys saveTemplate generates; imported keys must look like one
+const CUSTOM_KEY_PATTERN = /^arc_[a-z0-9_]+$/;
+
+/**
+ * @typedef {Object} ArcTemplatePhase
+ * @property {string} name - Phase key (lowercase words joined by underscores)
+ * @property {string} description - What the phase is about
+ * @property {number} weight - Share of the arc, in percent
+ * @property {string} [prompt] - Plot direction for the phase, sent with the arc context ({{char}} is the character name)
+ * @property {string} [exit] - What has to happen before the phase is over
+ * @property {string[]} [cues] - Words in the replies that suggest the phase is over
+ */
+
+/**
+ * @typedef {Object} ArcTemplate
+ * @property {string} key - Template key used by NarrativeArcManager.arcTemplates
+ * @property {string} name - Display name
+ * @property {ArcTemplatePhase[]} phases - Phases in story order
+ * @property {Array<{from: string, options: string[]}>} branching - Branch options offered during a phase
+ * @property {boolean} [custom] - True for user templates
+ * @property {number} [updatedAt] - When a user template was last saved
+ */
+
+/**
+ * @typedef {Object} TemplateValidationError
+ * @property {string} field - Field path (e.g. 'phases[2].name' or 'branching[0].from')
+ * @property {string} code - Machine-readable reason (not_object, wrong_type, missing_field, too_long, duplicate_phase, bad_key, unknown_phase, bad_weight, weight_total, phase_count)
+ * @property {string} message - Human-readable description
+ */
+
+/**
+ * Turn free text into a phase or branch key ('Getting to Know' -> 'getting_to_know')
+ * @param {string} text - Text typed by the user
+ * @returns {string} Key
+ */
+export function toTemplateKey(text) {
+    return String(text ?? '')
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Check an arc template against the schema
+ * Phase names must be unique keys, branches must start from a phase that exists and the
+ * phase weights must add up to TOTAL_PHASE_WEIGHT.
+ * @param {any} template - Template to check
+ * @returns {{valid: boolean, errors: TemplateValidationError[]}} Result
+ */
+export function validateArcTemplate(template) {
+    const errors = [];
+    const fail = (field, code, message) => errors.push({ field, code, message });
+
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+        fail('template', 'not_object', 'Template must be an object');
+        return { valid: false, errors };
+    }
+
+    const name = typeof template.name === 'string' ? template.name.trim() : '';
+    if (!name) fail('name', 'missing_field', 'Template needs a name');
+    else if (name.length > MAX_NAME_LENGTH) fail('name', 'too_long', `Template name is longer than ${MAX_NAME_LENGTH} characters`);
+
+    const phases = Array.isArray(template.phases) ? template.phases : [];
+    if (phases.length < MIN_PHASES || phases.length > MAX_PHASES) {
+        fail('phases', 'phase_count', `A template needs ${MIN_PHASES} to ${MAX_PHASES} phases (has ${phases.length})`);
+    }
+
+    const seen = new Set();
+    let totalWeight = 0;
+    phases.forEach((phase, index) => {
+        const field = `phases[${index}]`;
+        if (!phase || typeof phase !== 'object') {
+            fail(field, 'not_object', `Phase ${index + 1} must be an object`);
+            return;
+        }
+
+        const label = phase.name || `Phase ${index + 1}`;
+        if (typeof phase.name !== 'string' || !phase.name) {
+            fail(`${field}.name`, 'missing_field', `Phase ${index + 1} needs a name`);
+        } else if (!KEY_PATTERN.test(phase.name)) {
+            fail(`${field}.name`, 'bad_key', `Phase name "${phase.name}" may only use lowercase letters, digits and single underscores`);
+        } else if (seen.has(phase.name)) {
+            fail(`${field}.name`, 'duplicate_phase', `Phase name "${phase.name}" is used more than once`);
+        } else {
+            seen.add(phase.name);
+        }
+
+        if (typeof phase.description !== 'string' || !phase.description.trim()) {
+            fail(`${field}.description`, 'missing_field', `Phase "${label}" needs a description`);
+        } else if (phase.description.length > MAX_DESCRIPTION_LENGTH) {
+            fail(`${field}.description`, 'too_long', `Phase "${label}" description is longer than ${MAX_DESCRIPTION_LENGTH} characters`);
+        }
+
+        if (!Number.isInteger(phase.weight) || phase.weight < 1) {
+            fail(`${field}.weight`, 'bad_weight', `Phase "${label}" weight must be a whole number of at least 1`);
+        } else {
+            totalWeight += phase.weight;
+        }
+
+        for (const key of ['prompt', 'exit']) {
+            if (phase[key] === undefined || phase[key] === '') continue;
+            if (typeof phase[key] !== 'string') {
+                fail(`${field}.${key}`, 'wrong_type', `Phase "${label}" ${key} must be text`);
+            } else if (phase[key].length > MAX_PROMPT_LENGTH) {
+                fail(`${field}.${key}`, 'too_long', `Phase "${label}" ${key} is longer than ${MAX_PROMPT_LENGTH} characters`);
+            }
+        }
+
+        if (phase.cues !== undefined && (!Array.isArray(phase.cues) || phase.cues.length > MAX_CUES ||
+            phase.cues.some(cue => typeof cue !== 'string' || !cue.trim()))) {
+            fail(`${field}.cues`, 'wrong_type', `Phase "${label}" cues must be up to ${MAX_CUES} words or phrases`);
+        }
+    });
+
+    if (phases.length > 0 && !errors.some(error => error.code === 'bad_weight') && totalWeight !== TOTAL_PHASE_WEIGHT) {
+        fail('phases', 'weight_total', `Phase weights add up to ${totalWeight}, not ${TOTAL_PHASE_WEIGHT}`);
+    }
+
+    const branching = template.branching ?? [];
+    if (!Array.isArray(branching)) {
+        fail('branching', 'wrong_type', 'Branching must be a list');
+    } else {
+        branching.forEach((branch, index) => {
+            const field = `branching[${index}]`;
+            if (!branch || typeof branch !== 'object') {
+                fail(field, 'not_object', `Branch ${index + 1} must be an object`);
+                return;
+            }
+            if (!seen.has(branch.from)) {
+                fail(`${field}.from`, 'unknown_phase', `Branch ${index + 1} starts from "${branch.from ?? ''}", which is not a phase of this template`);
+            }
+            if (!Array.isArray(branch.options) || branch.options.length === 0) {
+                fail(`${field}.options`, 'missing_field', `Branch ${index + 1} needs at least one option`);
+            } else if (branch.options.some(option => typeof option !== 'string' || !KEY_PATTERN.test(option))) {
+                fail(`${field}.options`, 'bad_key', `Branch ${index + 1} options may only use lowercase letters, digits and single underscores`);
+            }
+        });
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Copy only the known template fields, dropping anything else an imported file carries
+ * @param {Object} template - Valid template
+ * @returns {ArcTemplate} Clean template (without key)
+ */
+function cleanTemplate(template) {
+    return {
+        name: template.name.trim(),
+        phases: template.phases.map(phase => ({
+            name: phase.name,
+            description: phase.description.trim(),
+            weight: phase.weight,
+            ...(phase.prompt ? { prompt: phase.prompt.trim() } : {}),
+            ...(phase.exit ? { exit: phase.exit.trim() } : {}),
+            cues: (phase.cues ?? []).map(cue => cue.trim())
+        })),
+        branching: (template.branching ?? []).map(branch => ({ from: branch.from, options: [...branch.options] }))
+    };
+}
+
+/**
+ * Serialize arc templates for export
+ * @param {ArcTemplate[]} templates - Templates to export
+ * @returns {string} Pretty-printed JSON
+ */
+export function serializeArcTemplates(templates) {
+    return JSON.stringify({
+        extension: 'machinor-roundtable',
+        type: 'arc-templates',
+        version: ARC_TEMPLATE_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        templates: templates.map(template => ({ key: template.key, ...cleanTemplate(template) }))
+    }, null, 2);
+}
+
+/**
+ * Read an arc template export file
+ * A single template object is accepted as well as a full export.
+ * @param {string} json - File contents
+ * @returns {{templates: Array<Object>, errors: string[]}} Valid templates (with their exported key, if any) and why the others were rejected
+ */
+export function parseArcTemplateFile(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        return { templates: [], errors: ['The file is not valid JSON'] };
+    }
+
+    if (data?.type === 'arc-templates' && data.version > ARC_TEMPLATE_EXPORT_VERSION) {
+        return { templates: [], errors: [`The file was exported by a newer version (format ${data.version})`] };
+    }
+    const entries = Array.isArray(data?.templates) ? data.templates : [data];
+
+    const templates = [];
+    const errors = [];
+    entries.forEach((entry, index) => {
+        const { valid, errors: templateErrors } = validateArcTemplate(entry);
+        if (valid) {
+            templates.push({ key: typeof entry.key === 'string' ? entry.key : null, ...cleanTemplate(entry) });
+        } else {
+            errors.push(`${entry?.name || `Template ${index + 1}`}: ${templateErrors[0].message}`);
+        }
+    });
+    return { templates, errors };
+}
+
+/**
+ * Arc Template Manager
+ * Stores user arc templates in the extension settings. Built-in templates live in
+ * NarrativeArcManager and are read-only; duplicate one to change it.
+ */
+export class ArcTemplateManager {
+    /**
+     * @param {Object<string, ArcTemplate>} builtinTemplates - NarrativeArcManager built-in templates, by key
+     */
+    constructor(builtinTemplates) {
+        /** @type {Object<string, ArcTemplate>} */
+        this.builtinTemplates = builtinTemplates;
+    }
+
+    /**
+     * Get the extension settings object
+     * @returns {Object} Settings (empty object if unavailable)
+     */
+    getSettings() {
+        return window.extension_settings?.['machinor-roundtable'] || window.machinorRoundtable?.settings || {};
+    }
+
+    /**
+     * Get the user templates
+     * @returns {Object<string, ArcTemplate>} Templates by key
+     */
+    getCustomTemplates() {
+        return this.getSettings().customArcTemplates || {};
+    }
+
+    /**
+     * List all templates, built-in first, then user templates by name
+     * @returns {Array<ArcTemplate & {readOnly: boolean}>} Templates
+     */
+    getTemplates() {
+        const builtin = Object.entries(this.builtinTemplates).map(([key, template]) => ({ ...template, key, readOnly: true }));
+        const custom = Object.values(this.getCustomTemplates())
+            .map(template => ({ ...template, readOnly: false }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        return [...builtin, ...custom];
+    }
+
+    /**
+     * Look up a template by key
+     * @param {string|null} key - Template key
+     * @returns {(ArcTemplate & {readOnly: boolean})|null} Template or null if not found
+     */
+    getTemplate(key) {
+        return this.getTemplates().find(template => template.key === key) ?? null;
+    }
+
+    /**
+     * Create or update a user template
+     * @param {Object} template - Template data (omit key to create)
+     * @returns {ArcTemplate} Saved template
+     * @throws {Error} If the template is built-in or fails validation
+     */
+    saveTemplate(template) {
+        if (template?.key && this.builtinTemplates[template.key]) {
+            throw new Error('Built-in arc templates are read-only');
+        }
+        const { valid, errors } = validateArcTemplate(template);
+        if (!valid) {
+            throw new Error(errors.map(error => error.message).join('; '));
+        }
+
+        const settings = this.getSettings();
+        settings.customArcTemplates = settings.customArcTemplates || {};
+
+        const key = template.key || `arc_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+        const saved = { key, ...cleanTemplate(template), custom: true, updatedAt: Date.now() };
+        settings.customArcTemplates[key] = saved;
+        logger.log(`Saved arc template "${saved.name}" (${key})`);
+        return saved;
+    }
+
+    /**
+     * Delete a user template
+     * Chats running the arc keep it until they are reloaded.
+     * @param {string} key - Template key
+     * @returns {boolean} True if the template was deleted
+     */
+    deleteTemplate(key) {
+        const settings = this.getSettings();
+        if (!settings.customArcTemplates?.[key]) return false;
+        delete settings.customArcTemplates[key];
+        return true;
+    }
+
+    /**
+     * Import templates from an export file
+     * Templates that keep their exported key replace the user template with that key, so a
+     * re-shared template updates in place; ones exported from a built-in (or with a malformed key) get a new key.
+     * @param {string} json - File contents
+     * @returns {{imported: ArcTemplate[], errors: string[]}} Saved templates and why the others were rejected
+     */
+    importTemplates(json) {
+        const { templates, errors } = parseArcTemplateFile(json);
+        const imported = templates.map(({ key, ...template }) =>
+            this.saveTemplate({ ...template, key: CUSTOM_KEY_PATTERN.test(key ?? '') ? key : null })
+        );
+        logger.log(`Imported ${imported.length} arc template(s), rejected ${errors.length}`);
+        return { imported, errors };
+    }
+}
@@ -1,7 +1,26 @@
 import { getContext } from "../../../extensions.js";
 import { event_types, eventSource } from "../../../../script.js";
 import { logger } from "./logger.js";
-import { createErrorHandler } from './security-utils.js';
+import { createErrorHandler, DEFAULT_INJECTION_SIZE_LIMIT, DEFAULT_ADAPTIVE_THRESHOLD, DEFAULT_PHASE_AUTO_THRESHOLD } from './security-utils.js';
+import { PROMPT_SIGNATURE } from './prompt-templates.js';
+import { getStyleGuidance, STYLE_PROFILES } from './plot-style.js';
+import { JOB_PRIORITY } from './generation-queue.js';
+import { getPlacement, insertIntoMessages, insertIntoText } from './injection-placement.js';
+import { detectInstructFormat } from './instruct-format.js';
+import { getGuidanceTemplate, renderGuidance } from './guidance-format.js';
+import { createLifecycle, getLifetimeRemaining, isExpired, buildReminder } from './plot-lifecycle.js';
+import { composeInjection } from './plot-threads.js';
+import { getGenerationPolicy, normalizeGenerationType } from './generation-policy.js';
+import { getMessageMetadata, setMessageMetadata, renderMessageBadge } from './message-metadata.js';
+import { createAuditEntry } from './injection-audit.js';
+import { evaluateTrigger } from './adaptive-trigger.js';
+import { isPhaseCheckDue, getEvidenceMessages, scorePhaseExit, buildProposal, shouldAutoApply } from './phase-transitions.js';
+
+// Chat changes that make a pre-generated plot stale
+const CHAT_EDIT_EVENTS = ['MESSAGE_EDITED', 'MESSAGE_SWIPED', 'MESSAGE_DELETED'];
+
+// Generation types that replace or extend the last reply rather than add a new one
+const REWORK_TYPES = ['swipe', 'regenerate', 'continue'];
 
 /**
  * ChatInjector - Handles injection of plot context into SillyTavern prompts
@@ -28,6 +47,30 @@ export class ChatInjector {
         
         /** @type {Function|null} */
         this.eventListenerRef = null;
+        /** @type {Function|null} */
+        this.messageReceivedRef = null;
+        /** @type {boolean} */
+        this.isCheckingResolution = false;
+        /** @type {boolean} */
+        this.isCheckingPhase = false;
+        /** @type {Function|null} */
+        this.chatEditedRef = null;
+        /** @type {Promise<void>|null} Background generation of the next plot, while it runs */
+        this.pendingPregeneration = null;
+        /** @type {Function|null} */
+        this.generationStartedRef = null;
+        /** @type {string} Type of the generation in progress, from GENERATION_STARTED */
+        this.generationType = 'normal';
+        /** @type {import('./message-metadata.js').MessagePlotMetadata|null} Metadata of the reply being swiped, regenerated or continued */
+        this.replacedMetadata = null;
+        /** @type {import('./message-metadata.js').MessagePlotMetadata|null} Metadata of the generation in progress, stored on its reply */
+        this.pendingMetadata = null;
+        /** @type {{chatId: string, messageId: number, metadata: import('./message-metadata.js').MessagePlotMetadata}|null} Metadata stored on the latest reply */
+        this.lastReplyMetadata = null;
+        /** @type {Function|null} */
+        this.messageRenderedRef = null;
+        /** @type {import('./adaptive-trigger.js').TriggerDecision|null} Latest trigger check, shown in the sidebar when it produces a plot */
+        this.lastTriggerDecision = null;
 
         logger.log('ChatInjector created');
     }
@@ -57,6 +100,32 @@ export class ChatInjector {
             this.eventListenerRef = (data, dryRun) => this.handleGenerationEvent(data, dryRun);
             
             eventSource.on(event_types.GENERATE_AFTER_DATA, this.eventListenerRef);
+
+            // GENERATE_AFTER_DATA does not say what kind of generation it is, GENERATION_STARTED does
+            if (event_types.GENERATION_STARTED) {
+                this.generationStartedRef = (type, options, dryRun) => this.handleGenerationStarted(type, dryRun);
+                eventSource.on(event_types.GENERATION_STARTED, this.generationStartedRef);
+            }
+
+            // A new reply decides whether the expired plot was resolved and prepares the next plot
+            if (event_types.MESSAGE_RECEIVED) {
+                this.messageReceivedRef = (messageId) => this.handleMessageReceived(messageId);
+                eventSource.on(event_types.MESSAGE_RECEIVED, this.messageReceivedRef);
+            }
+
+            // Rendering replaces the message element, so the badge is added back each time (including on chat load)
+            if (event_types.CHARACTER_MESSAGE_RENDERED) {
+                this.messageRenderedRef = (messageId) => this.handleMessageRendered(messageId);
+                eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, this.messageRenderedRef);
+            }
+
+            // PRE-GENERATION: A next plot built from a reply the user then edits, swipes or deletes no longer fits the chat
+            this.chatEditedRef = (messageId) => {
+                this.plotPreview?.clearNextPlot('chat edited');
+                // A swiped message shows another reply, with its own plot metadata
+                this.handleMessageRendered(messageId);
+            };
+            CHAT_EDIT_EVENTS.filter(name => event_types[name]).forEach(name => eventSource.on(event_types[name], this.chatEditedRef));
             logger.log('ChatInjector initialized and listening for generation events');
             this.isInitialized = true;
         } else {
@@ -84,6 +153,22 @@ export class ChatInjector {
             eventSource.off(event_types.GENERATE_AFTER_DATA, this.eventListenerRef);
             this.eventListenerRef = null;
         }
+        if (this.messageReceivedRef && typeof eventSource !== 'undefined' && event_types?.MESSAGE_RECEIVED) {
+            eventSource.off(event_types.MESSAGE_RECEIVED, this.messageReceivedRef);
+            this.messageReceivedRef = null;
+        }
+        if (this.generationStartedRef && typeof eventSource !== 'undefined' && event_types?.GENERATION_STARTED) {
+            eventSource.off(event_types.GENERATION_STARTED, this.generationStartedRef);
+            this.generationStartedRef = null;
+        }
+        if (this.messageRenderedRef && typeof eventSource !== 'undefined' && event_types?.CHARACTER_MESSAGE_RENDERED) {
+            eventSource.off(event_types.CHARACTER_MESSAGE_RENDERED, this.messageRenderedRef);
+            this.messageRenderedRef = null;
+        }
+        if (this.chatEditedRef && typeof eventSource !== 'undefined') {
+            CHAT_EDIT_EVENTS.filter(name => event_types?.[name]).forEach(name => eventSource.off(event_types[name], this.chatEditedRef));
+            this.chatEditedRef = null;
+        }
 
         this.isInitialized = false;
         this.isGeneratingPlot = false;
@@ -91,6 +176,112 @@ export class ChatInjector {
         logger.log('[Machinor Roundtable] ChatInjector destroyed');
     }
 
+    /**
+     * Remember the type of the generation that is starting
+     * @param {string} [type] - SillyTavern generation type (undefined for a new message)
+     * @param {boolean} [dryRun] - Whether this is a dry run
+     * @returns {void}
+     */
+    handleGenerationStarted(type, dryRun) {
+        if (this.isDestroyed || dryRun) return;
+
+        // Our own plot requests run as quiet generations; they must not relabel the user's generation
+        if (type === 'quiet' && this.plotEngine?.queue?.isBusy()) return;
+
+        this.generationType = normalizeGenerationType(type);
+        this.pendingMetadata = null;
+        // Read now: a regenerated reply may be deleted before the prompt is built
+        this.replacedMetadata = REWORK_TYPES.includes(this.generationType) ? this.getReplacedMetadata() : null;
+    }
+
+    /**
+     * Find the plot metadata of the last reply
+     * @returns {import('./message-metadata.js').MessagePlotMetadata|null} Metadata, or null if the reply had no guidance
+     */
+    getReplacedMetadata() {
+        const context = getContext();
+        const chat = context?.chat || [];
+        const lastMessage = chat[chat.length - 1];
+        if (lastMessage && !lastMessage.is_user) {
+            return getMessageMetadata(lastMessage);
+        }
+
+        // The reply is already gone (regenerate deletes it first); it sat right after the last message
+        const remembered = this.lastReplyMetadata;
+        if (remembered && remembered.chatId === context?.chatId && remembered.messageId === chat.length) {
+            return remembered.metadata;
+        }
+        return null;
+    }
+
+    /**
+     * Store the injection metadata on the reply it produced
+     * A later swipe reuses the guidance exactly, and the badge shows it on the message.
+     * @param {number} messageId - Index of the received message
+     * @returns {void}
+     */
+    storeReplyMetadata(messageId) {
+        const metadata = this.pendingMetadata;
+        this.pendingMetadata = null;
+        if (!metadata) return;
+
+        const context = getContext();
+        const message = context?.chat?.[messageId];
+        if (!message || message.is_user) return;
+
+        setMessageMetadata(message, metadata);
+        this.lastReplyMetadata = { chatId: context.chatId, messageId, metadata };
+        // Saved with the chat by SillyTavern once the generation finishes
+        renderMessageBadge(message, messageId);
+    }
+
+    /**
+     * Show the plot badge on a message SillyTavern has just rendered
+     * @param {number} messageId - Index of the message
+     * @returns {void}
+     */
+    handleMessageRendered(messageId) {
+        const message = getContext()?.chat?.[messageId];
+        if (message && !message.is_user) {
+            renderMessageBadge(message, messageId);
+        }
+    }
+
+    /**
+     * Apply a reuse or skip policy to a generation
+     * @param {Object} data - The generation data object
+     * @param {string} generationType - One of GENERATION_TYPES
+     * @param {import('./generation-policy.js').GenerationPolicy} policy - Policy for the type
+     * @param {Object} settings - Extension settings
+     * @returns {void}
+     */
+    applyPassivePolicy(data, generationType, policy, settings) {
+        if (policy.action === 'reuse') {
+            const inserted = this.replacedMetadata ? this.insertGuidance(data, this.replacedMetadata.guidance, settings) : null;
+            if (inserted) {
+                this.pendingMetadata = { ...this.replacedMetadata, generationType, injectedAt: Date.now() };
+                this.recordAudit({ outcome: 'reused', ...inserted });
+                logger.log(`♻️ ${generationType}: reused the guidance of the replaced reply`);
+            } else {
+                this.recordAudit({ outcome: 'skipped', reason: this.replacedMetadata ? 'No injection point found in the prompt' : 'The replaced reply had no guidance to reuse' });
+                logger.log(`${generationType}: no previous guidance to reuse, nothing injected`);
+            }
+        } else {
+            this.recordAudit({ outcome: 'skipped', reason: `Skipped by the ${generationType} policy` });
+            logger.log(`${generationType}: injection skipped by policy`);
+        }
+
+        if (policy.countsAsTurn) {
+            settings.turnsSinceLastGeneration = (settings.turnsSinceLastGeneration || 0) + 1;
+            if (window.machinorRoundtable && window.machinorRoundtable.saveSettings) {
+                window.machinorRoundtable.saveSettings();
+            }
+        }
+        if (this.plotPreview) {
+            this.plotPreview.restoreStatus();
+        }
+    }
+
     /**
      * Handle the generation event
      * @param {Object} data - The generation data object
@@ -161,6 +352,7 @@ export class ChatInjector {
             const characters = this.stIntegration.getActiveCharacters();
             if (!characters || characters.length === 0) {
                 logger.log('No active characters found');
+                this.recordAudit({ outcome: 'skipped', reason: 'No active character' });
                 return;
             }
             const character = characters[0]; // Use primary character
@@ -170,7 +362,7 @@ export class ChatInjector {
 
             // Get settings
             // Optional chaining
-            const settings = window.extension_settings?.['machinor-roundtable'] || {};
+            const settings = this.getSettings();
             const plotOptions = {
                 style: settings.plotStyle || 'natural',
                 intensity: settings.plotIntensity || 'moderate'
@@ -184,14 +376,15 @@ export class ChatInjector {
 
             let plotContext = null;
             let isNewGeneration = true;
+            let isFallbackPlot = false;
 
             // Prevent recursion - if our system prompt is already in the prompt, don't trigger another generation
             // RECURSION PREVENTION: Check if our system prompt signature ('Narrative Architect') is already in the prompt. If found, skip generation to avoid duplicate injections.
             let hasSystemPrompt = false;
             if (Array.isArray(data.prompt)) {
-                hasSystemPrompt = data.prompt.some(msg => msg.content && msg.content.includes('Narrative Architect'));
+                hasSystemPrompt = data.prompt.some(msg => msg.content && msg.content.includes(PROMPT_SIGNATURE));
             } else if (typeof data.prompt === 'string') {
-                hasSystemPrompt = data.prompt.includes('Narrative Architect');
+                hasSystemPrompt = data.prompt.includes(PROMPT_SIGNATURE);
             }
 
             if (hasSystemPrompt) {
@@ -199,6 +392,16 @@ export class ChatInjector {
                 return;
             }
 
+            // GENERATION POLICY: Swipes, regenerations and continues rework a reply instead of starting a turn,
+            // so by default they get the reply's original guidance and leave the counter and plot alone
+            const generationType = this.generationType;
+            const policy = getGenerationPolicy(settings, generationType);
+            logger.log('Generation policy:', { generationType, ...policy });
+            if (policy.action !== 'inject') {
+                this.applyPassivePolicy(data, generationType, policy, settings);
+                return;
+            }
+
             // Check if we should generate a new plot
             const shouldGenerate = await this.shouldGenerateForTurn(data);
 
@@ -231,7 +434,7 @@ export class ChatInjector {
                     isNewGeneration = false;
                 } else if (shouldGenerate) {
                     // Frequency trigger - generate new even if we have old plot
-                    logger.log('🔄 Frequency trigger hit, ignoring old plot');
+                    logger.log('🔄 Plot trigger hit, ignoring old plot:', this.lastTriggerDecision?.reason);
                     // plotContext remains null, forcing generation below
                 } else {
                     // No trigger, just reuse existing plot
@@ -246,11 +449,25 @@ export class ChatInjector {
                     // plotContext remains null, forcing generation below
                 } else {
                     logger.log('⚠️ Preview exists but no text, skipping injection');
+                    this.recordAudit({ outcome: 'skipped', reason: 'The current plot has no text' });
                     // Don't generate, don't inject
                     return;
                 }
             }
 
+            // PRE-GENERATION: A plot prepared after the last reply is promoted instantly instead of generating now
+            if (!plotContext) {
+                const pregenerated = await this.takePregeneratedPlot();
+                if (pregenerated) {
+                    logger.log('⚡ Promoting pre-generated plot');
+                    if (pregenerated.tone && this.plotPreview) {
+                        this.plotPreview.updateInsightsDisplay(pregenerated);
+                    }
+                    plotContext = pregenerated.text;
+                    isFallbackPlot = !!pregenerated.fallback;
+                }
+            }
+
             // If no suitable existing plot, generate a new one
             if (!plotContext) {
                 logger.log('🎲 Generating new plot (Triggered or Fallback)');
@@ -258,17 +475,26 @@ export class ChatInjector {
                 // SET FLAG TO PREVENT RECURSION
                 this.isGeneratingPlot = true;
                 try {
-                    plotContext = await this.plotEngine.generatePlotContext(character, chatHistory, plotOptions);
+                    // A user-started generation already in flight is reused rather than raced
+                    const result = await this.plotEngine.queue.enqueue({
+                        target: 'current_plot',
+                        key: 'current_plot:automatic',
+                        priority: JOB_PRIORITY.AUTOMATIC,
+                        source: 'automatic',
+                        label: 'Automatic plot',
+                        run: (signal) => this.plotEngine.generatePlotContext(character, chatHistory, { ...plotOptions, signal })
+                    });
 
-                    // Handle object return from PlotEngine
-                    if (plotContext && typeof plotContext === 'object') {
-                        plotContext = plotContext.text;
-                    }
+                    // Handle object return from PlotEngine. A joined candidates job returns an array -
+                    // the user is choosing, so there is nothing to inject yet.
+                    plotContext = result && typeof result === 'object' && !Array.isArray(result) ? result.text : null;
+                    isFallbackPlot = !!result?.fallback;
                 } catch (err) {
                     // Handle generation error separately
                     logger.error('Plot generation failed inside handler:', err);
+                    this.recordAudit({ outcome: 'skipped', reason: `Plot generation failed: ${err?.message ?? err}` });
                     if (this.plotPreview) {
-                        this.plotPreview.updateStatus('ready');
+                        this.plotPreview.restoreStatus();
                     }
                     return;
                 } finally {
@@ -278,8 +504,13 @@ export class ChatInjector {
             }
 
             if (!plotContext) {
+                // Failed or cancelled - the previous plot and status stay as they were
                 logger.log('No plot context generated, skipping injection');
+                this.recordAudit({ outcome: 'skipped', reason: 'No plot was generated (failed, cancelled or awaiting a candidate pick)' });
                 this.isGeneratingPlot = false;
+                if (this.plotPreview) {
+                    this.plotPreview.restoreStatus();
+                }
                 return;
             }
             
@@ -288,26 +519,30 @@ export class ChatInjector {
                 
                 try {
                     // Gather insights from DOM if not passed (for reused plots)
-                    const insights = {};
-                    if (this.plotPreview && this.plotPreview.elements) {
-                        const toneEl = document.getElementById('mr_tone_analysis');
-                        const pacingEl = document.getElementById('mr_pacing_guidance');
-                        
-                        if (toneEl && toneEl.textContent && toneEl.textContent !== 'Neutral') {
-                            insights.tone = toneEl.textContent;
-                        }
-                        if (pacingEl && pacingEl.textContent && pacingEl.textContent !== 'Standard') {
-                            insights.pacing = pacingEl.textContent;
-                        }
-                    }
+                    const insights = this.getCurrentInsights();
 
-                    // Inject into the prompt
-                    this.injectPlotContext(data, plotContext, insights);
+                    // PLOT LIFECYCLE: A new plot starts at full strength; a reused one may have decayed to a reminder or expired.
+                    // An expired plot is no longer injected, but the turn still counts towards the frequency trigger.
+                    const stage = isNewGeneration ? 'full' : (this.plotPreview?.getPlotStage() ?? 'full');
+                    const threads = this.plotPreview?.plotThreads?.getInjectable() ?? [];
+                    let injectedThreads = [];
+                    if (stage === 'expired' && threads.length === 0) {
+                        logger.log('⌛ Plot expired, skipping injection');
+                        this.recordAudit({ outcome: 'skipped', reason: 'The plot has expired and no threads are active' });
+                    } else {
+                        injectedThreads = this.injectPlotContext(data, plotContext, insights, {
+                            ...plotOptions,
+                            stage,
+                            threads,
+                            turnsRemaining: this.getTurnsRemaining(isNewGeneration)
+                        }, settings);
+                    }
 
                     // Update preview
                     if (this.plotPreview) {
                         if (isNewGeneration) {
-                            this.plotPreview.displayCurrentPlot(plotContext, 'injected');
+                            this.plotPreview.displayCurrentPlot({ text: plotContext, fallback: isFallbackPlot }, 'injected');
+                            this.plotPreview.showTriggerReason(shouldGenerate ? this.lastTriggerDecision?.reason : 'No plot to continue');
                         } else {
                             // Just ensure status is updated if we reused it
                             this.plotPreview.updateStatus('injected');
@@ -318,12 +553,15 @@ export class ChatInjector {
                     if (this.plotPreview && typeof this.plotPreview.addToHistory === 'function') {
                         // Only add if this is a new generation (avoid duplicates)
                         if (isNewGeneration) {
-                            this.plotPreview.addToHistory(plotContext);
+                            this.plotPreview.addToHistory(plotContext, isFallbackPlot ? { source: 'fallback' } : {});
+                            if (this.pendingMetadata) {
+                                this.pendingMetadata.plotId = this.plotPreview.getPlotId(plotContext);
+                            }
                         }
                     }
 
                     // Update counters and save settings
-                    if (settings) {
+                    if (settings && (isNewGeneration || policy.countsAsTurn)) {
                         if (isNewGeneration) {
                             // Reset counter on generation
                             // COUNTER UPDATE: Reset to 0 on new generation, increment on reuse. This tracks turns since last generation for frequency control.
@@ -342,6 +580,14 @@ export class ChatInjector {
                             window.machinorRoundtable.saveSettings();
                         }
                     }
+
+                    // Count the turn after the counters, so the sidebar shows both up to date
+                    if (stage !== 'expired' && this.plotPreview && policy.countsAsTurn) {
+                        this.plotPreview.recordPlotTurn();
+                    }
+                    if (injectedThreads.length > 0 && this.plotPreview && policy.countsAsTurn) {
+                        this.plotPreview.recordThreadTurns(injectedThreads.map(thread => thread.id));
+                    }
                 } catch (injectError) {
                     logger.error('Error during injection/update phase:', injectError);
                     // Don't throw, just log, as we might have partially succeeded
@@ -353,11 +599,19 @@ export class ChatInjector {
         } catch (error) {
             errorHandler(error, 'Injection process failed');
             if (this.plotPreview) {
-                this.plotPreview.updateStatus('ready');
+                this.plotPreview.restoreStatus();
             }
         }
     }
 
+    /**
+     * Get the extension settings object
+     * @returns {Object} Settings (empty object if unavailable)
+     */
+    getSettings() {
+        return window.extension_settings?.['machinor-roundtable'] || window.machinorRoundtable?.settings || {};
+    }
+
     /**
      * Check if the extension is enabled in settings
      * @returns {boolean}
@@ -383,8 +637,8 @@ export class ChatInjector {
     }
 
     /**
-     * Determine if we should GENERATE a new plot based on turn frequency
-     * Uses dedicated counter for reliability
+     * Determine if we should GENERATE a new plot based on turn frequency, or on scene signals in adaptive mode
+     * Uses dedicated counter for reliability. The decision is kept in lastTriggerDecision.
      * @returns {boolean}
      */
     shouldGenerateForTurn() {
@@ -412,88 +666,432 @@ export class ChatInjector {
                 return false;
             }
 
-            if (frequency <= 1) return true; // Every turn
-
             // Use dedicated counter instead of chat length
             // FREQUENCY LOGIC: Use dedicated turnsSinceLastGeneration counter instead of chat length. Counter increments on each generation event when not generating, resets to 0 when new plot is generated. This ensures reliable frequency control independent of chat history changes.
             const currentTurns = settings.turnsSinceLastGeneration ?? 0;
 
-            logger.log(`Frequency check: ${currentTurns}/${frequency} turns (Settings found: ${!!settings})`);
+            // ADAPTIVE TRIGGER: Scores the recent chat for stagnation and scene breaks; the frequency stays the upper bound,
+            // so a plot is never kept longer than in fixed mode
+            const decision = evaluateTrigger({
+                mode: settings.triggerMode,
+                turns: currentTurns,
+                frequency,
+                minTurns: settings.adaptiveMinTurns ?? 1,
+                threshold: (settings.adaptiveThreshold ?? DEFAULT_ADAPTIVE_THRESHOLD) / 100,
+                chat: settings.triggerMode === 'adaptive' ? getContext()?.chat : []
+            });
+            this.lastTriggerDecision = decision;
+
+            logger.log(`Trigger check (${decision.mode}): ${decision.fire ? 'fire' : 'hold'} - ${decision.reason}`);
 
-            // Generate if we've reached or exceeded the frequency target
-            return currentTurns >= frequency;
+            return decision.fire;
         } catch (error) {
             logger.error('Error in shouldGenerateForTurn:', error);
             return false;
         }
     }
 
+    /**
+     * Read the tone and pacing shown in the sidebar
+     * Placeholder values ('Neutral', 'Standard') are treated as no insight.
+     * @returns {{tone?: string, pacing?: string}} Insights
+     */
+    getCurrentInsights() {
+        const insights = {};
+        if (this.plotPreview && this.plotPreview.elements) {
+            const toneEl = document.getElementById('mr_tone_analysis');
+            const pacingEl = document.getElementById('mr_pacing_guidance');
+
+            if (toneEl && toneEl.textContent && toneEl.textContent !== 'Neutral') {
+                insights.tone = toneEl.textContent;
+            }
+            if (pacingEl && pacingEl.textContent && pacingEl.textContent !== 'Standard') {
+                insights.pacing = pacingEl.textContent;
+            }
+        }
+        return insights;
+    }
+
+    /**
+     * Count the turns the plot has left after the one being generated
+     * Uses the plot's lifetime when it has one, otherwise the turns until the frequency trigger replaces it.
+     * @param {boolean} isNewGeneration - Whether the plot is being injected for the first time
+     * @returns {number} Turns remaining (0 on the last turn)
+     */
+    getTurnsRemaining(isNewGeneration) {
+        const settings = this.getSettings();
+        // A new plot's lifecycle only starts once it is displayed, after injection
+        const lifecycle = isNewGeneration ? createLifecycle(settings) : this.plotPreview?.plotLifecycle;
+        const lifetimeRemaining = getLifetimeRemaining(lifecycle);
+        if (lifetimeRemaining !== null) {
+            return Math.max(0, lifetimeRemaining - 1);
+        }
+
+        const turnsUsed = isNewGeneration ? 0 : (settings.turnsSinceLastGeneration ?? 0) + 1;
+        return Math.max(0, (settings.frequency ?? 3) - turnsUsed);
+    }
+
+    /**
+     * React to a new reply from the roleplay model
+     * @param {number} messageId - Index of the received message
+     * @returns {void}
+     */
+    handleMessageReceived(messageId) {
+        this.storeReplyMetadata(messageId);
+        this.checkExpiredPlotResolution();
+        this.checkPhaseTransition();
+        this.pregenerateNextPlot().catch(error => logger.warn('Background plot generation failed:', error));
+    }
+
+    /**
+     * Check whether the next user turn will need a new plot
+     * Mirrors the decision in handleGenerationEvent: an approved or restored plot is always used first.
+     * @returns {boolean}
+     */
+    isPlotDueNextTurn() {
+        const previewPlot = this.plotPreview?.getCurrentPlot();
+        if (!previewPlot?.text) return true;
+        if (previewPlot.status === 'ready' || previewPlot.status === 'restored') return false;
+        return this.shouldGenerateForTurn();
+    }
+
+    /**
+     * Generate the next plot in the background after a reply, when the next turn will need one
+     * The user's next generation then promotes it instead of waiting on the plot model.
+     * @returns {Promise<void>}
+     */
+    async pregenerateNextPlot() {
+        const settings = this.getSettings();
+        const plotPreview = this.plotPreview;
+        if (this.isDestroyed || !(settings.pregenerateNextPlot ?? true) || !this.isExtensionEnabled()) return;
+        if (!this.stIntegration.isChatReady || !plotPreview || plotPreview.nextPlot || this.pendingPregeneration) return;
+        if (!this.isPlotDueNextTurn()) return;
+
+        const character = this.stIntegration.getActiveCharacters()?.[0];
+        if (!character) return;
+
+        const chatHistory = this.getRecentChatHistory();
+        const plotOptions = {
+            style: settings.plotStyle || 'natural',
+            intensity: settings.plotIntensity || 'moderate'
+        };
+        const basis = plotPreview.getChatBasis();
+
+        const pregeneration = this.plotEngine.queue.enqueue({
+            target: 'next_plot',
+            key: 'next_plot:pregenerate',
+            priority: JOB_PRIORITY.AUTOMATIC,
+            source: 'automatic',
+            label: 'Next plot (background)',
+            run: (signal) => this.plotEngine.generatePlotContext(character, chatHistory, { ...plotOptions, signal })
+        }).then(result => {
+            // An edit, swipe or delete may have landed while the plot was generating
+            if (!result || Array.isArray(result) || !plotPreview.isChatBasisCurrent(basis)) return;
+            plotPreview.setNextPlot(result, basis);
+            logger.log('Next plot pre-generated');
+        });
+
+        this.pendingPregeneration = pregeneration;
+        try {
+            await pregeneration;
+        } finally {
+            if (this.pendingPregeneration === pregeneration) {
+                this.pendingPregeneration = null;
+            }
+        }
+    }
+
+    /**
+     * Take the pre-generated plot for this turn, waiting for one still being generated rather than racing it
+     * @returns {Promise<import('./plot-preview.js').PregeneratedPlot|null>} Plot, or null if there is none or it is stale
+     */
+    async takePregeneratedPlot() {
+        if (!this.plotPreview) return null;
+        if (this.pendingPregeneration) {
+            logger.log('Waiting for the background plot generation');
+            await this.pendingPregeneration;
+        }
+        return this.plotPreview.takeNextPlot();
+    }
+
+    /**
+     * Ask the plot model whether the current plot was resolved, once it has expired
+     * Runs after the reply to the plot's last turn, when the optional check is enabled.
+     * @returns {Promise<void>}
+     */
+    async checkExpiredPlotResolution() {
+        const settings = this.getSettings();
+        const plotPreview = this.plotPreview;
+        const lifecycle = plotPreview?.plotLifecycle;
+        if (this.isDestroyed || !settings.resolutionCheck || !this.isExtensionEnabled()) return;
+        if (!lifecycle || !isExpired(lifecycle) || lifecycle.resolution || this.isCheckingResolution) return;
+
+        const plotText = plotPreview.currentPlot;
+        this.isCheckingResolution = true;
+        try {
+            const chatHistory = this.getRecentChatHistory();
+            const verdict = await this.plotEngine.queue.enqueue({
+                target: 'resolution_check',
+                priority: JOB_PRIORITY.AUTOMATIC,
+                source: 'automatic',
+                label: 'Plot resolution check',
+                run: (signal) => this.plotEngine.checkPlotResolution(plotText, chatHistory, signal)
+            });
+
+            // The plot may have been replaced while the check was running
+            if (!verdict || plotPreview.currentPlot !== plotText) return;
+            plotPreview.setPlotResolution(verdict);
+
+            // @ts-ignore - toastr is a global library
+            if (window.toastr) {
+                const message = verdict === 'resolved'
+                    ? 'The expired plot looks resolved.'
+                    : 'The expired plot was not resolved. Use Skip or Generate to move the story on.';
+                // @ts-ignore - toastr is a global library
+                window.toastr.info(message, 'Machinor Roundtable');
+            }
+        } finally {
+            this.isCheckingResolution = false;
+        }
+    }
+
+    /**
+     * Count a reply towards the current arc phase and check the chat against the phase's exit criteria
+     * Strong enough evidence advances the phase in auto mode; otherwise the transition is proposed in the sidebar.
+     * @returns {Promise<void>}
+     */
+    async checkPhaseTransition() {
+        const settings = this.getSettings();
+        const narrativeArc = this.plotEngine?.narrativeArc;
+        const mode = settings.phaseTransitions ?? 'confirm';
+        if (this.isDestroyed || !narrativeArc?.currentArc || !this.isExtensionEnabled()) return;
+        // A swiped or regenerated reply replaces one that was already counted
+        if (!getGenerationPolicy(settings, this.generationType).countsAsTurn) return;
+
+        // Turns are counted even with transitions off; progress and pacing are measured in them
+        narrativeArc.recordPhaseTurn();
+        this.plotPreview?.updateArcDisplay();
+        const arc = narrativeArc.currentArc;
+        if (mode === 'off' || this.isCheckingPhase || !isPhaseCheckDue(arc)) return;
+
+        const phase = arc.currentPhase;
+        const messages = getEvidenceMessages(getContext()?.chat, arc.phaseTurns);
+        const detector = settings.phaseDetector === 'llm' && !this.plotEngine.isOfflineMode() ? 'llm' : 'heuristic';
+
+        this.isCheckingPhase = true;
+        try {
+            const evidence = detector === 'llm'
+                ? await this.plotEngine.queue.enqueue({
+                    target: 'phase_check',
+                    priority: JOB_PRIORITY.AUTOMATIC,
+                    source: 'automatic',
+                    label: 'Arc phase check',
+                    run: (signal) => this.plotEngine.checkPhaseExit(arc, messages, signal)
+                })
+                : scorePhaseExit(phase, messages);
+
+            // The arc may have moved on or been replaced while the check was running
+            if (narrativeArc.currentArc !== arc || arc.currentPhase !== phase) return;
+
+            const proposal = buildProposal(arc, evidence, detector);
+            logger.log('Phase check:', { phase: phase.name, detector, evidence, proposed: !!proposal });
+            if (!proposal) return;
+
+            if (shouldAutoApply(proposal, mode, settings.phaseAutoThreshold ?? DEFAULT_PHASE_AUTO_THRESHOLD)) {
+                narrativeArc.advancePhase({ reason: proposal.reason, confidence: proposal.confidence, source: 'auto' });
+                this.plotPreview?.showPhaseProposal(null);
+                this.plotPreview?.updateArcDisplay();
+                // @ts-ignore - toastr is a global library
+                if (window.toastr) {
+                    const target = proposal.toPhase ? `moved to ${proposal.toPhase.replace(/_/g, ' ')}` : 'completed';
+                    // @ts-ignore - toastr is a global library
+                    window.toastr.info(`Story arc ${target}: ${proposal.reason}`, 'Machinor Roundtable');
+                }
+            } else {
+                this.plotPreview?.showPhaseProposal(proposal);
+            }
+        } catch (error) {
+            logger.warn('Phase check failed:', error);
+        } finally {
+            this.isCheckingPhase = false;
+        }
+    }
+
+    /**
+     * Render the guidance block with the wrapper template selected in settings
+     * @param {string} plotContext - Plot text
+     * @param {{tone?: string, pacing?: string}} [insights={}] - Tone and pacing
+     * @param {{style?: string, intensity?: string, turnsRemaining?: number}} [plotOptions={}] - Style, intensity and plot lifetime
+     * @param {string} [template] - Wrapper template (defaults to the one selected in settings)
+     * @returns {string} Guidance text, without surrounding newlines
+     */
+    buildGuidanceText(plotContext, insights = {}, plotOptions = {}, template) {
+        const settings = this.getSettings();
+        const styleGuidance = getStyleGuidance(plotOptions.style, plotOptions.intensity);
+        const arcPhase = this.plotEngine?.narrativeArc?.getArcStatus()?.currentPhase;
+
+        return renderGuidance(template ?? getGuidanceTemplate(settings), {
+            plot: plotContext.trim(),
+            tone: insights.tone ?? '',
+            pacing: insights.pacing ?? '',
+            arc_phase: arcPhase ? arcPhase.replace(/_/g, ' ') : '',
+            style: STYLE_PROFILES[styleGuidance.style].label,
+            turns_remaining: plotOptions.turnsRemaining ?? '',
+            label: styleGuidance.injectionLabel,
+            focus: styleGuidance.focus,
+            directive: styleGuidance.injectionDirective
+        });
+    }
+
     /**
      * Inject the plot context into the generation data
      * @param {Object} data - The generation data object
      * @param {string} plotContext - The context string to inject
      * @param {Object} [insights={}] - Optional insights (tone, pacing)
-     * @returns {void}
+     * @param {{style?: string, intensity?: string, turnsRemaining?: number, stage?: string, threads?: Array<import('./plot-threads.js').PlotThread>}} [plotOptions={}] - Style, intensity, plot lifetime, lifecycle stage and active threads shaping the injection
+     * @param {Object} [settings] - Extension settings (defaults to getSettings)
+     * @returns {Array<import('./plot-threads.js').PlotThread>} Threads that made it into the injection
      */
-    injectPlotContext(data, plotContext, insights = {}) {
+    injectPlotContext(data, plotContext, insights = {}, plotOptions = {}, settings = this.getSettings()) {
         try {
             if (!data || typeof data !== 'object') {
                 logger.error('Invalid data object for injection');
-                return;
+                this.recordAudit({ outcome: 'skipped', reason: 'Invalid generation data' });
+                return [];
             }
             
             if (!plotContext || typeof plotContext !== 'string' || plotContext.trim().length === 0) {
                 logger.warn('Empty plot context, skipping injection');
-                return;
+                this.recordAudit({ outcome: 'skipped', reason: 'Empty plot text' });
+                return [];
             }
 
-            let injectionText = `\n[Plot Guidance: ${plotContext}`;
-            
-            // Merge Tone and Pacing if available
-            if (insights.tone) {
-                injectionText += ` | Tone: ${insights.tone}`;
+            // INJECTION WORDING: The wrapper template frames the plot; intensity picks the label and directive, style the focus.
+            // A decayed plot is reduced to a one-line reminder, an expired one leaves only its threads.
+            let mainGuidance = '';
+            if (plotOptions.stage === 'reminder') {
+                mainGuidance = buildReminder(plotContext);
+            } else if (plotOptions.stage !== 'expired') {
+                mainGuidance = this.buildGuidanceText(plotContext, insights, plotOptions);
+            }
+
+            // INJECTION STACK: Threads follow the main plot in priority order until the size limit is reached
+            const sizeLimit = settings.injectionSizeLimit ?? DEFAULT_INJECTION_SIZE_LIMIT;
+            const { text: guidance, included, dropped } = composeInjection(mainGuidance, plotOptions.threads || [], sizeLimit, plotContext);
+            if (dropped.length > 0) {
+                logger.log(`Injection size limit (${sizeLimit}) reached, left out ${dropped.length} thread(s)`);
             }
-            if (insights.pacing) {
-                injectionText += ` | Pacing: ${insights.pacing}`;
+            if (!guidance) {
+                this.recordAudit({ outcome: 'skipped', reason: 'Nothing fit within the injection size limit' });
+                return [];
             }
-            
-            injectionText += `]\n`;
+            const inserted = this.insertGuidance(data, guidance, settings);
+            if (!inserted) {
+                this.recordAudit({ outcome: 'skipped', reason: 'No injection point found in the prompt' });
+                return [];
+            }
+            this.recordAudit({ outcome: 'injected', ...inserted });
+            this.pendingMetadata = {
+                guidance,
+                // A new plot only gets its history entry after injection; its ID is filled in then
+                plotId: this.plotPreview?.getPlotId(plotContext) ?? null,
+                arcPhase: this.plotEngine?.narrativeArc?.getArcStatus()?.currentPhase ?? null,
+                style: plotOptions.style || 'natural',
+                generationType: this.generationType,
+                injectedAt: Date.now()
+            };
+            return included;
+        } catch (error) {
+            logger.error('Error injecting plot context:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Insert rendered guidance into the prompt at the configured placement
+     * @param {Object} data - The generation data object
+     * @param {string} guidance - Guidance text, without surrounding newlines
+     * @param {Object} [settings] - Extension settings with the placement (defaults to getSettings)
+     * @returns {{apiFormat: string, where: string, text: string}|null} Prompt format, injection point and the exact inserted text, or null if nothing was inserted
+     */
+    insertGuidance(data, guidance, settings = this.getSettings()) {
+        try {
+            const injectionText = `\n${guidance}\n`;
 
             logger.log('Attempting injection with text length:', injectionText.length);
 
+            const placement = getPlacement(settings);
+
             // MULTI-API INJECTION: Handle different prompt formats: OpenAI (array of message objects), Text Completion (string), NovelAI (input field). Each API requires different injection approach.
             // Handle OpenAI / Chat Completion (prompt is array of messages)
             if (Array.isArray(data.prompt)) {
-                // Add as a system message at the end
-                data.prompt.push({
-                    role: 'system',
-                    content: injectionText.trim()
-                });
-                logger.log('Injected into messages array (OpenAI/Chat). New length:', data.prompt.length);
+                const where = insertIntoMessages(data.prompt, injectionText, placement);
+                logger.log(`Injected into messages array (OpenAI/Chat) ${where}. New length:`, data.prompt.length);
+                return { apiFormat: 'Chat Completion', where, text: injectionText.trim() };
             }
             // Handle Text Completion (prompt is string)
             else if (typeof data.prompt === 'string') {
                 const originalLength = data.prompt.length;
-                data.prompt += injectionText;
-                logger.log(`Injected into prompt string (Text Completion). Length: ${originalLength} -> ${data.prompt.length}`);
+                const format = this.getInstructFormat(data.prompt);
+                const { prompt, where, text } = insertIntoText(data.prompt, injectionText, placement, this.getTextAnchors(), format);
+                data.prompt = prompt;
+                logger.log(`Injected into prompt string (Text Completion${format ? `, ${format.name}` : ''}) ${where}. Length: ${originalLength} -> ${data.prompt.length}`);
+                return { apiFormat: `Text Completion${format ? ` (${format.name})` : ''}`, where, text };
             }
             // Handle NovelAI (uses 'input' instead of 'prompt' sometimes?)
             else if (typeof data.input === 'string') {
                 const originalLength = data.input.length;
-                data.input += injectionText;
-                logger.log(`Injected into input string (NovelAI). Length: ${originalLength} -> ${data.input.length}`);
+                const format = this.getInstructFormat(data.input);
+                const { prompt, where, text } = insertIntoText(data.input, injectionText, placement, this.getTextAnchors(), format);
+                data.input = prompt;
+                logger.log(`Injected into input string (NovelAI) ${where}. Length: ${originalLength} -> ${data.input.length}`);
+                return { apiFormat: `NovelAI input${format ? ` (${format.name})` : ''}`, where, text };
             }
             else {
                 logger.warn('Could not find suitable injection point in data', Object.keys(data));
+                return null;
             }
         } catch (error) {
-            logger.error('Error injecting plot context:', error);
+            logger.error('Error inserting guidance:', error);
+            return null;
         }
     }
 
+    /**
+     * Add an entry for the generation in progress to the chat's audit log
+     * @param {{outcome: string, apiFormat?: string, where?: string, text?: string, reason?: string}} details - What happened
+     * @returns {void}
+     */
+    recordAudit(details) {
+        this.plotPreview?.recordAudit(createAuditEntry({ generationType: this.generationType, ...details }));
+    }
+
+    /**
+     * Detect the instruct template that formatted a text prompt
+     * @param {string} prompt - Formatted text prompt
+     * @returns {import('./instruct-format.js').InstructFormat|null} Template, or null for a plain prompt
+     */
+    getInstructFormat(prompt) {
+        // Optional chaining - powerUserSettings is missing on older SillyTavern builds
+        return detectInstructFormat(prompt, getContext()?.powerUserSettings?.instruct);
+    }
+
+    /**
+     * Collect the chat and character definitions used to locate positions in a text prompt
+     * @returns {{chat: Array<{mes: string, is_user: boolean}>, definitions: string[]}} Text anchors
+     */
+    getTextAnchors() {
+        const context = getContext();
+        const character = context?.characters?.[context?.characterId];
+        return {
+            chat: (context?.chat || []).filter(msg => !msg.is_system).map(msg => ({ mes: msg.mes, is_user: msg.is_user })),
+            definitions: character ? [character.description, character.personality, character.scenario] : []
+        };
+    }
+
     /**
      * Get recent chat history for context
-     * @returns {Array<{name: string, is_user: boolean, message: string}>}
+     * @returns {Array<{name: string, is_user: boolean, mes: string}>}
      */
     getRecentChatHistory() {
         try {
@@ -511,7 +1109,7 @@ export class ChatInjector {
             return context.chat.slice(-safeLimit).map(msg => ({
                 name: msg.name,
                 is_user: msg.is_user,
-                message: msg.message
+                mes: msg.mes
             }));
         } catch (error) {
             logger.error('Error getting chat history:', error);
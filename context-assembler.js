@@ -0,0 +1,145 @@
+// Machinor Roundtable - Token-Budget Context Assembly
+import { getContext } from "../../../extensions.js";
+import { logger } from "./logger.js";
+
+/**
+ * Section priorities for plot prompts. Lower priority sections are trimmed first.
+ * @type {Object<string, number>}
+ */
+export const SECTION_PRIORITIES = {
+    arc: 4,
+    recent_chat: 3,
+    character: 2,
+    lore: 1
+};
+
+// Characters per token used by SillyTavern when no tokenizer is available
+const CHARS_PER_TOKEN_ESTIMATE = 3.35;
+
+// Truncated items shorter than this are dropped instead - a sentence fragment helps nobody
+const MIN_TRUNCATED_LENGTH = 80;
+
+/**
+ * @typedef {Object} ContextSection
+ * @property {string} name - Section name (see SECTION_PRIORITIES)
+ * @property {number} priority - Higher priority sections are kept longer
+ * @property {string[]} items - Section content split into trimmable pieces
+ * @property {'oldest_first'|'last_first'|'truncate'} trim - Drop items from the start, drop from the end, or shorten the longest item in place
+ */
+
+/**
+ * @typedef {Object} TrimRecord
+ * @property {string} section - Section name
+ * @property {'dropped'|'truncated'} action - What happened to the item
+ * @property {string} detail - Short preview of the affected item
+ * @property {number} tokens - Tokens saved
+ */
+
+/**
+ * @typedef {Object} AssemblyResult
+ * @property {Object<string, string[]>} sections - Remaining items per section name (truncate sections keep their positions, emptied items are '')
+ * @property {number} usedTokens - Tokens used by the remaining section content
+ * @property {number} budget - Tokens that were available to the sections
+ * @property {TrimRecord[]} trimmed - Everything that was dropped or shortened
+ */
+
+/**
+ * Count tokens with SillyTavern's active tokenizer, estimating if it is unavailable
+ * @param {string} text - Text to count
+ * @returns {Promise<number>} Token count
+ */
+export async function countTokens(text) {
+    if (!text) return 0;
+    try {
+        const context = getContext();
+        if (typeof context?.getTokenCountAsync === 'function') {
+            return await context.getTokenCountAsync(text);
+        }
+    } catch (error) {
+        logger.warn('Tokenizer unavailable, estimating token count:', error);
+    }
+    return Math.ceil(text.length / CHARS_PER_TOKEN_ESTIMATE);
+}
+
+/**
+ * Shorten text to a maximum length, preferring a sentence or word boundary
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum length in characters (excluding the ellipsis)
+ * @returns {string} Shortened text ending in an ellipsis
+ */
+function truncateText(text, maxLength) {
+    const cut = text.substring(0, maxLength);
+    const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '));
+    if (sentenceEnd > maxLength * 0.6) {
+        return cut.substring(0, sentenceEnd + 1) + ' …';
+    }
+    const wordEnd = cut.lastIndexOf(' ');
+    return (wordEnd > 0 ? cut.substring(0, wordEnd) : cut) + '…';
+}
+
+/**
+ * Fit prompt sections into a token budget, trimming the lowest priority sections first
+ * Chat drops its oldest messages, lore drops its last entries and character fields are truncated.
+ * @param {ContextSection[]} sections - Sections to fit
+ * @param {number} budget - Tokens available for all section content
+ * @returns {Promise<AssemblyResult>} Remaining content and a record of what was trimmed
+ */
+export async function assembleContext(sections, budget) {
+    const state = [];
+    for (const section of sections) {
+        const counts = [];
+        for (const item of section.items) {
+            counts.push(await countTokens(item));
+        }
+        state.push({ ...section, items: [...section.items], counts });
+    }
+
+    let usedTokens = state.reduce((total, section) => total + section.counts.reduce((sum, count) => sum + count, 0), 0);
+    const trimmed = [];
+
+    const byPriority = [...state].sort((a, b) => a.priority - b.priority);
+    for (const section of byPriority) {
+        while (usedTokens > budget && section.counts.some(count => count > 0)) {
+            if (section.trim === 'truncate') {
+                const index = section.counts.indexOf(Math.max(...section.counts));
+                const item = section.items[index];
+                const shortened = item.length / 2 < MIN_TRUNCATED_LENGTH ? '' : truncateText(item, Math.floor(item.length / 2));
+                const newCount = await countTokens(shortened);
+
+                usedTokens -= section.counts[index] - newCount;
+                trimmed.push({
+                    section: section.name,
+                    action: shortened ? 'truncated' : 'dropped',
+                    detail: item.substring(0, 40),
+                    tokens: section.counts[index] - newCount
+                });
+                section.items[index] = shortened;
+                section.counts[index] = newCount;
+            } else {
+                const index = section.trim === 'oldest_first' ? 0 : section.items.length - 1;
+                const [item] = section.items.splice(index, 1);
+                const [count] = section.counts.splice(index, 1);
+
+                usedTokens -= count;
+                trimmed.push({ section: section.name, action: 'dropped', detail: item.substring(0, 40), tokens: count });
+            }
+        }
+        if (usedTokens <= budget) break;
+    }
+
+    if (trimmed.length > 0) {
+        const saved = trimmed.reduce((sum, record) => sum + record.tokens, 0);
+        logger.log(`Context budget: trimmed ${trimmed.length} item(s), saved ${saved} tokens (${usedTokens}/${budget} used)`);
+        trimmed.forEach(record => logger.log(`  ${record.action} [${record.section}] "${record.detail}…" (${record.tokens} tokens)`));
+    }
+    if (usedTokens > budget) {
+        logger.warn(`Context budget of ${budget} tokens is too small - prompt still uses ${usedTokens} tokens of context`);
+    }
+
+    return {
+        sections: Object.fromEntries(state.map(section => [section.name, section.items])),
+        usedTokens,
+        budget,
+        trimmed
+    };
+}
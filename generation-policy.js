@@ -0,0 +1,71 @@
+// Machinor Roundtable - Generation Type Injection Policy
+
+/**
+ * SillyTavern generation types, as passed to GENERATION_STARTED ('normal' when none is given)
+ * @type {Object<string, {label: string}>}
+ */
+export const GENERATION_TYPES = {
+    normal: { label: 'New message' },
+    swipe: { label: 'Swipe' },
+    regenerate: { label: 'Regenerate' },
+    continue: { label: 'Continue' },
+    impersonate: { label: 'Impersonate' },
+    quiet: { label: 'Quiet (background)' }
+};
+
+/**
+ * What a generation does with plot guidance
+ * inject: run the plot logic (reuse or generate by frequency) and inject
+ * reuse: inject exactly the guidance the replaced reply got, without touching the plot
+ * skip: inject nothing
+ * @type {Object<string, {label: string}>}
+ */
+export const POLICY_ACTIONS = {
+    inject: { label: 'Inject' },
+    reuse: { label: 'Reuse previous guidance' },
+    skip: { label: 'Skip' }
+};
+
+/**
+ * @typedef {Object} GenerationPolicy
+ * @property {string} action - One of POLICY_ACTIONS
+ * @property {boolean} countsAsTurn - Whether the generation advances the frequency counter and plot lifetimes
+ */
+
+/**
+ * Built-in policy. Only new messages are turns; reworking a reply keeps the guidance it had.
+ * @type {Object<string, GenerationPolicy>}
+ */
+export const DEFAULT_GENERATION_POLICY = {
+    normal: { action: 'inject', countsAsTurn: true },
+    swipe: { action: 'reuse', countsAsTurn: false },
+    regenerate: { action: 'reuse', countsAsTurn: false },
+    continue: { action: 'reuse', countsAsTurn: false },
+    impersonate: { action: 'skip', countsAsTurn: false },
+    quiet: { action: 'skip', countsAsTurn: false }
+};
+
+/**
+ * Normalize a SillyTavern generation type
+ * Unknown types are treated as new messages, which is how every generation was handled before.
+ * @param {string|undefined} type - Type from GENERATION_STARTED
+ * @returns {string} One of GENERATION_TYPES
+ */
+export function normalizeGenerationType(type) {
+    return GENERATION_TYPES[type] ? type : 'normal';
+}
+
+/**
+ * Get the policy for a generation type, with the user's overrides applied
+ * @param {Object} settings - Extension settings
+ * @param {string} type - One of GENERATION_TYPES
+ * @returns {GenerationPolicy} Policy
+ */
+export function getGenerationPolicy(settings, type) {
+    const fallback = DEFAULT_GENERATION_POLICY[normalizeGenerationType(type)];
+    const override = settings?.generationPolicy?.[normalizeGenerationType(type)] ?? {};
+    return {
+        action: POLICY_ACTIONS[override.action] ? override.action : fallback.action,
+        countsAsTurn: typeof override.countsAsTurn === 'boolean' ? override.countsAsTurn : fallback.countsAsTurn
+    };
+}
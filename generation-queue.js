@@ -0,0 +1,210 @@
+// Machinor Roundtable - Single-Flight Plot Generation Queue
+import { logger } from "./logger.js";
+
+/**
+ * Job priorities. A user action beats automatic generation.
+ * @type {Object<string, number>}
+ */
+export const JOB_PRIORITY = {
+    AUTOMATIC: 1,
+    USER: 2
+};
+
+/**
+ * @typedef {Object} GenerationJobRequest
+ * @property {string} target - What the job produces, e.g. 'current_plot' or 'next_plot'. Newer jobs for a target supersede older ones.
+ * @property {string} [key] - Identity for coalescing identical requests (defaults to target)
+ * @property {number} priority - One of JOB_PRIORITY
+ * @property {string} source - Who asked, e.g. 'manual', 'skip', 'template', 'automatic'
+ * @property {string} label - Short description for the UI
+ * @property {function(AbortSignal): Promise<any>} run - Does the work; must honor the signal
+ */
+
+/**
+ * @typedef {Object} GenerationJobState
+ * @property {string} label - Job description
+ * @property {string} source - Who asked
+ * @property {number} priority - Job priority
+ * @property {number|null} startedAt - Start timestamp (null while queued)
+ */
+
+/**
+ * GenerationQueue - Runs plot generation jobs one at a time
+ * Identical requests share one job, a request from a higher priority source coalesces lower ones,
+ * and a newer request for the same target cancels older jobs of equal or lower priority.
+ * Cancelled jobs resolve to null, so a superseded result never reaches the UI.
+ */
+export class GenerationQueue {
+    constructor() {
+        /** @type {Array<Object>} Waiting jobs, highest priority first, then oldest first */
+        this.queued = [];
+        /** @type {Object|null} Job currently running */
+        this.running = null;
+        /** @type {Set<Function>} State change subscribers */
+        this.listeners = new Set();
+        /** @type {number} */
+        this.nextJobId = 1;
+    }
+
+    /**
+     * Add a job to the queue, or join an equivalent one already pending
+     * @param {GenerationJobRequest} request - Job request
+     * @returns {Promise<any>} Result of the job, or null if it was cancelled or superseded
+     */
+    enqueue(request) {
+        const job = {
+            ...request,
+            key: request.key ?? request.target,
+            id: this.nextJobId++,
+            controller: new AbortController(),
+            startedAt: null
+        };
+
+        // COALESCING: An identical request, or any higher priority request for the same result, already covers this one
+        const existing = this.getPendingJobs().find(pending => pending.target === job.target
+            && (pending.key === job.key ? pending.priority >= job.priority : pending.priority > job.priority));
+        if (existing) {
+            logger.log(`Generation queue: "${job.label}" joined pending "${existing.label}"`);
+            return existing.promise;
+        }
+
+        // SUPERSEDING: Older requests for the same result are stale once this one exists
+        this.getPendingJobs()
+            .filter(pending => pending.target === job.target && pending.priority <= job.priority)
+            .forEach(pending => this.cancelJob(pending, `superseded by "${job.label}"`));
+
+        job.promise = new Promise(resolve => {
+            job.resolve = resolve;
+        });
+
+        const index = this.queued.findIndex(queuedJob => queuedJob.priority < job.priority);
+        if (index === -1) this.queued.push(job);
+        else this.queued.splice(index, 0, job);
+
+        logger.log(`Generation queue: queued "${job.label}" (${job.source}, priority ${job.priority})`);
+        this.notify();
+        this.runNext();
+        return job.promise;
+    }
+
+    /**
+     * Start the next queued job if nothing is running
+     * @returns {Promise<void>}
+     */
+    async runNext() {
+        if (this.running || this.queued.length === 0) return;
+
+        const job = this.queued.shift();
+        job.startedAt = Date.now();
+        this.running = job;
+        this.notify();
+
+        let result = null;
+        try {
+            result = await job.run(job.controller.signal);
+        } catch (error) {
+            logger.error(`Generation queue: "${job.label}" failed:`, error);
+        }
+
+        // A cancelled job was already resolved with null; only the live job reports its result
+        if (!job.controller.signal.aborted) {
+            job.resolve(result ?? null);
+        }
+        if (this.running === job) {
+            this.running = null;
+        }
+        this.notify();
+        this.runNext();
+    }
+
+    /**
+     * Cancel one job, resolving its callers with null
+     * @param {Object} job - Queued or running job
+     * @param {string} reason - Why, for the log
+     * @returns {void}
+     */
+    cancelJob(job, reason) {
+        if (job.controller.signal.aborted) return;
+
+        logger.log(`Generation queue: cancelled "${job.label}" (${reason})`);
+        job.controller.abort();
+        job.resolve(null);
+        this.queued = this.queued.filter(queuedJob => queuedJob !== job);
+        this.notify();
+    }
+
+    /**
+     * Cancel every pending job for one target
+     * @param {string} target - Job target, e.g. 'next_plot'
+     * @param {string} reason - Why, for the log
+     * @returns {boolean} True if anything was cancelled
+     */
+    cancelTarget(target, reason) {
+        const pending = this.getPendingJobs().filter(job => job.target === target);
+        pending.forEach(job => this.cancelJob(job, reason));
+        return pending.length > 0;
+    }
+
+    /**
+     * Cancel the running job and everything queued
+     * @returns {boolean} True if anything was cancelled
+     */
+    cancelAll() {
+        const pending = this.getPendingJobs();
+        pending.forEach(job => this.cancelJob(job, 'cancelled by user'));
+        return pending.length > 0;
+    }
+
+    /**
+     * Get the running job and queued jobs that have not been cancelled
+     * @returns {Array<Object>} Pending jobs, running first
+     */
+    getPendingJobs() {
+        const jobs = this.running ? [this.running, ...this.queued] : [...this.queued];
+        return jobs.filter(job => !job.controller.signal.aborted);
+    }
+
+    /**
+     * Check whether any job is running or waiting
+     * @param {string} [target] - Only consider jobs for this target
+     * @returns {boolean}
+     */
+    isBusy(target) {
+        return this.getPendingJobs().some(job => !target || job.target === target);
+    }
+
+    /**
+     * Get a snapshot of the queue for display
+     * @returns {{running: GenerationJobState|null, queued: GenerationJobState[]}} Queue state
+     */
+    getState() {
+        const describe = job => ({ label: job.label, source: job.source, priority: job.priority, startedAt: job.startedAt });
+        const running = this.running && !this.running.controller.signal.aborted ? describe(this.running) : null;
+        return { running, queued: this.queued.map(describe) };
+    }
+
+    /**
+     * Subscribe to queue state changes
+     * @param {function({running: GenerationJobState|null, queued: GenerationJobState[]}): void} callback - Receives the new state
+     * @returns {function(): void} Unsubscribe function
+     */
+    subscribe(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * Notify subscribers of a state change
+     * @returns {void}
+     */
+    notify() {
+        const state = this.getState();
+        this.listeners.forEach(callback => {
+            try {
+                callback(state);
+            } catch (error) {
+                logger.error('Generation queue listener failed:', error);
+            }
+        });
+    }
+}
@@ -0,0 +1,73 @@
+// Machinor Roundtable - Injected Guidance Wrapper Templates
+import { expandMacros } from "./prompt-templates.js";
+
+/**
+ * Macros available to guidance wrapper templates
+ * Wrap optional parts in {{#name}}...{{/name}} to drop them when the value is empty.
+ * @type {Array<{name: string, description: string}>}
+ */
+export const GUIDANCE_MACROS = [
+    { name: 'plot', description: 'The plot text' },
+    { name: 'tone', description: 'Tone from the plot analysis (may be empty)' },
+    { name: 'pacing', description: 'Pacing from the plot analysis (may be empty)' },
+    { name: 'arc_phase', description: 'Current narrative arc phase (empty without an active arc)' },
+    { name: 'style', description: 'Selected plot style, e.g. "Dramatic"' },
+    { name: 'turns_remaining', description: 'Turns until the next plot is generated' },
+    { name: 'label', description: 'Label set by intensity, e.g. "Plot Directive"' },
+    { name: 'focus', description: 'Focus of the selected style' },
+    { name: 'directive', description: 'Instruction set by intensity (may be empty)' }
+];
+
+/** @type {string} */
+export const CUSTOM_GUIDANCE_PRESET = 'custom';
+
+/**
+ * Built-in wrapper presets. 'bracketed' reproduces the original injection format.
+ * @type {Object<string, {label: string, template: string}>}
+ */
+export const GUIDANCE_PRESETS = {
+    bracketed: {
+        label: 'Bracketed note (default)',
+        template: '[{{label}}: {{plot}}{{#tone}} | Tone: {{tone}}{{/tone}}{{#pacing}} | Pacing: {{pacing}}{{/pacing}} | Focus: {{focus}}{{#directive}} | {{directive}}{{/directive}}]'
+    },
+    ooc: {
+        label: 'OOC note',
+        template: '(OOC: Steer the story toward this: {{plot}}{{#tone}} Keep the tone {{tone}}.{{/tone}}{{#pacing}} Pacing: {{pacing}}.{{/pacing}}{{#directive}} {{directive}}.{{/directive}} Stay in character and do not mention this note.)'
+    },
+    director: {
+        label: "Director's note",
+        template: "[Director's note - {{style}} scene{{#arc_phase}}, {{arc_phase}} phase{{/arc_phase}}]\n{{plot}}{{#tone}}\nTone: {{tone}}{{/tone}}{{#pacing}}\nPacing: {{pacing}}{{/pacing}}{{#turns_remaining}}\nThis direction holds for about {{turns_remaining}} more turn(s).{{/turns_remaining}}"
+    },
+    xml: {
+        label: 'XML tag block',
+        template: '<plot_guidance style="{{style}}"{{#arc_phase}} arc_phase="{{arc_phase}}"{{/arc_phase}}>\n<plot>{{plot}}</plot>{{#tone}}\n<tone>{{tone}}</tone>{{/tone}}{{#pacing}}\n<pacing>{{pacing}}</pacing>{{/pacing}}\n<focus>{{focus}}</focus>{{#directive}}\n<directive>{{directive}}</directive>{{/directive}}\n</plot_guidance>'
+    }
+};
+
+/**
+ * Get the wrapper template selected in settings
+ * A custom preset with an empty template falls back to the default so guidance is never lost.
+ * @param {Object} settings - Extension settings
+ * @returns {string} Template text
+ */
+export function getGuidanceTemplate(settings) {
+    if (settings?.guidancePreset === CUSTOM_GUIDANCE_PRESET && String(settings.guidanceTemplate ?? '').trim()) {
+        return settings.guidanceTemplate;
+    }
+    return (GUIDANCE_PRESETS[settings?.guidancePreset] ?? GUIDANCE_PRESETS.bracketed).template;
+}
+
+/**
+ * Render a wrapper template
+ * Optional sections are resolved first, then macros are expanded.
+ * @param {string} template - Wrapper template
+ * @param {Object<string, string|number>} values - Macro values keyed by name
+ * @returns {string} Rendered guidance
+ */
+export function renderGuidance(template, values) {
+    const withSections = String(template ?? '').replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, inner) => {
+        const value = values[name];
+        return value === undefined || value === null || String(value).trim() === '' ? '' : inner;
+    });
+    return expandMacros(withSections, values).trim();
+}
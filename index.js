@@ -6,8 +6,18 @@ import { ChatInjector } from "./chat-injector.js";
 import { PlotPreviewManager } from "./plot-preview.js";
 import { STIntegrationManager } from "./st-integration.js";
 import { NarrativeArcManager } from "./narrative-arc.js";
+import { PromptTemplateManager, PROMPT_MACROS, BUILTIN_TEMPLATE_ID } from "./prompt-templates.js";
+import { ArcTemplateManager, TOTAL_PHASE_WEIGHT, toTemplateKey, serializeArcTemplates } from "./arc-templates.js";
+import { PlotBackend, BACKEND_MODES } from "./plot-backend.js";
+import { JOB_PRIORITY } from "./generation-queue.js";
+import { INJECTION_POSITIONS, INJECTION_ROLES, getPlacement, describePlacement, isChatCompletionApi } from "./injection-placement.js";
+import { GUIDANCE_MACROS, GUIDANCE_PRESETS, CUSTOM_GUIDANCE_PRESET, getGuidanceTemplate } from "./guidance-format.js";
+import { PLOT_DECAY_MODES } from "./plot-lifecycle.js";
+import { GENERATION_TYPES, POLICY_ACTIONS, getGenerationPolicy } from "./generation-policy.js";
 import { logger } from "./logger.js";
-import { validateNumericInput, createErrorHandler, ALLOWED_STYLES, ALLOWED_INTENSITIES } from "./security-utils.js";
+import { TRIGGER_MODES } from "./adaptive-trigger.js";
+import { PHASE_TRANSITION_MODES, PHASE_DETECTORS } from "./phase-transitions.js";
+import { validateNumericInput, createErrorHandler, ALLOWED_STYLES, ALLOWED_INTENSITIES, MIN_CANDIDATE_COUNT, MAX_CANDIDATE_COUNT, MIN_REPAIR_ATTEMPTS, MAX_REPAIR_ATTEMPTS, MIN_CONTEXT_BUDGET, MAX_CONTEXT_BUDGET, DEFAULT_CONTEXT_BUDGET, MIN_BACKEND_TEMPERATURE, MAX_BACKEND_TEMPERATURE, MIN_BACKEND_MAX_TOKENS, MAX_BACKEND_MAX_TOKENS, MIN_GENERATION_TIMEOUT, MAX_GENERATION_TIMEOUT, DEFAULT_GENERATION_TIMEOUT, MIN_RETRY_COUNT, MAX_RETRY_COUNT, MIN_INJECTION_DEPTH, MAX_INJECTION_DEPTH, MIN_PLOT_LIFETIME, MAX_PLOT_LIFETIME, MIN_INJECTION_SIZE_LIMIT, MAX_INJECTION_SIZE_LIMIT, DEFAULT_INJECTION_SIZE_LIMIT, MIN_FREQUENCY, MAX_FREQUENCY, MIN_ADAPTIVE_THRESHOLD, MAX_ADAPTIVE_THRESHOLD, DEFAULT_ADAPTIVE_THRESHOLD, MIN_PHASE_AUTO_THRESHOLD, MAX_PHASE_AUTO_THRESHOLD, DEFAULT_PHASE_AUTO_THRESHOLD, MIN_ARC_LENGTH, MAX_ARC_LENGTH, DEFAULT_ARC_LENGTH } from "./security-utils.js";
 
 const extensionName = "machinor-roundtable";
 const extensionFolderPath = `scripts/extensions/third-party/${extensionName}`;
@@ -18,9 +28,43 @@ const defaultSettings = {
     debugMode: false,
     currentTemplate: "universal-development",
     frequency: 3,
+    triggerMode: 'fixed',
+    adaptiveThreshold: DEFAULT_ADAPTIVE_THRESHOLD,
+    adaptiveMinTurns: 1,
+    phaseTransitions: 'confirm',
+    phaseDetector: 'heuristic',
+    phaseAutoThreshold: DEFAULT_PHASE_AUTO_THRESHOLD,
+    arcLength: DEFAULT_ARC_LENGTH,
     historyLimit: 5,
     plotStyle: 'natural',
     plotIntensity: 'moderate',
+    candidateCount: 1,
+    repairAttempts: 1,
+    contextBudget: DEFAULT_CONTEXT_BUDGET,
+    generationTimeout: DEFAULT_GENERATION_TIMEOUT,
+    retryCount: 2,
+    worldInfoScoring: false,
+    offlineFallback: true,
+    offlineMode: false,
+    injectionPosition: 'depth',
+    injectionDepth: 0,
+    injectionRole: 'system',
+    guidancePreset: 'bracketed',
+    guidanceTemplate: '',
+    plotLifetime: 0,
+    plotDecayMode: 'none',
+    resolutionCheck: false,
+    threadLifetime: 0,
+    pregenerateNextPlot: true,
+    generationPolicy: {},
+    injectionSizeLimit: DEFAULT_INJECTION_SIZE_LIMIT,
+    backendMode: 'main',
+    backendEndpoint: '',
+    backendApiKey: '',
+    backendModel: '',
+    backendProfileId: '',
+    backendTemperature: 0.8,
+    backendMaxTokens: 600,
     previewHistories: {},
     plotCount: 0
 };
@@ -37,7 +81,10 @@ class MachinorCore {
             plotEngine: null,
             chatInjector: null,
             plotPreview: null,
-            narrativeArc: null
+            narrativeArc: null,
+            promptTemplates: null,
+            arcTemplates: null,
+            plotBackend: null
         };
         /** @type {boolean} */
         this.isInitializing = true;
@@ -45,6 +92,12 @@ class MachinorCore {
         this.settings = { ...defaultSettings };
         /** @type {Array<{selector: string, event: string, handler: Function}>} */
         this.jQueryEventRefs = [];
+        /** @type {string} Template shown in the settings editor */
+        this.selectedTemplateId = BUILTIN_TEMPLATE_ID;
+        /** @type {number|null} */
+        this.promptPreviewTimer = null;
+        /** @type {string|null} Arc template shown in the settings editor (null while a new one is unsaved) */
+        this.selectedArcTemplateKey = null;
     }
 
     /**
@@ -69,6 +122,8 @@ class MachinorCore {
 
             // 4. Bind UI Events
             this.bindEvents();
+            this.renderPromptTemplates();
+            this.renderArcTemplates();
 
             // 5. Start Integration
             // Optional chaining
@@ -117,10 +172,16 @@ class MachinorCore {
     initializeComponents() {
         this.components.stIntegration = new STIntegrationManager();
         this.components.narrativeArc = new NarrativeArcManager(this.components.stIntegration);
+        this.components.promptTemplates = new PromptTemplateManager();
+        this.components.arcTemplates = new ArcTemplateManager(this.components.narrativeArc.initializeTemplates());
+        this.components.narrativeArc.setCustomTemplates(this.components.arcTemplates.getCustomTemplates());
+        this.components.plotBackend = new PlotBackend(this.components.stIntegration);
 
         this.components.plotEngine = new PlotEngine(
             this.components.stIntegration,
-            this.components.narrativeArc
+            this.components.narrativeArc,
+            this.components.promptTemplates,
+            this.components.plotBackend
         );
 
         this.components.plotPreview = new PlotPreviewManager(
@@ -155,6 +216,13 @@ class MachinorCore {
                 logger.log('Resetting Narrative Arc state due to chat switch');
                 this.components.narrativeArc.reset();
             }
+            // Character and chat template assignments depend on the open chat
+            this.renderPromptTemplates();
+        });
+
+        // ARC PERSISTENCE: Arc state is saved with the chat profile whenever it changes and restored on chat_ready
+        this.components.stIntegration?.on('arc_changed', (arcState) => {
+            this.saveArcState(arcState);
         });
     }
 
@@ -166,6 +234,8 @@ class MachinorCore {
     onChatReady(context) {
         logger.log(`onChatReady triggered`);
         // CHAT READY EVENT FLOW: STIntegrationManager emits 'chat_ready' when SillyTavern core is fully loaded. This triggers ChatInjector initialization and PlotPreview deferred init.
+        // The arc is restored first so the sidebar shows this chat's arc.
+        this.restoreArcState(context?.chatId);
         if (this.components.chatInjector) {
             logger.log(`Calling chatInjector.initialize()`);
             this.components.chatInjector.initialize();
@@ -175,6 +245,12 @@ class MachinorCore {
         if (this.components.plotPreview) {
             this.components.plotPreview.deferredInit();
         }
+        this.renderPromptTemplates();
+        // Connection profiles are loaded by SillyTavern after our settings panel
+        this.updateBackendUI();
+        // The active API is only known once SillyTavern is ready
+        this.updateInjectionUI();
+        this.updateGuidanceUI();
     }
 
     /**
@@ -212,16 +288,624 @@ class MachinorCore {
         $("#mr_enabled").prop("checked", this.settings.enabled ?? false);
         $("#mr_debug").prop("checked", this.settings.debugMode ?? false);
         $("#mr_frequency").val(this.settings.frequency ?? 3);
+        const triggerMode = TRIGGER_MODES.includes(this.settings.triggerMode) ? this.settings.triggerMode : 'fixed';
+        $("#mr_trigger_mode").val(triggerMode);
+        $("#mr_adaptive_threshold").val(this.settings.adaptiveThreshold ?? DEFAULT_ADAPTIVE_THRESHOLD);
+        $("#mr_adaptive_min_turns").val(this.settings.adaptiveMinTurns ?? 1);
+        $(".mr-adaptive-trigger-options").toggle(triggerMode === 'adaptive');
+        const phaseTransitions = PHASE_TRANSITION_MODES.includes(this.settings.phaseTransitions) ? this.settings.phaseTransitions : 'confirm';
+        $("#mr_phase_transitions").val(phaseTransitions);
+        $("#mr_phase_detector").val(PHASE_DETECTORS.includes(this.settings.phaseDetector) ? this.settings.phaseDetector : 'heuristic');
+        $("#mr_phase_auto_threshold").val(this.settings.phaseAutoThreshold ?? DEFAULT_PHASE_AUTO_THRESHOLD);
+        $(".mr-phase-transition-options").toggle(phaseTransitions !== 'off');
+        $(".mr-phase-auto-options").toggle(phaseTransitions === 'auto');
+        $("#mr_arc_length").val(this.settings.arcLength ?? DEFAULT_ARC_LENGTH);
         $("#mr_history_limit").val(this.settings.historyLimit ?? 5);
         $("#mr_plot_style").val(this.settings.plotStyle || 'natural');
         $("#mr_plot_intensity").val(this.settings.plotIntensity || 'moderate');
+        $("#mr_candidate_count").val(this.settings.candidateCount ?? 1);
+        $("#mr_repair_attempts").val(this.settings.repairAttempts ?? 1);
+        $("#mr_context_budget").val(this.settings.contextBudget ?? DEFAULT_CONTEXT_BUDGET);
+        $("#mr_generation_timeout").val(this.settings.generationTimeout ?? DEFAULT_GENERATION_TIMEOUT);
+        $("#mr_retry_count").val(this.settings.retryCount ?? 2);
+        $("#mr_world_info_scoring").prop("checked", this.settings.worldInfoScoring ?? false);
+        $("#mr_offline_fallback").prop("checked", this.settings.offlineFallback ?? true);
+        $("#mr_offline_mode").prop("checked", this.settings.offlineMode ?? false);
+        $("#mr_pregenerate_next_plot").prop("checked", this.settings.pregenerateNextPlot ?? true);
+        $("#mr_plot_lifetime").val(this.settings.plotLifetime ?? 0);
+        $("#mr_plot_decay_mode").val(PLOT_DECAY_MODES.includes(this.settings.plotDecayMode) ? this.settings.plotDecayMode : 'none');
+        $("#mr_resolution_check").prop("checked", this.settings.resolutionCheck ?? false);
+        // Decay and the expiry check only mean something for plots that expire
+        $(".mr-plot-lifetime-options").toggle((this.settings.plotLifetime ?? 0) > 0);
+        $("#mr_thread_lifetime").val(this.settings.threadLifetime ?? 0);
+        $("#mr_injection_size_limit").val(this.settings.injectionSizeLimit ?? DEFAULT_INJECTION_SIZE_LIMIT);
+        this.updateBackendUI();
+        this.updateInjectionUI();
+        this.updateGuidanceUI();
+        this.renderGenerationPolicy();
         $("#mr_plot_count").text(this.settings.plotCount || 0);
 
         // Update frequency counter display
         // Display current turn progress vs frequency target for user visibility
         const currentTurns = this.settings.turnsSinceLastGeneration || 0;
         const frequency = this.settings.frequency ?? 3;
-        $("#mr_turn_progress").text(`${currentTurns} / ${frequency}`);
+        $("#mr_turn_progress").text(triggerMode === 'adaptive' ? `${currentTurns} / max ${frequency}` : `${currentTurns} / ${frequency}`);
+
+        this.renderParseDiagnostics();
+    }
+
+    /**
+     * Render the generation type policy table from settings
+     * @returns {void}
+     */
+    renderGenerationPolicy() {
+        const table = document.getElementById('mr_generation_policy');
+        if (!table) return;
+        table.textContent = '';
+
+        Object.entries(GENERATION_TYPES).forEach(([type, { label }]) => {
+            const policy = getGenerationPolicy(this.settings, type);
+
+            const row = document.createElement('div');
+            row.className = 'mr-policy-row';
+
+            const name = document.createElement('span');
+            name.className = 'mr-policy-type';
+            name.textContent = label;
+
+            const select = document.createElement('select');
+            select.className = 'mr-select';
+            select.dataset.type = type;
+            select.dataset.field = 'action';
+            Object.entries(POLICY_ACTIONS).forEach(([action, option]) => {
+                const element = document.createElement('option');
+                element.value = action;
+                element.textContent = option.label;
+                select.appendChild(element);
+            });
+            select.value = policy.action;
+
+            const counts = document.createElement('label');
+            counts.className = 'mr-policy-counts';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.type = type;
+            checkbox.dataset.field = 'countsAsTurn';
+            checkbox.checked = policy.countsAsTurn;
+            counts.appendChild(checkbox);
+            counts.appendChild(document.createTextNode(' Counts as turn'));
+
+            row.appendChild(name);
+            row.appendChild(select);
+            row.appendChild(counts);
+            table.appendChild(row);
+        });
+    }
+
+    /**
+     * Sync the injection controls with settings and show the effective placement for the active API
+     * @returns {void}
+     */
+    updateInjectionUI() {
+        const placement = getPlacement(this.settings);
+        const mainApi = getContext()?.mainApi ?? '';
+
+        $("#mr_injection_position").val(placement.position);
+        $("#mr_injection_depth").val(placement.depth);
+        $("#mr_injection_role").val(placement.role);
+
+        $(".mr-injection-depth-options").toggle(placement.position === 'depth');
+        // Role only applies to separate chat-completion messages
+        $("#mr_injection_role").prop("disabled", !isChatCompletionApi(mainApi) || placement.position === 'system_prompt');
+        $("#mr_injection_effective").text(describePlacement(placement, mainApi));
+    }
+
+    /**
+     * Sync the guidance wrapper controls with settings and refresh the preview
+     * Preset templates are shown read-only; choosing Custom makes the template editable.
+     * @returns {void}
+     */
+    updateGuidanceUI() {
+        const select = document.getElementById('mr_guidance_preset');
+        if (select && select.childElementCount === 0) {
+            const presets = Object.entries(GUIDANCE_PRESETS).map(([value, preset]) => ({ value, label: preset.label }));
+            [...presets, { value: CUSTOM_GUIDANCE_PRESET, label: 'Custom' }].forEach(({ value, label }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+        }
+
+        const macroList = document.getElementById('mr_guidance_macros');
+        if (macroList && macroList.childElementCount === 0) {
+            GUIDANCE_MACROS.forEach(macro => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'mr-macro-chip';
+                chip.dataset.macro = macro.name;
+                chip.title = macro.description;
+                chip.textContent = `{{${macro.name}}}`;
+                macroList.appendChild(chip);
+            });
+        }
+
+        const isCustom = this.settings.guidancePreset === CUSTOM_GUIDANCE_PRESET;
+        $("#mr_guidance_preset").val(isCustom || GUIDANCE_PRESETS[this.settings.guidancePreset] ? this.settings.guidancePreset : 'bracketed');
+        $("#mr_guidance_template")
+            .val(isCustom ? (this.settings.guidanceTemplate ?? '') : getGuidanceTemplate(this.settings))
+            .prop("readonly", !isCustom);
+        this.updateGuidancePreview();
+    }
+
+    /**
+     * Render the guidance wrapper for the current plot, or a sample plot outside a chat
+     * @returns {void}
+     */
+    updateGuidancePreview() {
+        const preview = document.getElementById('mr_guidance_preview');
+        const chatInjector = this.components.chatInjector;
+        if (!preview || !chatInjector) return;
+
+        const currentPlot = this.components.plotPreview?.getCurrentPlot()?.text;
+        const plotText = currentPlot || 'A stranger arrives with news that cannot wait.';
+        const template = this.settings.guidancePreset === CUSTOM_GUIDANCE_PRESET
+            ? String($("#mr_guidance_template").val() ?? '')
+            : getGuidanceTemplate(this.settings);
+
+        preview.textContent = chatInjector.buildGuidanceText(plotText, chatInjector.getCurrentInsights(), {
+            style: this.settings.plotStyle,
+            intensity: this.settings.plotIntensity,
+            turnsRemaining: chatInjector.getTurnsRemaining(false)
+        }, template.trim() ? template : undefined);
+        $("#mr_guidance_preview_source").text(currentPlot ? 'Rendered for the current plot' : 'No current plot - rendered for a sample plot');
+    }
+
+    /**
+     * Insert a {{macro}} at the cursor of an editable textarea
+     * @param {string} textareaId - Textarea element ID
+     * @param {string} macro - Macro name
+     * @returns {boolean} True if inserted
+     */
+    insertMacroAtCursor(textareaId, macro) {
+        const textarea = /** @type {HTMLTextAreaElement} */ (document.getElementById(textareaId));
+        if (!macro || !textarea || textarea.readOnly) return false;
+
+        const insert = `{{${macro}}}`;
+        const start = textarea.selectionStart;
+        textarea.value = textarea.value.substring(0, start) + insert + textarea.value.substring(textarea.selectionEnd);
+        textarea.selectionStart = textarea.selectionEnd = start + insert.length;
+        textarea.focus();
+        return true;
+    }
+
+    /**
+     * Sync the plot backend controls with settings and show only the fields the mode needs
+     * @returns {void}
+     */
+    updateBackendUI() {
+        const mode = BACKEND_MODES.includes(this.settings.backendMode) ? this.settings.backendMode : 'main';
+        $("#mr_backend_mode").val(mode);
+        $("#mr_backend_endpoint").val(this.settings.backendEndpoint ?? '');
+        $("#mr_backend_api_key").val(this.settings.backendApiKey ?? '');
+        $("#mr_backend_model").val(this.settings.backendModel ?? '');
+        $("#mr_backend_temperature").val(this.settings.backendTemperature ?? 0.8);
+        $("#mr_backend_max_tokens").val(this.settings.backendMaxTokens ?? 600);
+
+        const profileSelect = document.getElementById('mr_backend_profile');
+        if (profileSelect) {
+            profileSelect.textContent = '';
+            const placeholder = document.createElement('option');
+            placeholder.value = '';
+            placeholder.textContent = '-- Select a profile --';
+            profileSelect.appendChild(placeholder);
+            (this.components.plotBackend?.getConnectionProfiles() || []).forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = profile.name;
+                profileSelect.appendChild(option);
+            });
+            $(profileSelect).val(this.settings.backendProfileId ?? '');
+        }
+
+        $(".mr-backend-endpoint-options").toggle(mode === 'openai_compatible');
+        $(".mr-backend-profile-options").toggle(mode === 'connection_profile');
+        $(".mr-backend-dedicated-options").toggle(mode !== 'main');
+    }
+
+    /**
+     * Render per-model plot parsing diagnostics in the settings panel
+     * @returns {void}
+     */
+    renderParseDiagnostics() {
+        const container = document.getElementById('mr_parse_diagnostics');
+        if (!container) return;
+
+        container.textContent = '';
+        const entries = Object.entries(this.settings.parseDiagnostics || {})
+            .sort(([, a], [, b]) => (b.lastSeen || 0) - (a.lastSeen || 0));
+
+        if (entries.length === 0) {
+            container.textContent = 'No plot responses recorded yet';
+            return;
+        }
+
+        entries.forEach(([model, stats]) => {
+            const row = document.createElement('div');
+            row.className = 'mr-diagnostics-row';
+
+            const name = document.createElement('div');
+            name.className = 'mr-diagnostics-model';
+            name.textContent = model;
+
+            const summary = document.createElement('div');
+            summary.className = 'mr-diagnostics-summary';
+            summary.textContent = `${stats.responses} responses · ${stats.clean} clean · ${stats.repairedLocally} repaired locally · ${stats.repairPrompts} repair prompts · ${stats.failures} failed`;
+
+            row.appendChild(name);
+            row.appendChild(summary);
+
+            const topReasons = Object.entries(stats.reasons || {})
+                .sort(([, a], [, b]) => b - a)
+                .slice(0, 5);
+            if (topReasons.length > 0) {
+                const reasons = document.createElement('div');
+                reasons.className = 'mr-diagnostics-reasons';
+                reasons.textContent = topReasons.map(([reason, count]) => `${reason} ×${count}`).join(', ');
+                row.appendChild(reasons);
+            }
+
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Render the prompt template selector, editor, macro list and active-template label
+     * @returns {void}
+     */
+    renderPromptTemplates() {
+        const manager = this.components.promptTemplates;
+        const select = document.getElementById('mr_prompt_template_select');
+        if (!manager || !select) return;
+
+        const templates = manager.getTemplates();
+        if (!templates.some(template => template.id === this.selectedTemplateId)) {
+            this.selectedTemplateId = BUILTIN_TEMPLATE_ID;
+        }
+
+        select.textContent = '';
+        templates.forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.readOnly ? `${template.name} (read-only)` : template.name;
+            select.appendChild(option);
+        });
+        select.value = this.selectedTemplateId;
+
+        const macroList = document.getElementById('mr_prompt_macros');
+        if (macroList && macroList.childElementCount === 0) {
+            PROMPT_MACROS.forEach(macro => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'mr-macro-chip';
+                chip.dataset.macro = macro.name;
+                chip.title = macro.description;
+                chip.textContent = `{{${macro.name}}}`;
+                macroList.appendChild(chip);
+            });
+        }
+
+        const { template: active, scope } = manager.resolveTemplate();
+        const scopeLabels = { chat: 'this chat', character: 'this character', global: 'global', default: 'default' };
+        $("#mr_prompt_template_active").text(`Active: ${active.name} (${scopeLabels[scope]})`);
+
+        this.loadTemplateIntoEditor(this.selectedTemplateId);
+    }
+
+    /**
+     * Show a template in the settings editor
+     * @param {string} templateId - Template ID
+     * @returns {void}
+     */
+    loadTemplateIntoEditor(templateId) {
+        const template = this.components.promptTemplates?.getTemplate(templateId);
+        if (!template) return;
+
+        this.selectedTemplateId = template.id;
+        $("#mr_prompt_template_name").val(template.name).prop("readonly", !!template.readOnly);
+        $("#mr_prompt_template_body").val(template.body).prop("readonly", !!template.readOnly);
+        $("#mr_prompt_template_save, #mr_prompt_template_delete").prop("disabled", !!template.readOnly);
+        this.updatePromptPreview();
+    }
+
+    /**
+     * Render the arc template selector and show the selected template in the editor
+     * @returns {void}
+     */
+    renderArcTemplates() {
+        const manager = this.components.arcTemplates;
+        const select = document.getElementById('mr_arc_template_select');
+        if (!manager || !select) return;
+
+        const templates = manager.getTemplates();
+        select.textContent = '';
+        templates.forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.key;
+            option.textContent = template.readOnly ? `${template.name} (read-only)` : template.name;
+            select.appendChild(option);
+        });
+
+        const selected = manager.getTemplate(this.selectedArcTemplateKey) ?? templates[0];
+        if (selected) this.loadArcTemplateIntoEditor(selected);
+    }
+
+    /**
+     * Show an arc template in the settings editor
+     * @param {Object} template - Template (no key for a new, unsaved one)
+     * @returns {void}
+     */
+    loadArcTemplateIntoEditor(template) {
+        const readOnly = !!template.readOnly;
+        this.selectedArcTemplateKey = template.key ?? null;
+        $("#mr_arc_template_select").val(template.key ?? '');
+        $("#mr_arc_template_name").val(template.name ?? '').prop("readonly", readOnly);
+
+        const phaseList = document.getElementById('mr_arc_template_phases');
+        const branchList = document.getElementById('mr_arc_template_branches');
+        if (!phaseList || !branchList) return;
+
+        phaseList.textContent = '';
+        (template.phases ?? []).forEach(phase => phaseList.appendChild(this.createArcPhaseRow(phase, readOnly)));
+        branchList.textContent = '';
+        (template.branching ?? []).forEach(branch => branchList.appendChild(this.createArcBranchRow(branch, readOnly)));
+        this.refreshArcBranchSources();
+
+        $("#mr_arc_template_save, #mr_arc_template_delete, #mr_arc_template_add_phase, #mr_arc_template_add_branch").prop("disabled", readOnly);
+        $("#mr_arc_template_delete").prop("disabled", readOnly || !template.key);
+        $("#mr_arc_template_export").prop("disabled", !template.key);
+        this.updateArcWeightTotal();
+    }
+
+    /**
+     * Build an editor row for an arc phase
+     * @param {Object} phase - Phase ({} for a new one)
+     * @param {boolean} readOnly - True for built-in templates
+     * @returns {HTMLElement} Row
+     */
+    createArcPhaseRow(phase, readOnly) {
+        const row = document.createElement('div');
+        row.className = 'mr-arc-row mr-arc-row-phase';
+
+        const field = (tag, name, value, placeholder, wide = false) => {
+            const input = document.createElement(tag);
+            input.className = `mr-input${wide ? ' mr-arc-row-wide' : ''}`;
+            input.dataset.field = name;
+            input.value = value ?? '';
+            input.placeholder = placeholder;
+            input.readOnly = readOnly;
+            if (tag === 'textarea') input.rows = 2;
+            row.appendChild(input);
+            return input;
+        };
+
+        field('input', 'name', phase.name, 'Phase name');
+        const weight = field('input', 'weight', phase.weight, 'Weight');
+        weight.type = 'number';
+        weight.min = '1';
+        weight.max = String(TOTAL_PHASE_WEIGHT);
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'mr-btn-icon mr-arc-row-remove';
+        remove.title = 'Remove Phase';
+        remove.disabled = readOnly;
+        const icon = document.createElement('i');
+        icon.className = 'fa-solid fa-xmark';
+        remove.appendChild(icon);
+        row.appendChild(remove);
+
+        field('input', 'description', phase.description, 'What happens in this phase', true);
+        field('textarea', 'prompt', phase.prompt, 'Plot prompt (optional): direction for plots in this phase', true);
+        field('input', 'exit', phase.exit, 'Exit criteria: what has to happen before the phase is over', true);
+        field('input', 'cues', (phase.cues ?? []).join(', '), 'Cue words that suggest it has, separated by commas', true);
+        return row;
+    }
+
+    /**
+     * Build an editor row for an arc branch
+     * @param {{from?: string, options?: string[]}} branch - Branch ({} for a new one)
+     * @param {boolean} readOnly - True for built-in templates
+     * @returns {HTMLElement} Row
+     */
+    createArcBranchRow(branch, readOnly) {
+        const row = document.createElement('div');
+        row.className = 'mr-arc-row mr-arc-row-branch';
+
+        const from = document.createElement('select');
+        from.className = 'mr-select';
+        from.dataset.field = 'from';
+        from.dataset.value = branch.from ?? '';
+        from.disabled = readOnly;
+        row.appendChild(from);
+
+        const options = document.createElement('input');
+        options.className = 'mr-input';
+        options.dataset.field = 'options';
+        options.value = (branch.options ?? []).join(', ');
+        options.placeholder = 'slow_burn, quick_connection';
+        options.readOnly = readOnly;
+        row.appendChild(options);
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'mr-btn-icon mr-arc-row-remove';
+        remove.title = 'Remove Branch';
+        remove.disabled = readOnly;
+        const icon = document.createElement('i');
+        icon.className = 'fa-solid fa-xmark';
+        remove.appendChild(icon);
+        row.appendChild(remove);
+        return row;
+    }
+
+    /**
+     * Fill each branch's phase selector from the phase names in the editor
+     * A branch pointing at a phase that no longer exists keeps it as an option so validation can flag it.
+     * @returns {void}
+     */
+    refreshArcBranchSources() {
+        const phaseNames = $("#mr_arc_template_phases [data-field='name']").map((i, input) => toTemplateKey(input.value)).get().filter(Boolean);
+        $("#mr_arc_template_branches select[data-field='from']").each((i, select) => {
+            const current = select.value || select.dataset.value;
+            select.textContent = '';
+            const names = current && !phaseNames.includes(current) ? [...phaseNames, current] : phaseNames;
+            names.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = phaseNames.includes(name) ? name : `${name} (missing)`;
+                select.appendChild(option);
+            });
+            select.value = current || phaseNames[0] || '';
+        });
+    }
+
+    /**
+     * Show the phase weight total next to the phase list
+     * @returns {void}
+     */
+    updateArcWeightTotal() {
+        const total = $("#mr_arc_template_phases [data-field='weight']").get()
+            .reduce((sum, input) => sum + (parseInt(input.value, 10) || 0), 0);
+        $("#mr_arc_template_weight")
+            .text(`Total weight: ${total} / ${TOTAL_PHASE_WEIGHT}`)
+            .toggleClass('mr-arc-weight-invalid', total !== TOTAL_PHASE_WEIGHT);
+    }
+
+    /**
+     * Read the arc template in the editor
+     * Names are turned into keys; validation happens when it is saved.
+     * @returns {Object} Template
+     */
+    readArcTemplateEditor() {
+        const list = (text) => String(text ?? '').split(',').map(item => item.trim()).filter(Boolean);
+        const value = (row, name) => String($(row).find(`[data-field='${name}']`).val() ?? '');
+
+        return {
+            key: this.selectedArcTemplateKey,
+            name: String($("#mr_arc_template_name").val() ?? ''),
+            phases: $("#mr_arc_template_phases .mr-arc-row").get().map(row => ({
+                name: toTemplateKey(value(row, 'name')),
+                description: value(row, 'description').trim(),
+                weight: Number(value(row, 'weight')),
+                prompt: value(row, 'prompt').trim(),
+                exit: value(row, 'exit').trim(),
+                cues: list(value(row, 'cues'))
+            })),
+            branching: $("#mr_arc_template_branches .mr-arc-row").get().map(row => ({
+                from: value(row, 'from'),
+                options: list(value(row, 'options')).map(toTemplateKey)
+            }))
+        };
+    }
+
+    /**
+     * Push the saved arc templates to the arc system and refresh the editor and sidebar picker
+     * @returns {void}
+     */
+    applyArcTemplates() {
+        this.components.narrativeArc?.setCustomTemplates(this.components.arcTemplates?.getCustomTemplates());
+        this.renderArcTemplates();
+        this.components.plotPreview?.renderArcPicker();
+    }
+
+    /**
+     * Download arc templates as a JSON file
+     * @param {Array<Object>} templates - Templates to export
+     * @param {string} fileName - File name without extension
+     * @returns {void}
+     */
+    downloadArcTemplates(templates, fileName) {
+        if (templates.length === 0) {
+            // @ts-ignore - toastr is a global library
+            if (window.toastr) window.toastr.info('No custom arc templates to export', 'Machinor Roundtable');
+            return;
+        }
+
+        const blob = new Blob([serializeArcTemplates(templates)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${fileName.replace(/[^\w-]+/g, '_')}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Import arc templates from a file chosen by the user
+     * @param {File} file - Export file
+     * @returns {Promise<void>}
+     */
+    async importArcTemplates(file) {
+        try {
+            const { imported, errors } = this.components.arcTemplates.importTemplates(await file.text());
+            if (imported.length > 0) {
+                this.selectedArcTemplateKey = imported[0].key;
+                this.saveSettings();
+                this.applyArcTemplates();
+            }
+
+            // @ts-ignore - toastr is a global library
+            if (!window.toastr) return;
+            if (imported.length > 0) {
+                // @ts-ignore
+                window.toastr.success(`Imported ${imported.length} arc template(s)`, 'Machinor Roundtable');
+            }
+            if (errors.length > 0) {
+                // @ts-ignore
+                window.toastr.warning(errors.join('\n'), `Rejected ${errors.length} template(s)`);
+            }
+        } catch (error) {
+            logger.error('Failed to import arc templates:', error);
+            // @ts-ignore
+            if (window.toastr) window.toastr.error('Could not read that file', 'Machinor Roundtable');
+        }
+    }
+
+    /**
+     * Expand the template in the editor against the current chat and show it
+     * @returns {Promise<void>}
+     */
+    async updatePromptPreview() {
+        const preview = document.getElementById('mr_prompt_preview');
+        const plotEngine = this.components.plotEngine;
+        if (!preview || !plotEngine) return;
+
+        const character = this.components.stIntegration?.getActiveCharacters()[0];
+        if (!character) {
+            preview.textContent = 'Open a chat to preview the expanded prompt';
+            return;
+        }
+
+        try {
+            const chatHistory = this.components.chatInjector?.getRecentChatHistory() || [];
+            const { prompt, assembly } = await plotEngine.buildBestPrompt(character, chatHistory, {
+                style: this.settings.plotStyle,
+                intensity: this.settings.plotIntensity,
+                candidateCount: this.settings.candidateCount ?? 1,
+                templateBody: String($("#mr_prompt_template_body").val() ?? '')
+            });
+            preview.textContent = prompt;
+
+            const trimmedSections = [...new Set(assembly.trimmed.map(record => record.section))];
+            $("#mr_prompt_preview_usage").text(
+                `Context: ${assembly.usedTokens} / ${assembly.budget} tokens available to sections` +
+                (trimmedSections.length > 0 ? ` · trimmed: ${trimmedSections.join(', ')}` : '')
+            );
+        } catch (error) {
+            logger.error('Failed to build prompt preview:', error);
+            preview.textContent = 'Preview unavailable';
+        }
     }
 
     /**
@@ -267,6 +951,52 @@ class MachinorCore {
             this.updateSettingsUI(); // Update progress display immediately
         });
 
+        bind("#mr_trigger_mode", "change", (e) => {
+            const val = $(e.target).val();
+            this.settings.triggerMode = TRIGGER_MODES.includes(val) ? val : 'fixed';
+            this.saveSettings();
+            this.updateSettingsUI();
+        });
+
+        bind("#mr_adaptive_threshold", "change", (e) => {
+            const val = $(e.target).val();
+            this.settings.adaptiveThreshold = validateNumericInput(val, MIN_ADAPTIVE_THRESHOLD, MAX_ADAPTIVE_THRESHOLD, DEFAULT_ADAPTIVE_THRESHOLD);
+            this.saveSettings();
+        });
+
+        bind("#mr_adaptive_min_turns", "change", (e) => {
+            const val = $(e.target).val();
+            this.settings.adaptiveMinTurns = validateNumericInput(val, MIN_FREQUENCY, MAX_FREQUENCY, 1);
+            this.saveSettings();
+        });
+
+        bind("#mr_phase_transitions", "change", (e) => {
+            const val = $(e.target).val();
+            this.settings.phaseTransitions = PHASE_TRANSITION_MODES.includes(val) ? val : 'confirm';
+            this.saveSettings();
+            this.updateSettingsUI();
+        });
+
+        bind("#mr_phase_detector", "change", (e) => {
+            const val = $(e.target).val();
+            this.settings.phaseDetector = PHASE_DETECTORS.includes(val) ? val : 'heuristic';
+            this.saveSettings();
+        });
+
+        bind("#mr_phase_auto_threshold", "change", (e) => {
+            const val = $(e.target).val();
+            this.settings.phaseAutoThreshold = validateNumericInput(val, MIN_PHASE_AUTO_THRESHOLD, MAX_PHASE_AUTO_THRESHOLD, DEFAULT_PHASE_AUTO_THRESHOLD);
+            this.saveSettings();
+        });
+
+        bind("#mr_arc_length", "change", (e) => {
+            const val = $(e.target).val();
+            this.settings.arcLength = validateNumericInput(val, MIN_ARC_LENGTH, MAX_ARC_LENGTH, DEFAULT_ARC_LENGTH);
+            this.saveSettings();
+            // Phase targets, and with them progress and pacing, depend on the arc length
+            this.components.plotPreview?.updateArcDisplay();
+        });
+
         bind("#mr_reset_counter", "click", () => {
             this.settings.turnsSinceLastGeneration = 0;
             this.saveSettings();
@@ -281,11 +1011,381 @@ class MachinorCore {
             this.saveSettings();
         });
 
+        bind("#mr_candidate_count", "input", (e) => {
+            const val = $(e.target).val();
+            this.settings.candidateCount = validateNumericInput(val, MIN_CANDIDATE_COUNT, MAX_CANDIDATE_COUNT, 1);
+            this.saveSettings();
+        });
+
+        bind("#mr_repair_attempts", "input", (e) => {
+            const val = $(e.target).val();
+            this.settings.repairAttempts = validateNumericInput(val, MIN_REPAIR_ATTEMPTS, MAX_REPAIR_ATTEMPTS, 1);
+            this.saveSettings();
+        });
+
+        bind("#mr_generation_timeout", "change", (e) => {
+            const val = $(e.target).val();
+            this.settings.generationTimeout = validateNumericInput(val, MIN_GENERATION_TIMEOUT, MAX_GENERATION_TIMEOUT, DEFAULT_GENERATION_TIMEOUT);
+            $(e.target).val(this.settings.generationTimeout);
+            this.saveSettings();
+        });
+
+        bind("#mr_retry_count", "input", (e) => {
+            const val = $(e.target).val();
+            this.settings.retryCount = validateNumericInput(val, MIN_RETRY_COUNT, MAX_RETRY_COUNT, 2);
+            this.saveSettings();
+        });
+
+        bind("#mr_context_budget", "change", (e) => {
+            const val = $(e.target).val();
+            this.settings.contextBudget = validateNumericInput(val, MIN_CONTEXT_BUDGET, MAX_CONTEXT_BUDGET, DEFAULT_CONTEXT_BUDGET);
+            $(e.target).val(this.settings.contextBudget);
+            this.saveSettings();
+            this.updatePromptPreview();
+        });
+
+        bind("#mr_world_info_scoring", "input", (e) => {
+            this.settings.worldInfoScoring = $(e.target).prop("checked");
+            this.saveSettings();
+        });
+
+        bind("#mr_injection_position", "change", (e) => {
+            const val = $(e.target).val();
+            this.settings.injectionPosition = INJECTION_POSITIONS.includes(val) ? val : 'depth';
+            this.saveSettings();
+            this.updateInjectionUI();
+        });
+
+        bind("#mr_injection_depth", "change", (e) => {
+            const val = $(e.target).val();
+            this.settings.injectionDepth = validateNumericInput(val, MIN_INJECTION_DEPTH, MAX_INJECTION_DEPTH, 0);
+            this.saveSettings();
+            this.updateInjectionUI();
+        });
+
+        bind("#mr_injection_role", "change", (e) => {
+            const val = $(e.target).val();
+            this.settings.injectionRole = INJECTION_ROLES.includes(val) ? val : 'system';
+            this.saveSettings();
+            this.updateInjectionUI();
+        });
+
+        bind("#mr_offline_fallback", "input", (e) => {
+            this.settings.offlineFallback = $(e.target).prop("checked");
+            this.saveSettings();
+        });
+
+        bind("#mr_offline_mode", "input", (e) => {
+            this.settings.offlineMode = $(e.target).prop("checked");
+            this.saveSettings();
+        });
+
+        bind("#mr_pregenerate_next_plot", "input", (e) => {
+            this.settings.pregenerateNextPlot = $(e.target).prop("checked");
+            this.saveSettings();
+            if (!this.settings.pregenerateNextPlot) {
+                this.components.plotPreview?.clearNextPlot('background generation turned off');
+            }
+        });
+
+        bind("#mr_backend_mode", "change", (e) => {
+            const val = $(e.target).val();
+            this.settings.backendMode = BACKEND_MODES.includes(val) ? val : 'main';
+            this.saveSettings();
+            this.updateBackendUI();
+        });
+
+        bind("#mr_backend_endpoint, #mr_backend_api_key, #mr_backend_model", "change", () => {
+            this.settings.backendEndpoint = String($("#mr_backend_endpoint").val() ?? '').trim();
+            this.settings.backendApiKey = String($("#mr_backend_api_key").val() ?? '').trim();
+            this.settings.backendModel = String($("#mr_backend_model").val() ?? '').trim();
+            this.saveSettings();
+        });
+
+        bind("#mr_backend_profile", "change", (e) => {
+            this.settings.backendProfileId = String($(e.target).val() ?? '');
+            this.saveSettings();
+        });
+
+        bind("#mr_backend_temperature", "change", (e) => {
+            // validateNumericInput is integer-only, temperature needs decimals
+            const val = parseFloat(String($(e.target).val()));
+            this.settings.backendTemperature = isNaN(val)
+                ? 0.8
+                : Math.max(MIN_BACKEND_TEMPERATURE, Math.min(MAX_BACKEND_TEMPERATURE, val));
+            $(e.target).val(this.settings.backendTemperature);
+            this.saveSettings();
+        });
+
+        bind("#mr_backend_max_tokens", "change", (e) => {
+            const val = $(e.target).val();
+            this.settings.backendMaxTokens = validateNumericInput(val, MIN_BACKEND_MAX_TOKENS, MAX_BACKEND_MAX_TOKENS, 600);
+            $(e.target).val(this.settings.backendMaxTokens);
+            this.saveSettings();
+        });
+
+        bind("#mr_backend_test", "click", async () => {
+            $("#mr_backend_status").text('Testing...');
+            const result = await this.components.plotBackend?.testConnection();
+            $("#mr_backend_status").text(result ? `${result.ok ? '✓' : '✗'} ${result.message}` : '');
+        });
+
+        bind("#mr_clear_diagnostics", "click", () => {
+            this.settings.parseDiagnostics = {};
+            this.saveSettings();
+            this.renderParseDiagnostics();
+        });
+
+        bind("#mr_prompt_template_select", "change", (e) => {
+            this.loadTemplateIntoEditor(String($(e.target).val()));
+        });
+
+        bind("#mr_prompt_template_body", "input", () => {
+            // Debounce the live preview - world info and chat formatting run on every rebuild
+            clearTimeout(this.promptPreviewTimer);
+            this.promptPreviewTimer = setTimeout(() => this.updatePromptPreview(), 300);
+        });
+
+        bind("#mr_prompt_macros", "click", (e) => {
+            const macro = $(e.target).closest('.mr-macro-chip').data('macro');
+            if (this.insertMacroAtCursor('mr_prompt_template_body', macro)) {
+                this.updatePromptPreview();
+            }
+        });
+
+        bind("#mr_plot_lifetime", "change", (e) => {
+            const val = $(e.target).val();
+            this.settings.plotLifetime = validateNumericInput(val, MIN_PLOT_LIFETIME, MAX_PLOT_LIFETIME, 0);
+            this.saveSettings();
+            this.updateSettingsUI();
+        });
+
+        bind("#mr_thread_lifetime", "change", (e) => {
+            const val = $(e.target).val();
+            this.settings.threadLifetime = validateNumericInput(val, MIN_PLOT_LIFETIME, MAX_PLOT_LIFETIME, 0);
+            this.saveSettings();
+        });
+
+        bind("#mr_injection_size_limit", "change", (e) => {
+            const val = $(e.target).val();
+            this.settings.injectionSizeLimit = validateNumericInput(val, MIN_INJECTION_SIZE_LIMIT, MAX_INJECTION_SIZE_LIMIT, DEFAULT_INJECTION_SIZE_LIMIT);
+            this.saveSettings();
+        });
+
+        bind("#mr_plot_decay_mode", "change", (e) => {
+            const val = $(e.target).val();
+            this.settings.plotDecayMode = PLOT_DECAY_MODES.includes(val) ? val : 'none';
+            this.saveSettings();
+        });
+
+        bind("#mr_resolution_check", "input", (e) => {
+            this.settings.resolutionCheck = $(e.target).prop("checked");
+            this.saveSettings();
+        });
+
+        bind("#mr_guidance_preset", "change", (e) => {
+            const val = String($(e.target).val());
+            // Custom starts from the wrapper that was in use, so there is something to edit
+            if (val === CUSTOM_GUIDANCE_PRESET && !String(this.settings.guidanceTemplate ?? '').trim()) {
+                this.settings.guidanceTemplate = getGuidanceTemplate(this.settings);
+            }
+            this.settings.guidancePreset = val === CUSTOM_GUIDANCE_PRESET || GUIDANCE_PRESETS[val] ? val : 'bracketed';
+            this.saveSettings();
+            this.updateGuidanceUI();
+        });
+
+        bind("#mr_guidance_template", "input", (e) => {
+            if (this.settings.guidancePreset !== CUSTOM_GUIDANCE_PRESET) return;
+            this.settings.guidanceTemplate = String($(e.target).val() ?? '');
+            this.saveSettings();
+            this.updateGuidancePreview();
+        });
+
+        bind("#mr_generation_policy", "change", (e) => {
+            const { type, field } = e.target.dataset;
+            if (!GENERATION_TYPES[type]) return;
+
+            const policy = getGenerationPolicy(this.settings, type);
+            if (field === 'action') {
+                const val = $(e.target).val();
+                policy.action = POLICY_ACTIONS[val] ? val : policy.action;
+            } else if (field === 'countsAsTurn') {
+                policy.countsAsTurn = $(e.target).prop("checked");
+            }
+            // A new object, so the shared defaults are never mutated
+            this.settings.generationPolicy = { ...this.settings.generationPolicy, [type]: policy };
+            this.saveSettings();
+        });
+
+        bind("#mr_guidance_macros", "click", (e) => {
+            const macro = $(e.target).closest('.mr-macro-chip').data('macro');
+            if (this.insertMacroAtCursor('mr_guidance_template', macro)) {
+                this.settings.guidanceTemplate = String($("#mr_guidance_template").val() ?? '');
+                this.saveSettings();
+                this.updateGuidancePreview();
+            }
+        });
+
+        bind("#mr_prompt_template_duplicate", "click", () => {
+            const source = this.components.promptTemplates?.getTemplate(this.selectedTemplateId);
+            if (!source) return;
+            const copy = this.components.promptTemplates.saveTemplate({
+                name: `${source.name} (copy)`,
+                body: String($("#mr_prompt_template_body").val() || source.body)
+            });
+            this.selectedTemplateId = copy.id;
+            this.saveSettings();
+            this.renderPromptTemplates();
+        });
+
+        bind("#mr_prompt_template_save", "click", () => {
+            try {
+                this.components.promptTemplates?.saveTemplate({
+                    id: this.selectedTemplateId,
+                    name: String($("#mr_prompt_template_name").val() ?? ''),
+                    body: String($("#mr_prompt_template_body").val() ?? '')
+                });
+                this.saveSettings();
+                this.renderPromptTemplates();
+                // @ts-ignore - toastr is a global library
+                if (window.toastr) window.toastr.success('Template saved', 'Machinor Roundtable');
+            } catch (error) {
+                // @ts-ignore
+                if (window.toastr) window.toastr.warning(error.message, 'Machinor Roundtable');
+            }
+        });
+
+        bind("#mr_prompt_template_delete", "click", () => {
+            const template = this.components.promptTemplates?.getTemplate(this.selectedTemplateId);
+            if (!template || template.readOnly) return;
+            if (!confirm(`Delete template "${template.name}"?`)) return;
+
+            this.components.promptTemplates.deleteTemplate(template.id);
+            this.selectedTemplateId = BUILTIN_TEMPLATE_ID;
+            this.saveSettings();
+            this.renderPromptTemplates();
+        });
+
+        bind("#mr_prompt_template_assign", "click", () => {
+            const scope = String($("#mr_prompt_template_scope").val());
+            if (this.components.promptTemplates?.assignTemplate(scope, this.selectedTemplateId)) {
+                this.saveSettings();
+                this.renderPromptTemplates();
+            } else {
+                // @ts-ignore
+                if (window.toastr) window.toastr.warning(`No ${scope} available - open a single-character chat first`, 'Machinor Roundtable');
+            }
+        });
+
+        bind("#mr_prompt_template_unassign", "click", () => {
+            const scope = String($("#mr_prompt_template_scope").val());
+            if (this.components.promptTemplates?.assignTemplate(scope, null)) {
+                this.saveSettings();
+                this.renderPromptTemplates();
+            }
+        });
+
+        bind("#mr_arc_template_select", "change", (e) => {
+            const template = this.components.arcTemplates?.getTemplate(String($(e.target).val()));
+            if (template) this.loadArcTemplateIntoEditor(template);
+        });
+
+        bind("#mr_arc_template_phases", "input", (e) => {
+            if (e.target.dataset.field === 'weight') this.updateArcWeightTotal();
+        });
+
+        bind("#mr_arc_template_phases", "change", (e) => {
+            if (e.target.dataset.field === 'name') this.refreshArcBranchSources();
+        });
+
+        bind("#mr_arc_template_phases, #mr_arc_template_branches", "click", (e) => {
+            const remove = $(e.target).closest('.mr-arc-row-remove');
+            if (remove.length === 0 || remove.prop('disabled')) return;
+            remove.closest('.mr-arc-row').remove();
+            this.refreshArcBranchSources();
+            this.updateArcWeightTotal();
+        });
+
+        bind("#mr_arc_template_add_phase", "click", () => {
+            document.getElementById('mr_arc_template_phases')?.appendChild(this.createArcPhaseRow({}, false));
+            this.updateArcWeightTotal();
+        });
+
+        bind("#mr_arc_template_add_branch", "click", () => {
+            document.getElementById('mr_arc_template_branches')?.appendChild(this.createArcBranchRow({}, false));
+            this.refreshArcBranchSources();
+        });
+
+        bind("#mr_arc_template_new", "click", () => {
+            const half = TOTAL_PHASE_WEIGHT / 2;
+            this.loadArcTemplateIntoEditor({
+                name: 'New Arc',
+                phases: [
+                    { name: 'beginning', description: '', weight: half },
+                    { name: 'ending', description: '', weight: half }
+                ],
+                branching: []
+            });
+        });
+
+        bind("#mr_arc_template_duplicate", "click", () => {
+            const { key, ...source } = this.readArcTemplateEditor();
+            this.loadArcTemplateIntoEditor({ ...source, name: `${source.name} (copy)` });
+        });
+
+        bind("#mr_arc_template_save", "click", () => {
+            try {
+                const saved = this.components.arcTemplates?.saveTemplate(this.readArcTemplateEditor());
+                if (!saved) return;
+                this.selectedArcTemplateKey = saved.key;
+                this.saveSettings();
+                this.applyArcTemplates();
+                // @ts-ignore - toastr is a global library
+                if (window.toastr) window.toastr.success('Arc template saved', 'Machinor Roundtable');
+            } catch (error) {
+                // @ts-ignore
+                if (window.toastr) window.toastr.warning(error.message, 'Arc template not saved');
+            }
+        });
+
+        bind("#mr_arc_template_delete", "click", () => {
+            const template = this.components.arcTemplates?.getTemplate(this.selectedArcTemplateKey);
+            if (!template || template.readOnly) return;
+            if (!confirm(`Delete arc template "${template.name}"?`)) return;
+
+            this.components.arcTemplates.deleteTemplate(template.key);
+            this.selectedArcTemplateKey = null;
+            this.saveSettings();
+            this.applyArcTemplates();
+        });
+
+        bind("#mr_arc_template_export", "click", () => {
+            const template = this.components.arcTemplates?.getTemplate(this.selectedArcTemplateKey);
+            if (template) this.downloadArcTemplates([template], `machinor-arc-${template.name}`);
+        });
+
+        bind("#mr_arc_template_export_all", "click", () => {
+            const templates = Object.values(this.components.arcTemplates?.getCustomTemplates() ?? {});
+            this.downloadArcTemplates(templates, 'machinor-arc-templates');
+        });
+
+        bind("#mr_arc_template_import", "click", () => {
+            $("#mr_arc_template_file").trigger('click');
+        });
+
+        bind("#mr_arc_template_file", "change", (e) => {
+            const file = e.target.files?.[0];
+            // Clear the input so picking the same file again still fires change
+            e.target.value = '';
+            if (file) this.importArcTemplates(file);
+        });
+
         bind("#mr_plot_style", "change", (e) => {
             const val = $(e.target).val();
             if (ALLOWED_STYLES.includes(val)) {
                 this.settings.plotStyle = val;
                 this.saveSettings();
+                this.updateGuidancePreview();
             } else {
                 // Reset if invalid
                 $(e.target).val(this.settings.plotStyle || 'natural');
@@ -299,6 +1399,7 @@ class MachinorCore {
             if (ALLOWED_INTENSITIES.includes(val)) {
                 this.settings.plotIntensity = val;
                 this.saveSettings();
+                this.updateGuidancePreview();
             } else {
                 // Reset if invalid
                 $(e.target).val(this.settings.plotIntensity || 'moderate');
@@ -345,52 +1446,43 @@ class MachinorCore {
                 this.components.chatInjector.isGeneratingPlot = true;
             }
 
-            // Optional chaining
-            const plotContext = await this.components.plotEngine?.generatePlotContext(
-                character,
-                chatHistory,
-                {
-                    style: this.settings.plotStyle,
-                    intensity: this.settings.plotIntensity
+            const plotOptions = {
+                style: this.settings.plotStyle,
+                intensity: this.settings.plotIntensity
+            };
+
+            const plotEngine = this.components.plotEngine;
+            const candidateCount = this.settings.candidateCount ?? 1;
+            // Queued so a double click joins the pending request instead of starting a second LLM call
+            const result = await plotEngine?.queue.enqueue({
+                target: 'current_plot',
+                key: 'current_plot:manual',
+                priority: JOB_PRIORITY.USER,
+                source: 'manual',
+                label: candidateCount > 1 ? 'Manual plot candidates' : 'Manual plot',
+                run: async (signal) => {
+                    // MULTI-CANDIDATE MODE: One call returns ranked alternatives; the user picks one in the sidebar
+                    const generated = candidateCount > 1
+                        ? await plotEngine.generatePlotCandidates(character, chatHistory, candidateCount, { ...plotOptions, signal })
+                        : await plotEngine.generatePlotContext(character, chatHistory, { ...plotOptions, signal });
+                    if (generated) {
+                        this.applyManualPlot(generated);
+                    }
+                    return generated;
                 }
-            );
-
-            // Optional chaining
-            if (this.components.plotPreview) {
-                const text = typeof plotContext === 'object' ? plotContext.text : plotContext;
+            });
 
-                // Update insights first (to ensure they are saved with the profile)
-                if (typeof plotContext === 'object' && plotContext.tone) {
-                    this.components.plotPreview.updateInsightsDisplay(plotContext);
-                }
-
-                this.components.plotPreview.displayCurrentPlot(text, 'ready');
-                this.components.plotPreview.addToHistory(text);
+            // Failed, cancelled or superseded - keep the current plot and don't count a generation
+            if (!result) {
+                this.components.plotPreview?.restoreStatus();
+                return;
             }
 
-            // Manual triggers don't necessarily consume a 'turn' in the same way,
-            // but we should probably increment the global plot count if it's a new plot.
-            // However, usually plotCount tracks *injected* plots or *generated* plots.
-            // Let's treat manual generation as a generation event.
-            this.settings.plotCount = (this.settings.plotCount || 0) + 1;
-            
-            // Also reset the turn counter since we just generated fresh content
-            this.settings.turnsSinceLastGeneration = 0;
-            
-            // CRITICAL: Update narrative arc state if available
-            // This aligns behavior with "Skip" functionality in PlotPreviewManager
-            if (this.components.narrativeArc) {
-                this.components.narrativeArc.advancePhase();
-            }
-            
-            this.saveSettings();
-            this.updateSettingsUI();
-
             // Note: Plot is displayed as current. User can approve/inject to add to history.
 
         } catch (error) {
             // Optional chaining
-            this.components.plotPreview?.updateStatus('ready');
+            this.components.plotPreview?.restoreStatus();
             errorHandler(error, "Failed to generate plot");
         } finally {
             // Always clear recursion guard
@@ -400,6 +1492,39 @@ class MachinorCore {
         }
     }
 
+    /**
+     * Show a manually generated plot (or candidates) and count it as a generation
+     * Runs inside the queued job, so joined duplicate requests apply the result only once.
+     * @param {{text: string, tone: string, pacing: string}|Array<PlotCandidate>} generated - Plot or candidates from PlotEngine
+     * @returns {void}
+     */
+    applyManualPlot(generated) {
+        if (Array.isArray(generated)) {
+            this.components.plotPreview?.showCandidates(generated);
+        } else if (this.components.plotPreview) {
+            // Update insights first (to ensure they are saved with the profile)
+            if (generated.tone) {
+                this.components.plotPreview.updateInsightsDisplay(generated);
+            }
+
+            this.components.plotPreview.displayCurrentPlot(generated, 'ready');
+            this.components.plotPreview.addToHistory(generated.text, generated.fallback ? { source: 'fallback' } : {});
+        }
+
+        // Manual triggers don't necessarily consume a 'turn' in the same way,
+        // but we should probably increment the global plot count if it's a new plot.
+        // However, usually plotCount tracks *injected* plots or *generated* plots.
+        // Let's treat manual generation as a generation event.
+        this.settings.plotCount = (this.settings.plotCount || 0) + 1;
+
+        // Also reset the turn counter since we just generated fresh content
+        // The arc phase is left alone: phases advance on evidence from the chat, not per generated plot
+        this.settings.turnsSinceLastGeneration = 0;
+
+        this.saveSettings();
+        this.updateSettingsUI();
+    }
+
     /**
      * Reset settings handler
      * @returns {void}
@@ -409,6 +1534,8 @@ class MachinorCore {
             this.settings = { ...defaultSettings };
             this.saveSettings();
             this.updateSettingsUI();
+            this.renderPromptTemplates();
+            this.applyArcTemplates();
             toastr.info("Settings reset", "Machinor Roundtable");
         }
     }
@@ -449,6 +1576,90 @@ class MachinorCore {
         this.saveSettings();
     }
 
+    /**
+     * Save the narrative arc state into the open chat's profile
+     * @param {import('./narrative-arc.js').ArcState} arcState - Serialized arc state
+     * @returns {void}
+     */
+    saveArcState(arcState) {
+        const chatId = getContext()?.chatId;
+        if (!chatId || !arcState) return;
+        this.syncPlotToSettings(chatId, {
+            ...(this.settings.previewHistories?.[chatId] ?? {}),
+            arcState
+        });
+    }
+
+    /**
+     * Restore a chat's narrative arc state from its profile
+     * Profiles saved before arc persistence only have the arc status snapshot in their story intelligence.
+     * @param {string|undefined} chatId - Chat ID
+     * @returns {void}
+     */
+    restoreArcState(chatId) {
+        const narrativeArc = this.components.narrativeArc;
+        if (!narrativeArc || !chatId) return;
+
+        const profile = this.settings.previewHistories?.[chatId];
+        const saved = profile?.arcState ?? profile?.storyIntelligence?.arcStatus;
+        if (saved) {
+            narrativeArc.restore(saved);
+        } else {
+            narrativeArc.reset();
+        }
+    }
+
+    /**
+     * Record the outcome of parsing one plot response, aggregated per model
+     * @param {string} model - Model label from STIntegrationManager.getActiveModelLabel()
+     * @param {{valid: boolean, repairs: string[], errors: Array<{field: string, code: string}>, isRepairAttempt: boolean}} outcome - Parse result
+     * @returns {void}
+     */
+    recordParseDiagnostic(model, outcome) {
+        if (!model || !outcome) return;
+
+        this.settings.parseDiagnostics = this.settings.parseDiagnostics || {};
+        const diagnostics = this.settings.parseDiagnostics;
+        const stats = diagnostics[model] || {
+            responses: 0,
+            clean: 0,
+            repairedLocally: 0,
+            repairPrompts: 0,
+            failures: 0,
+            reasons: {},
+            lastSeen: 0
+        };
+
+        stats.responses++;
+        if (outcome.isRepairAttempt) stats.repairPrompts++;
+        if (!outcome.valid) stats.failures++;
+        else if (outcome.repairs.length > 0) stats.repairedLocally++;
+        else stats.clean++;
+
+        // Local repairs count as reasons too - a model that always needs them is still misbehaving
+        const reasons = [
+            ...outcome.repairs,
+            // Collapse candidate indexes so candidates[0..n] share one counter
+            ...outcome.errors.map(error => `${error.code}:${error.field.replace(/\[\d+\]/g, '[]')}`)
+        ];
+        reasons.forEach(reason => {
+            stats.reasons[reason] = (stats.reasons[reason] || 0) + 1;
+        });
+
+        stats.lastSeen = Date.now();
+        diagnostics[model] = stats;
+
+        // Keep the 20 most recently seen models
+        const models = Object.entries(diagnostics);
+        if (models.length > 20) {
+            models.sort(([, a], [, b]) => (b.lastSeen || 0) - (a.lastSeen || 0));
+            this.settings.parseDiagnostics = Object.fromEntries(models.slice(0, 20));
+        }
+
+        this.saveSettings();
+        this.renderParseDiagnostics();
+    }
+
     /**
      * Trim preview histories to keep most recent 50
      * @returns {void}
@@ -507,6 +1718,9 @@ class MachinorCore {
     destroy() {
         logger.log('[Machinor Roundtable] Destroying MachinorCore...');
 
+        clearTimeout(this.promptPreviewTimer);
+        this.components.plotEngine?.cancelGeneration();
+
         // 1. Destroy components
         // Optional chaining for safe destruction
         this.components.plotPreview?.destroy();
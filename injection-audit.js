@@ -0,0 +1,122 @@
+// Machinor Roundtable - Per-Chat Injection Audit Log
+
+/**
+ * What happened to a generation
+ * @type {Object<string, {label: string}>}
+ */
+export const AUDIT_OUTCOMES = {
+    injected: { label: 'Injected' },
+    reused: { label: 'Reused' },
+    skipped: { label: 'Skipped' }
+};
+
+/**
+ * Most entries kept per chat; the oldest are dropped first
+ * @type {number}
+ */
+export const MAX_AUDIT_ENTRIES = 100;
+
+/**
+ * Most injected text kept per chat, in characters
+ * The log is saved with every chat profile, so only the newest entries keep their text; older ones keep the metadata.
+ * @type {number}
+ */
+export const MAX_AUDIT_TEXT_CHARS = 8000;
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} id - Unique entry ID
+ * @property {number} timestamp - When the generation was handled
+ * @property {string} outcome - One of AUDIT_OUTCOMES
+ * @property {string} generationType - SillyTavern generation type
+ * @property {string|null} apiFormat - Prompt format the guidance went into (null when skipped)
+ * @property {string|null} where - Injection point (null when skipped)
+ * @property {string} text - Exact injected text (empty when skipped)
+ * @property {string|null} reason - Why the generation got no guidance (skipped only)
+ * @property {number} [droppedChars] - Length of the text dropped to stay within MAX_AUDIT_TEXT_CHARS
+ */
+
+/**
+ * Build an audit entry
+ * @param {Object} details - Entry fields
+ * @param {string} details.outcome - One of AUDIT_OUTCOMES
+ * @param {string} details.generationType - SillyTavern generation type
+ * @param {string|null} [details.apiFormat=null] - Prompt format
+ * @param {string|null} [details.where=null] - Injection point
+ * @param {string} [details.text=''] - Injected text
+ * @param {string|null} [details.reason=null] - Skip reason
+ * @returns {AuditEntry} Entry
+ */
+export function createAuditEntry({ outcome, generationType, apiFormat = null, where = null, text = '', reason = null }) {
+    return {
+        id: `audit_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+        timestamp: Date.now(),
+        outcome: AUDIT_OUTCOMES[outcome] ? outcome : 'skipped',
+        generationType,
+        apiFormat,
+        where,
+        text,
+        reason
+    };
+}
+
+/**
+ * Keep a log within the entry and text limits
+ * The newest entry always keeps its text; older entries lose theirs once the text budget is spent.
+ * @param {Array<AuditEntry>} entries - Log, oldest first
+ * @returns {Array<AuditEntry>} Trimmed log
+ */
+export function trimAuditLog(entries) {
+    let budget = MAX_AUDIT_TEXT_CHARS;
+    return entries.slice(-MAX_AUDIT_ENTRIES).reverse().map((entry, index) => {
+        const length = entry.text?.length ?? 0;
+        if (length === 0) return entry;
+        if (index === 0 || length <= budget) {
+            budget = Math.max(0, budget - length);
+            return entry;
+        }
+        budget = 0;
+        return { ...entry, text: '', droppedChars: length };
+    }).reverse();
+}
+
+/**
+ * Add an entry to a log, dropping the oldest entries and texts over the limits
+ * @param {Array<AuditEntry>} entries - Log, oldest first
+ * @param {AuditEntry} entry - New entry
+ * @returns {Array<AuditEntry>} New log
+ */
+export function appendAuditEntry(entries, entry) {
+    return trimAuditLog([...entries, entry]);
+}
+
+/**
+ * Filter a log by outcome and free text
+ * @param {Array<AuditEntry>} entries - Log
+ * @param {{outcome?: string, search?: string}} [filter={}] - Outcome ('all' or empty for every outcome) and search text
+ * @returns {Array<AuditEntry>} Matching entries
+ */
+export function filterAuditEntries(entries, filter = {}) {
+    const search = String(filter.search ?? '').trim().toLowerCase();
+    return entries.filter(entry => {
+        if (filter.outcome && filter.outcome !== 'all' && entry.outcome !== filter.outcome) return false;
+        if (!search) return true;
+        return [entry.generationType, entry.apiFormat, entry.where, entry.text, entry.reason]
+            .some(value => String(value ?? '').toLowerCase().includes(search));
+    });
+}
+
+/**
+ * Serialize a log for export
+ * @param {Array<AuditEntry>} entries - Entries to export
+ * @param {string|null} chatId - Chat the log belongs to
+ * @returns {string} Pretty-printed JSON
+ */
+export function serializeAuditLog(entries, chatId) {
+    return JSON.stringify({
+        extension: 'machinor-roundtable',
+        chatId,
+        exportedAt: new Date().toISOString(),
+        entries
+    }, null, 2);
+}
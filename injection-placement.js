@@ -0,0 +1,218 @@
+// Machinor Roundtable - Plot Guidance Placement
+import { logger } from "./logger.js";
+import { wrapAsSystemTurn, findFinalOutputHeader, findTurnStart, findNextTurnStart, findInstructionEnd, findUserBlockEnd } from "./instruct-format.js";
+
+/**
+ * Where plot guidance is inserted into the prompt
+ * system_prompt: merged into the system prompt (top of a text prompt)
+ * depth: N messages from the end of the chat (0 = very end)
+ * before_last_user: right before the last user message
+ * after_character: after the character definitions, before the chat
+ * @type {string[]}
+ */
+export const INJECTION_POSITIONS = ['system_prompt', 'depth', 'before_last_user', 'after_character'];
+
+/**
+ * Message roles for chat-completion APIs
+ * @type {string[]}
+ */
+export const INJECTION_ROLES = ['system', 'user', 'assistant'];
+
+// SillyTavern main APIs whose prompts are message arrays; every other API builds a text prompt
+const CHAT_COMPLETION_APIS = ['openai'];
+
+// Characters of a message or definition used to find it in a text prompt
+const ANCHOR_LENGTH = 40;
+
+/**
+ * @typedef {Object} InjectionPlacement
+ * @property {string} position - One of INJECTION_POSITIONS
+ * @property {number} depth - Messages from the end (position 'depth' only)
+ * @property {string} role - One of INJECTION_ROLES (chat completion only)
+ */
+
+/**
+ * @typedef {Object} TextAnchors
+ * @property {Array<{mes: string, is_user: boolean}>} chat - Chat messages, oldest first
+ * @property {string[]} definitions - Character description, personality and scenario
+ */
+
+/**
+ * Read the placement from settings, falling back to the original behavior (system message at the end)
+ * @param {Object} settings - Extension settings
+ * @returns {InjectionPlacement} Placement
+ */
+export function getPlacement(settings) {
+    const depth = Number(settings?.injectionDepth);
+    return {
+        position: INJECTION_POSITIONS.includes(settings?.injectionPosition) ? settings.injectionPosition : 'depth',
+        depth: Number.isInteger(depth) && depth > 0 ? depth : 0,
+        role: INJECTION_ROLES.includes(settings?.injectionRole) ? settings.injectionRole : 'system'
+    };
+}
+
+/**
+ * Check whether a SillyTavern main API uses chat-completion message arrays
+ * @param {string} mainApi - SillyTavern main API id
+ * @returns {boolean}
+ */
+export function isChatCompletionApi(mainApi) {
+    return CHAT_COMPLETION_APIS.includes(mainApi);
+}
+
+/**
+ * Insert guidance into a chat-completion message array (mutates the array)
+ * The leading run of system messages is treated as the system prompt and character definitions.
+ * @param {Array<{role: string, content: string}>} messages - Prompt messages
+ * @param {string} text - Guidance text
+ * @param {InjectionPlacement} placement - Where and as which role
+ * @returns {string} Description of where the guidance landed, for the log
+ */
+export function insertIntoMessages(messages, text, placement) {
+    const content = text.trim();
+    const firstChatIndex = messages.findIndex(msg => msg.role !== 'system');
+    const chatStart = firstChatIndex === -1 ? messages.length : firstChatIndex;
+    const message = { role: placement.role, content };
+
+    switch (placement.position) {
+        case 'system_prompt':
+            if (messages[0]?.role === 'system') {
+                messages[0].content = `${messages[0].content}\n\n${content}`;
+            } else {
+                messages.unshift({ role: 'system', content });
+            }
+            return 'merged into the system prompt';
+        case 'after_character':
+            messages.splice(chatStart, 0, message);
+            return `after the definitions (index ${chatStart})`;
+        case 'before_last_user': {
+            const lastUser = messages.map(msg => msg.role).lastIndexOf('user');
+            if (lastUser >= chatStart) {
+                messages.splice(lastUser, 0, message);
+                return `before the last user message (index ${lastUser})`;
+            }
+            messages.push(message);
+            return 'at the end (no user message found)';
+        }
+        default: {
+            // Never reach above the start of the chat
+            const index = Math.max(chatStart, messages.length - placement.depth);
+            messages.splice(index, 0, message);
+            return `at depth ${messages.length - 1 - index}`;
+        }
+    }
+}
+
+/**
+ * Find where a snippet of known text starts in a prompt, searching from the end
+ * @param {string} prompt - Prompt text
+ * @param {string} source - Text that should appear in the prompt
+ * @returns {number} Start of the line containing it, or -1 if not found
+ */
+function findLineStart(prompt, source) {
+    const anchor = String(source ?? '').trim().substring(0, ANCHOR_LENGTH);
+    if (!anchor) return -1;
+    const index = prompt.lastIndexOf(anchor);
+    return index === -1 ? -1 : prompt.lastIndexOf('\n', index) + 1;
+}
+
+/**
+ * Insert guidance into a text-completion prompt
+ * Text prompts have no message boundaries, so chat messages and character definitions are located by their text.
+ * Anything that cannot be located falls back to the end of the prompt.
+ * With an instruct template, the guidance becomes its own system turn, only ever starts where a turn starts,
+ * and "the end" means before the final assistant header. Templates without a system turn (Alpaca) get the
+ * plain text at the end of a user block instead, never ahead of the first instruction header.
+ * @param {string} prompt - Prompt text
+ * @param {string} text - Guidance text (with surrounding newlines)
+ * @param {InjectionPlacement} placement - Where to insert
+ * @param {TextAnchors} anchors - Text used to find positions in the prompt
+ * @param {import('./instruct-format.js').InstructFormat|null} [format=null] - Instruct template that formatted the prompt
+ * @returns {{prompt: string, where: string, text: string}} New prompt, a description for the log and the exact inserted text
+ */
+export function insertIntoText(prompt, text, placement, anchors, format = null) {
+    const block = format ? wrapAsSystemTurn(text, format) : text;
+    const insertAt = (index, where) => ({ prompt: prompt.slice(0, index) + block + prompt.slice(index), where, text: block });
+    const chat = anchors?.chat || [];
+    // ALPACA-STYLE TEMPLATES: A header of our own would read as another user turn, so the guidance is appended to an existing block
+    const noSystemTurn = format?.systemTurns === false;
+    const floor = noSystemTurn ? findInstructionEnd(prompt, format) : 0;
+
+    // INSTRUCT BOUNDARIES: Appending after the assistant header would put the guidance in the model's own reply
+    const insertAtEnd = (where) => {
+        const header = format ? findFinalOutputHeader(prompt, format) : -1;
+        if (header !== -1) return insertAt(header, `${where}, before the final assistant header`);
+        return { prompt: prompt + block, where, text: block };
+    };
+    const turnStart = (index) => {
+        if (!format) return index;
+        return noSystemTurn ? findUserBlockEnd(prompt, Math.max(index, floor), format) : findTurnStart(prompt, index, format);
+    };
+
+    switch (placement.position) {
+        case 'system_prompt':
+            if (noSystemTurn) return insertAt(findNextTurnStart(prompt, floor, format), 'at the end of the instruction block');
+            if (format) return insertAt(findNextTurnStart(prompt, 0, format), 'before the first turn');
+            return { prompt: text.replace(/^\n/, '') + prompt, where: 'at the top of the prompt', text: text.replace(/^\n/, '') };
+        case 'after_character': {
+            let end = -1;
+            for (const definition of anchors?.definitions || []) {
+                const trimmed = String(definition ?? '').trim();
+                const index = trimmed ? prompt.indexOf(trimmed) : -1;
+                if (index !== -1) end = Math.max(end, index + trimmed.length);
+            }
+            // Definitions live inside a turn, so the guidance goes after that turn closes
+            if (end !== -1) return insertAt(format ? findNextTurnStart(prompt, Math.max(end, floor), format) : end, 'after the character definitions');
+            break;
+        }
+        case 'before_last_user': {
+            const lastUser = [...chat].reverse().find(msg => msg.is_user);
+            const index = lastUser ? findLineStart(prompt, lastUser.mes) : -1;
+            if (index !== -1) return insertAt(turnStart(index), noSystemTurn ? 'at the end of the last user message' : 'before the last user message');
+            break;
+        }
+        default: {
+            if (placement.depth === 0) return insertAtEnd('at the end');
+            const target = chat[chat.length - placement.depth];
+            const index = target ? findLineStart(prompt, target.mes) : -1;
+            if (index !== -1) return insertAt(turnStart(index), `at depth ${placement.depth}`);
+        }
+    }
+
+    logger.warn(`Could not locate the ${placement.position} position in the text prompt, appending instead`);
+    return insertAtEnd('at the end (position not found)');
+}
+
+/**
+ * Describe the effective placement for an API, for the settings panel
+ * @param {InjectionPlacement} placement - Placement
+ * @param {string} mainApi - SillyTavern main API id
+ * @returns {string} Human-readable description
+ */
+export function describePlacement(placement, mainApi) {
+    const chatCompletion = isChatCompletionApi(mainApi);
+    const apiLabel = chatCompletion ? 'Chat Completion' : 'Text Completion';
+
+    let where;
+    switch (placement.position) {
+        case 'system_prompt':
+            where = chatCompletion ? 'appended to the system prompt message' : 'at the top of the prompt';
+            break;
+        case 'after_character':
+            where = chatCompletion
+                ? 'after the leading system messages (prompt and character definitions)'
+                : 'after the character description, personality and scenario';
+            break;
+        case 'before_last_user':
+            where = 'right before the last user message';
+            break;
+        default:
+            where = placement.depth === 0 ? 'at the very end of the prompt' : `${placement.depth} message(s) from the end of the chat`;
+    }
+
+    if (!chatCompletion) {
+        return `${apiLabel} (${mainApi || 'unknown'}): inserted as text ${where}, wrapped as a system turn when an instruct template is detected (added to a user block for templates without one, like Alpaca). Role does not apply`;
+    }
+    const role = placement.position === 'system_prompt' ? 'system' : placement.role;
+    return `${apiLabel}: inserted as a ${role} message ${where}`;
+}
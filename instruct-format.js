@@ -0,0 +1,176 @@
+// Machinor Roundtable - Instruct Template Awareness for Text Completion Prompts
+
+/**
+ * @typedef {Object} InstructFormat
+ * @property {string} name - Template name, for the log
+ * @property {string} systemSequence - Opens a system turn
+ * @property {string} systemSuffix - Closes a system turn
+ * @property {string} outputSequence - Opens an assistant turn (the final header the model completes)
+ * @property {string[]} turnHeaders - Every sequence that starts a turn
+ * @property {boolean} wrap - Whether a newline separates the sequence from the text
+ * @property {boolean} [systemTurns] - False for templates with no system turn; guidance then joins the end of a user block as plain text
+ * @property {string} [instructionSequence] - Header nothing may be inserted ahead of (templates without system turns)
+ */
+
+/**
+ * Built-in formats, matching SillyTavern's bundled ChatML, Llama 3 Instruct and Alpaca templates
+ * Used when SillyTavern's instruct mode is off or its sequences don't appear in the prompt.
+ * @type {InstructFormat[]}
+ */
+export const KNOWN_INSTRUCT_FORMATS = [
+    {
+        name: 'ChatML',
+        systemSequence: '<|im_start|>system',
+        systemSuffix: '<|im_end|>\n',
+        outputSequence: '<|im_start|>assistant',
+        turnHeaders: ['<|im_start|>'],
+        wrap: true
+    },
+    {
+        name: 'Llama 3 Instruct',
+        systemSequence: '<|start_header_id|>system<|end_header_id|>\n\n',
+        systemSuffix: '<|eot_id|>',
+        outputSequence: '<|start_header_id|>assistant<|end_header_id|>',
+        turnHeaders: ['<|start_header_id|>'],
+        wrap: false
+    },
+    {
+        // '### Input:' is Alpaca's user header, so there is no system turn to wrap the guidance in
+        name: 'Alpaca',
+        systemSequence: '',
+        systemSuffix: '',
+        outputSequence: '### Response:',
+        turnHeaders: ['### Instruction:', '### Input:', '### Response:'],
+        wrap: true,
+        systemTurns: false,
+        instructionSequence: '### Instruction:'
+    }
+];
+
+/**
+ * Build a format from SillyTavern's active instruct settings
+ * @param {Object} instruct - power_user.instruct
+ * @returns {InstructFormat|null} Format, or null if the template has no assistant sequence
+ */
+function fromSillyTavern(instruct) {
+    const outputSequence = (instruct.last_output_sequence || instruct.output_sequence || '').trim();
+    if (!outputSequence) return null;
+
+    // Templates without a system sequence send system text as a user turn
+    const hasSystem = !!instruct.system_sequence?.trim();
+    const turnHeaders = [
+        instruct.input_sequence,
+        instruct.output_sequence,
+        instruct.system_sequence,
+        instruct.first_output_sequence,
+        instruct.last_output_sequence,
+        instruct.last_input_sequence
+    ].map(sequence => (sequence || '').trim()).filter(Boolean);
+
+    // SillyTavern's Alpaca preset uses the user header as its system sequence; keep the built-in rules for it
+    const builtin = KNOWN_INSTRUCT_FORMATS.find(format => format.systemTurns === false && format.outputSequence === outputSequence);
+    if (builtin) {
+        return { ...builtin, name: instruct.preset || builtin.name, turnHeaders: [...new Set([...builtin.turnHeaders, ...turnHeaders])] };
+    }
+
+    return {
+        name: instruct.preset || 'SillyTavern instruct template',
+        systemSequence: hasSystem ? instruct.system_sequence : (instruct.input_sequence || ''),
+        systemSuffix: hasSystem ? (instruct.system_suffix || '') : (instruct.input_suffix || ''),
+        outputSequence,
+        turnHeaders: [...new Set(turnHeaders)],
+        wrap: !!instruct.wrap
+    };
+}
+
+/**
+ * Work out which instruct template formatted a text prompt
+ * SillyTavern's active template wins when its assistant sequence appears in the prompt; otherwise the
+ * prompt is checked against the built-in formats.
+ * @param {string} prompt - Formatted text prompt
+ * @param {Object} [instruct] - SillyTavern's instruct settings (power_user.instruct)
+ * @returns {InstructFormat|null} Detected format, or null for a plain prompt
+ */
+export function detectInstructFormat(prompt, instruct) {
+    if (typeof prompt !== 'string' || !prompt) return null;
+
+    if (instruct?.enabled) {
+        const active = fromSillyTavern(instruct);
+        if (active && prompt.includes(active.outputSequence)) return active;
+    }
+
+    return KNOWN_INSTRUCT_FORMATS.find(format => prompt.includes(format.outputSequence)) ?? null;
+}
+
+/**
+ * Wrap guidance as a complete system turn
+ * Mirrors SillyTavern's own formatting: sequence, separator, text and suffix. Templates without
+ * system turns get the plain text as its own paragraph.
+ * @param {string} text - Guidance text
+ * @param {InstructFormat} format - Template
+ * @returns {string} System turn
+ */
+export function wrapAsSystemTurn(text, format) {
+    if (format.systemTurns === false) return `${text.trim()}\n\n`;
+    const separator = format.wrap ? '\n' : '';
+    return [format.systemSequence, text.trim() + format.systemSuffix].filter(Boolean).join(separator);
+}
+
+/**
+ * Find the final assistant header, which must stay at the very end of the prompt
+ * @param {string} prompt - Formatted text prompt
+ * @param {InstructFormat} format - Template
+ * @returns {number} Index of the header, or -1 if missing
+ */
+export function findFinalOutputHeader(prompt, format) {
+    return prompt.lastIndexOf(format.outputSequence);
+}
+
+/**
+ * Move an index back to the start of the turn containing it
+ * @param {string} prompt - Formatted text prompt
+ * @param {number} index - Position inside a turn
+ * @param {InstructFormat} format - Template
+ * @returns {number} Start of that turn, or the index itself if no turn header precedes it
+ */
+export function findTurnStart(prompt, index, format) {
+    const starts = format.turnHeaders.map(header => prompt.lastIndexOf(header, index));
+    const start = Math.max(-1, ...starts);
+    return start === -1 ? index : start;
+}
+
+/**
+ * Move an index forward to the start of the next turn
+ * @param {string} prompt - Formatted text prompt
+ * @param {number} index - Position inside a turn
+ * @param {InstructFormat} format - Template
+ * @returns {number} Start of the next turn, or the index itself if none follows
+ */
+export function findNextTurnStart(prompt, index, format) {
+    const starts = format.turnHeaders.map(header => prompt.indexOf(header, index)).filter(start => start !== -1);
+    return starts.length > 0 ? Math.min(...starts) : index;
+}
+
+/**
+ * Find where the first instruction header ends; nothing may be inserted before it
+ * @param {string} prompt - Formatted text prompt
+ * @param {InstructFormat} format - Template
+ * @returns {number} Index just after the header, or 0 if the template has none or it is missing
+ */
+export function findInstructionEnd(prompt, format) {
+    if (!format.instructionSequence) return 0;
+    const index = prompt.indexOf(format.instructionSequence);
+    return index === -1 ? 0 : index + format.instructionSequence.length;
+}
+
+/**
+ * Move an index forward to the end of the user block it is in, right before the next assistant header
+ * @param {string} prompt - Formatted text prompt
+ * @param {number} index - Position inside a block
+ * @param {InstructFormat} format - Template
+ * @returns {number} Index of the next assistant header, or the end of the prompt if none follows
+ */
+export function findUserBlockEnd(prompt, index, format) {
+    const header = prompt.indexOf(format.outputSequence, index);
+    return header === -1 ? prompt.length : header;
+}
@@ -0,0 +1,92 @@
+// Machinor Roundtable - Plot Metadata Stored on Chat Messages
+
+/**
+ * Key under a chat message's `extra` that holds its plot metadata
+ * `extra` is saved with the chat, so the metadata survives reloads and follows exports, branches and checkpoints.
+ * @type {string}
+ */
+export const MESSAGE_EXTRA_KEY = 'machinor_roundtable';
+
+/**
+ * @typedef {Object} MessagePlotMetadata
+ * @property {string} guidance - Exact guidance injected for the reply
+ * @property {string|null} plotId - History ID of the main plot (null if it is not in the history)
+ * @property {string|null} arcPhase - Narrative arc phase at injection time
+ * @property {string} style - Plot style
+ * @property {string} generationType - Generation type that produced the reply
+ * @property {number} injectedAt - Injection timestamp
+ */
+
+/**
+ * Read the plot metadata of a chat message
+ * @param {Object} message - SillyTavern chat message
+ * @returns {MessagePlotMetadata|null} Metadata, or null if the reply got no guidance
+ */
+export function getMessageMetadata(message) {
+    const metadata = message?.extra?.[MESSAGE_EXTRA_KEY];
+    return metadata && typeof metadata.guidance === 'string' && metadata.guidance ? metadata : null;
+}
+
+/**
+ * Store plot metadata on a chat message
+ * @param {Object} message - SillyTavern chat message
+ * @param {MessagePlotMetadata} metadata - Metadata
+ * @returns {void}
+ */
+export function setMessageMetadata(message, metadata) {
+    message.extra = message.extra || {};
+    message.extra[MESSAGE_EXTRA_KEY] = { ...metadata };
+}
+
+/**
+ * Build the injection timeline of a chat from its messages
+ * @param {Array<Object>} chat - SillyTavern chat
+ * @returns {Array<MessagePlotMetadata & {messageId: number}>} Entries, oldest first
+ */
+export function collectTimeline(chat) {
+    if (!Array.isArray(chat)) return [];
+    return chat.flatMap((message, messageId) => {
+        const metadata = getMessageMetadata(message);
+        return metadata ? [{ messageId, ...metadata }] : [];
+    });
+}
+
+/**
+ * Describe a message's metadata for the badge tooltip
+ * @param {MessagePlotMetadata} metadata - Metadata
+ * @returns {string} Tooltip text
+ */
+export function formatMetadataTooltip(metadata) {
+    const details = [
+        metadata.style ? `Style: ${metadata.style}` : '',
+        metadata.arcPhase ? `Arc phase: ${metadata.arcPhase.replace(/_/g, ' ')}` : '',
+        metadata.generationType && metadata.generationType !== 'normal' ? `Generation: ${metadata.generationType}` : ''
+    ].filter(Boolean);
+    return [`Plot guidance:\n${metadata.guidance}`, details.join(' • ')].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Show a badge on a rendered message when its reply was generated with plot guidance
+ * The guidance is in the tooltip; textContent and title keep it from being parsed as HTML.
+ * @param {Object} message - SillyTavern chat message
+ * @param {number} messageId - Index of the message
+ * @returns {void}
+ */
+export function renderMessageBadge(message, messageId) {
+    const element = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
+    if (!element) return;
+
+    element.querySelector('.mr-message-badge')?.remove();
+    const metadata = getMessageMetadata(message);
+    if (!metadata) return;
+
+    const badge = document.createElement('span');
+    badge.className = 'mr-message-badge';
+    badge.title = formatMetadataTooltip(metadata);
+    const icon = document.createElement('i');
+    icon.className = 'fa-solid fa-feather-pointed';
+    badge.appendChild(icon);
+
+    const anchor = element.querySelector('.ch_name') ?? element.querySelector('.mes_block');
+    anchor?.appendChild(badge);
+}
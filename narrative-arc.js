@@ -2,6 +2,127 @@
 import { getContext } from "../../../extensions.js";
 import { generateQuietPrompt } from "../../../../script.js";
 import { logger } from "./logger.js";
+import { calculateWeightedProgress, getArcSegments, getPacingStatus } from "./arc-pacing.js";
+import { DEFAULT_ARC_LENGTH } from "./security-utils.js";
+
+// Offline fallback: chance of taking one of the current phase's branches instead of the phase itself
+const FALLBACK_BRANCH_CHANCE = 0.4;
+
+// Closing nudges for offline plots, varied per intensity so repeated fallbacks don't read identically
+const FALLBACK_NUDGES = {
+    subtle: [
+        'Let it surface quietly, in the background of the scene',
+        'Hint at it rather than state it outright',
+        'Keep it to a small detail someone might notice'
+    ],
+    moderate: [
+        'Bring it into the scene naturally within the next few exchanges',
+        'Let it shape what happens next without taking over',
+        'Give it one clear, measured moment'
+    ],
+    intense: [
+        'Make it impossible to ignore right now',
+        'Let it hit hard and turn the direction of the scene',
+        'Force an immediate reaction'
+    ]
+};
+
+// Offline plots when no arc is active (natural progression)
+const NATURAL_FALLBACK_PLOTS = [
+    (name, hint) => `[${name} notices something small that doesn't fit the moment, and it begins to matter. Recent conversation suggests ${hint}]`,
+    (name, hint) => `[An unexpected interruption gives ${name} a reason to act. The conversation dynamics reveal ${hint}]`,
+    (name, hint) => `[${name} is reminded of something unfinished that suddenly feels urgent. The ongoing dialogue points to ${hint}]`,
+    (name, hint) => `[Someone says something that lands differently than intended, and ${name} can't let it go. Chat context suggests ${hint}]`
+];
+
+/**
+ * Version of the arc state saved in the chat profile
+ * Bump it when the shape changes and teach migrateArcState to upgrade the previous one.
+ * @type {number}
+ */
+export const ARC_STATE_VERSION = 2;
+
+/**
+ * @typedef {Object} SavedArc
+ * @property {string} type - Arc template key
+ * @property {string} name - Arc name
+ * @property {number} phaseIndex - Index of the current phase
+ * @property {string|null} characterName - Character the arc started with
+ * @property {number} startTime - When the arc started
+ * @property {number|null} [completedAt] - When the arc completed (history entries only)
+ * @property {Array<Object>} choices - Choices made in the arc
+ * @property {string|null} branch - Selected branch
+ * @property {number} phaseTurns - Replies since the current phase started
+ * @property {number|null} dismissedAtTurn - phaseTurns when the user last dismissed a phase transition
+ */
+
+/**
+ * @typedef {Object} ArcMilestone
+ * @property {string} fromPhase - Phase that ended
+ * @property {string|null} toPhase - Phase that started (null when the arc completed)
+ * @property {string} reason - Why the phase ended
+ * @property {number|null} confidence - Detector confidence, 0-1 (null for manual transitions)
+ * @property {string} source - 'auto', 'confirmed' or 'manual'
+ * @property {number} [turns] - Replies the phase lasted (missing on milestones from older versions)
+ * @property {number} timestamp - When the transition happened
+ */
+
+/**
+ * @typedef {Object} ArcState
+ * @property {number} version - ARC_STATE_VERSION
+ * @property {SavedArc|null} currentArc - Active arc
+ * @property {Array<SavedArc>} arcHistory - Completed arcs, oldest first
+ * @property {Array<[string, any]>} activeBranches - Active branch entries
+ * @property {Object} storyProgress - Phase progress
+ */
+
+/**
+ * Upgrade a saved arc state to the current version
+ * Version 0 is the arc status snapshot older profiles kept under storyIntelligence.arcStatus; it has no
+ * choices or history details, so those start empty and past arcs are kept as placeholders.
+ * @param {Object|null|undefined} state - Saved state, any version
+ * @returns {ArcState|null} Current-version state, or null if there is nothing to restore
+ */
+export function migrateArcState(state) {
+    if (!state || typeof state !== 'object') return null;
+
+    let migrated = state;
+    if (typeof migrated.version !== 'number') {
+        const legacyArc = migrated.hasActiveArc && migrated.arcType ? {
+            type: migrated.arcType,
+            name: migrated.arcName ?? migrated.arcType,
+            phaseIndex: migrated.currentPhaseIndex ?? 0,
+            characterName: null,
+            startTime: Date.now(),
+            choices: [],
+            branch: null
+        } : null;
+        migrated = {
+            version: 1,
+            currentArc: legacyArc,
+            arcHistory: Array.from({ length: Number(migrated.completedArcs) || 0 }, () => ({
+                type: null, name: 'Earlier arc', phaseIndex: 0, characterName: null, startTime: 0, completedAt: null, choices: [], branch: null
+            })),
+            activeBranches: [],
+            storyProgress: migrated.storyProgress ?? null
+        };
+    }
+
+    // Version 2 counts replies per phase for evidence-driven transitions
+    if (migrated.version === 1) {
+        migrated = {
+            ...migrated,
+            version: 2,
+            currentArc: migrated.currentArc ? { ...migrated.currentArc, phaseTurns: 0, dismissedAtTurn: null } : null
+        };
+    }
+
+    if (migrated.version > ARC_STATE_VERSION) {
+        logger.warn(`Arc state version ${migrated.version} is newer than this extension (${ARC_STATE_VERSION}), ignoring it`);
+        return null;
+    }
+    return migrated;
+}
 
 /**
  * Narrative Arc Manager
@@ -39,15 +160,16 @@ export class NarrativeArcManager {
      */
     initializeTemplates() {
         // Arc templates define story phases with weights and branching options. Each phase has a name, description, and weight (relative importance).
+        // exit says what has to happen in the story before the phase is over; cues are words in the replies that suggest it has.
         return {
             romance: {
                 name: 'Romance Arc',
                 phases: [
-                    { name: 'introduction', description: 'Meeting and initial attraction', weight: 20 },
-                    { name: 'getting_to_know', description: 'Developing relationship', weight: 25 },
-                    { name: 'complication', description: 'Conflict or obstacle', weight: 20 },
-                    { name: 'tension', description: 'Emotional climax', weight: 20 },
-                    { name: 'resolution', description: 'Relationship resolution', weight: 15 }
+                    { name: 'introduction', description: 'Meeting and initial attraction', weight: 20, exit: 'The two have met and shown a first spark of interest in each other', cues: ['blush', 'smile', 'glance', 'introduce', 'name is', 'attractive', 'curious', 'nice to meet'] },
+                    { name: 'getting_to_know', description: 'Developing relationship', weight: 25, exit: 'They have shared personal details and spent real time together', cues: ['laugh', 'together', 'share', 'secret', 'past', 'trust', 'confide', 'date'] },
+                    { name: 'complication', description: 'Conflict or obstacle', weight: 20, exit: 'An obstacle or conflict has come between them', cues: ['argue', 'jealous', 'rival', 'lie', 'betray', 'secret', 'doubt', 'misunderstand'] },
+                    { name: 'tension', description: 'Emotional climax', weight: 20, exit: 'Feelings have come to a head in an emotional confrontation or confession', cues: ['confess', 'tears', 'kiss', 'love you', 'shout', 'heart', 'cannot stand', 'admit'] },
+                    { name: 'resolution', description: 'Relationship resolution', weight: 15, exit: 'The relationship has settled into a new, resolved state', cues: ['together now', 'forgive', 'promise', 'embrace', 'future', 'always', 'settled', 'home'] }
                 ],
                 branching: [
                     { from: 'introduction', options: ['friends_to_lovers', 'enemies_to_lovers', 'strangers_to_lovers'] },
@@ -58,11 +180,11 @@ export class NarrativeArcManager {
             adventure: {
                 name: 'Adventure Arc',
                 phases: [
-                    { name: 'call_to_adventure', description: 'The quest begins', weight: 15 },
-                    { name: 'preparation', description: 'Gathering resources/companions', weight: 20 },
-                    { name: 'challenges', description: 'Obstacles and trials', weight: 30 },
-                    { name: 'climax', description: 'Major confrontation', weight: 25 },
-                    { name: 'resolution', description: 'Victory and return', weight: 10 }
+                    { name: 'call_to_adventure', description: 'The quest begins', weight: 15, exit: 'A quest or goal has been set and accepted', cues: ['quest', 'map', 'mission', 'journey', 'summon', 'reward', 'accept', 'set out'] },
+                    { name: 'preparation', description: 'Gathering resources/companions', weight: 20, exit: 'Supplies, allies or plans are gathered and the party sets off', cues: ['supplies', 'gear', 'companion', 'plan', 'pack', 'weapon', 'ally', 'depart'] },
+                    { name: 'challenges', description: 'Obstacles and trials', weight: 30, exit: 'Several trials have been faced and the main threat is in sight', cues: ['fight', 'trap', 'monster', 'wound', 'escape', 'survive', 'ambush', 'obstacle'] },
+                    { name: 'climax', description: 'Major confrontation', weight: 25, exit: 'The decisive confrontation has been fought', cues: ['final', 'defeat', 'victory', 'boss', 'last stand', 'confront', 'slay', 'triumph'] },
+                    { name: 'resolution', description: 'Victory and return', weight: 10, exit: 'The quest is over and its outcome has sunk in', cues: ['return', 'celebrate', 'reward', 'home', 'rest', 'peace', 'aftermath', 'farewell'] }
                 ],
                 branching: [
                     { from: 'call_to_adventure', options: ['mysterious_map', 'urgent_quest', 'accidental_discovery'] },
@@ -72,11 +194,11 @@ export class NarrativeArcManager {
             mystery: {
                 name: 'Mystery Arc',
                 phases: [
-                    { name: 'hook', description: 'Mystery introduced', weight: 15 },
-                    { name: 'investigation', description: 'Gathering clues', weight: 35 },
-                    { name: 'revelation', description: 'Key discovery', weight: 25 },
-                    { name: 'confrontation', description: 'Confronting the truth', weight: 15 },
-                    { name: 'conclusion', description: 'Case solved', weight: 10 }
+                    { name: 'hook', description: 'Mystery introduced', weight: 15, exit: 'A mystery has been introduced and someone has decided to look into it', cues: ['body', 'missing', 'strange', 'murder', 'disappear', 'clue', 'case', 'odd'] },
+                    { name: 'investigation', description: 'Gathering clues', weight: 35, exit: 'Enough clues have been gathered to point toward an answer', cues: ['clue', 'evidence', 'witness', 'suspect', 'question', 'search', 'notes', 'alibi'] },
+                    { name: 'revelation', description: 'Key discovery', weight: 25, exit: 'A key truth has been uncovered', cues: ['realize', 'truth', 'reveal', 'it was', 'discover', 'behind it', 'proof', 'finally understand'] },
+                    { name: 'confrontation', description: 'Confronting the truth', weight: 15, exit: 'The culprit or truth has been confronted directly', cues: ['confront', 'accuse', 'confess', 'cornered', 'arrest', 'you did', 'face', 'caught'] },
+                    { name: 'conclusion', description: 'Case solved', weight: 10, exit: 'The case is closed and loose ends are tied up', cues: ['solved', 'closed', 'justice', 'explain', 'aftermath', 'relief', 'over', 'wrap'] }
                 ],
                 branching: [
                     { from: 'hook', options: ['crime_scene', 'missing_person', 'strange_event'] },
@@ -86,10 +208,10 @@ export class NarrativeArcManager {
             friendship: {
                 name: 'Friendship Arc',
                 phases: [
-                    { name: 'first_meeting', description: 'Characters meet', weight: 25 },
-                    { name: 'bonding', description: 'Getting to know each other', weight: 30 },
-                    { name: 'test', description: 'Friendship tested', weight: 25 },
-                    { name: 'growth', description: 'Stronger bond', weight: 20 }
+                    { name: 'first_meeting', description: 'Characters meet', weight: 25, exit: 'The characters have met and started talking', cues: ['meet', 'introduce', 'name is', 'hello', 'new', 'stranger', 'first time', 'greet'] },
+                    { name: 'bonding', description: 'Getting to know each other', weight: 30, exit: 'They have shared experiences and trust each other', cues: ['laugh', 'together', 'share', 'help', 'trust', 'joke', 'favorite', 'friend'] },
+                    { name: 'test', description: 'Friendship tested', weight: 25, exit: 'The friendship has been strained by a conflict or hard choice', cues: ['argue', 'betray', 'angry', 'leave', 'choose', 'disappoint', 'hurt', 'abandon'] },
+                    { name: 'growth', description: 'Stronger bond', weight: 20, exit: 'The friendship has recovered and grown stronger', cues: ['sorry', 'forgive', 'stronger', 'always', 'promise', 'grateful', 'thank', 'best friend'] }
                 ],
                 branching: [
                     { from: 'first_meeting', options: ['unlikely_meeting', 'forced_together', 'mutual_interest'] },
@@ -99,27 +221,48 @@ export class NarrativeArcManager {
             hero_journey: {
                 name: "Hero's Journey",
                 phases: [
-                    { name: 'ordinary_world', description: 'Normal life', weight: 10 },
-                    { name: 'call_to_adventure', description: 'Called to action', weight: 15 },
-                    { name: 'refusal', description: 'Initial hesitation', weight: 5 },
-                    { name: 'mentor', description: 'Guidance received', weight: 10 },
-                    { name: 'crossing_threshold', description: 'Commit to journey', weight: 15 },
-                    { name: 'tests', description: 'Trials and allies', weight: 20 },
-                    { name: 'ordeal', description: 'Major crisis', weight: 15 },
-                    { name: 'reward', description: 'Achievement', weight: 5 },
-                    { name: 'return', description: 'Return transformed', weight: 5 }
+                    { name: 'ordinary_world', description: 'Normal life', weight: 10, exit: "The hero's everyday life and what they lack have been shown", cues: ['usual', 'routine', 'village', 'home', 'ordinary', 'every day', 'chores', 'dream'] },
+                    { name: 'call_to_adventure', description: 'Called to action', weight: 15, exit: 'Something has disrupted everyday life and called the hero to act', cues: ['message', 'summon', 'must', 'call', 'danger', 'sign', 'stranger', 'prophecy'] },
+                    { name: 'refusal', description: 'Initial hesitation', weight: 5, exit: 'The hero has hesitated or refused, then been pushed past it', cues: ['refuse', 'afraid', 'cannot', 'hesitate', 'doubt', 'no way', 'too dangerous', 'reluctant'] },
+                    { name: 'mentor', description: 'Guidance received', weight: 10, exit: 'A mentor or guide has given advice, training or a gift', cues: ['mentor', 'teach', 'advice', 'train', 'lesson', 'wise', 'gift', 'guide'] },
+                    { name: 'crossing_threshold', description: 'Commit to journey', weight: 15, exit: 'The hero has committed and left the familiar world behind', cues: ['leave', 'cross', 'gate', 'border', 'no turning back', 'set out', 'depart', 'unknown'] },
+                    { name: 'tests', description: 'Trials and allies', weight: 20, exit: 'The hero has faced trials and found allies and enemies', cues: ['test', 'trial', 'ally', 'enemy', 'fight', 'challenge', 'learn', 'rival'] },
+                    { name: 'ordeal', description: 'Major crisis', weight: 15, exit: 'The hero has survived a major crisis or near defeat', cues: ['crisis', 'near death', 'darkest', 'lose', 'fall', 'sacrifice', 'despair', 'survive'] },
+                    { name: 'reward', description: 'Achievement', weight: 5, exit: 'The hero has claimed a reward or achievement', cues: ['reward', 'treasure', 'prize', 'claim', 'win', 'earn', 'achieve', 'victory'] },
+                    { name: 'return', description: 'Return transformed', weight: 5, exit: 'The hero has returned changed', cues: ['return', 'home', 'changed', 'welcome', 'share', 'peace', 'different', 'ends'] }
                 ]
             }
         };
     }
 
+    /**
+     * Replace the user arc templates, keeping the built-ins
+     * A running arc picks up edits to its template; if its phase was removed it stays on the old copy until restarted.
+     * @param {Object<string, Object>} customTemplates - User templates by key (ArcTemplateManager.getCustomTemplates)
+     * @returns {void}
+     */
+    setCustomTemplates(customTemplates = {}) {
+        this.arcTemplates = { ...this.initializeTemplates(), ...customTemplates };
+
+        const arc = this.currentArc;
+        const template = arc ? this.arcTemplates[arc.type] : null;
+        const phaseIndex = template?.phases?.findIndex(phase => phase.name === arc.currentPhase?.name) ?? -1;
+        if (template && phaseIndex >= 0) {
+            arc.template = template;
+            arc.name = template.name;
+            arc.phaseIndex = phaseIndex;
+            arc.currentPhase = template.phases[phaseIndex];
+        }
+    }
+
     /**
      * Start a new narrative arc
      * @param {string} [arcType='natural'] - The type of arc to start
      * @param {Object|null} [character=null] - The character associated with the arc
+     * @param {string|null} [startPhase=null] - Phase to start in, for stories already under way (defaults to the first)
      * @returns {boolean} True if arc started successfully
      */
-    startArc(arcType = 'natural', character = null) {
+    startArc(arcType = 'natural', character = null, startPhase = null) {
         const template = this.arcTemplates[arcType];
         if (!template) {
             logger.warn(`Unknown arc type: ${arcType}`);
@@ -132,30 +275,71 @@ export class NarrativeArcManager {
             logger.warn(`Template ${arcType} has no phases`);
             return false;
         }
+        const phaseIndex = Math.max(0, template.phases.findIndex(phase => phase.name === startPhase));
 
         this.currentArc = {
             type: arcType,
             name: template.name,
-            currentPhase: firstPhase,
-            phaseIndex: 0,
+            currentPhase: template.phases[phaseIndex],
+            phaseIndex,
             template: template,
             character: character,
             startTime: Date.now(),
             choices: [],
-            branch: null
+            branch: null,
+            phaseTurns: 0,
+            dismissedAtTurn: null
         };
 
         this.storyProgress = {
-            currentPhase: template.phases[0].name,
+            currentPhase: template.phases[phaseIndex].name,
             milestones: [],
-            completedPhases: [],
+            // Phases skipped by a later start count as already played
+            completedPhases: template.phases.slice(0, phaseIndex).map(phase => phase.name),
             arcType: arcType
         };
 
         logger.log(`Started ${template.name} arc with ${character?.name || 'unknown character'}`);
+        this.notifyChange();
+        return true;
+    }
+
+    /**
+     * End the active arc without completing it, returning to natural progression
+     * @returns {boolean} True if an arc was ended
+     */
+    clearArc() {
+        if (!this.currentArc) return false;
+
+        logger.log(`Arc ended: ${this.currentArc.name}`);
+        this.currentArc = null;
+        this.storyProgress = {
+            currentPhase: 'introduction',
+            milestones: [],
+            completedPhases: [],
+            arcType: 'natural'
+        };
+        this.notifyChange();
         return true;
     }
 
+    /**
+     * List the arcs that can be started, for the arc picker
+     * Arcs that suggestArcType proposes for the character are flagged.
+     * @param {Object|null} [character=null] - The character object
+     * @param {Array} [chatHistory=[]] - Recent chat history
+     * @returns {Array<{type: string, name: string, suggested: boolean, phases: Array<{name: string, description: string}>}>} Arc options
+     */
+    getArcOptions(character = null, chatHistory = []) {
+        const suggested = new Set(this.suggestArcType(character, chatHistory, {}).map(suggestion => suggestion.arcType));
+        return Object.entries(this.arcTemplates).map(([type, template]) => ({
+            type,
+            name: template.name,
+            suggested: suggested.has(type),
+            phases: (template.phases || []).map(phase => ({ name: phase.name, description: phase.description }))
+        }));
+    }
+
     /**
      * Get plot direction suggestions based on current arc state
      * @param {Object} character - The character object
@@ -263,6 +447,11 @@ export class NarrativeArcManager {
         const recentChat = this.extractRecentContext(chatHistory);
         const contextualHint = this.getContextualHint(recentChat);
 
+        // Template phases can carry their own direction
+        if (phase.prompt) {
+            return `[${phase.prompt.replace(/\{\{char\}\}/gi, characterName)} Recent conversation suggests ${contextualHint}]`;
+        }
+
         const phasePlots = {
             introduction: `[${characterName} takes in their new surroundings, aware that everything is about to change. Recent conversation suggests ${contextualHint}]`,
             getting_to_know: `[${characterName} discovers layers to their situation that weren't obvious at first. The conversation patterns indicate ${contextualHint}]`,
@@ -387,6 +576,47 @@ export class NarrativeArcManager {
         return branchPlots[branch] || `[${characterName} explores new narrative possibilities that align with their deepest motivations and current circumstances, guided by ${contextualHint}]`;
     }
 
+    /**
+     * Generate a plot locally from the active arc, for when the plot model is unavailable or offline mode is on
+     * Uses the chosen branch if there is one, otherwise the current phase or, sometimes, one of its branches,
+     * and closes with a randomized nudge for the requested intensity.
+     * @param {Object} character - The character object
+     * @param {Array} chatHistory - Recent chat history
+     * @param {{intensity?: string}} [options={}] - Generation options
+     * @param {function(): number} [random=Math.random] - Random source
+     * @returns {{text: string, tone: string, pacing: string, fallback: boolean}} Plot in the PlotEngine result shape
+     */
+    generateFallbackPlot(character, chatHistory, options = {}, random = Math.random) {
+        const pick = list => list[Math.floor(random() * list.length)];
+        const characterName = character?.name ?? 'Character';
+        const contextualHint = this.getContextualHint(this.extractRecentContext(chatHistory));
+
+        const phase = this.currentArc?.template?.phases?.[this.currentArc.phaseIndex] ?? null;
+        const branchOptions = phase
+            ? (this.currentArc.template.branching || []).filter(b => b.from === phase.name).flatMap(b => b.options)
+            : [];
+
+        let text;
+        if (this.currentArc?.branch) {
+            text = this.generateBranchPlot(this.currentArc.branch, character, chatHistory);
+        } else if (branchOptions.length > 0 && random() < FALLBACK_BRANCH_CHANCE) {
+            text = this.generateBranchPlot(pick(branchOptions), character, chatHistory);
+        } else if (phase) {
+            text = this.generatePhasePlot(phase, character, chatHistory);
+        } else {
+            text = pick(NATURAL_FALLBACK_PLOTS)(characterName, contextualHint);
+        }
+
+        const nudge = pick(FALLBACK_NUDGES[options.intensity] ?? FALLBACK_NUDGES.moderate);
+        const pacing = phase ? this.getPacing()?.directive : null;
+        return {
+            text: text.replace(/\]$/, `. ${nudge}.]`),
+            tone: contextualHint.charAt(0).toUpperCase() + contextualHint.slice(1),
+            pacing: pacing || (phase ? `${this.formatBranchName(phase.name)}: ${phase.description}` : 'Natural progression'),
+            fallback: true
+        };
+    }
+
     /**
      * Format branch name for display
      * @param {string} branch - The raw branch name
@@ -398,18 +628,33 @@ export class NarrativeArcManager {
         ).join(' ');
     }
 
+    /**
+     * Get the number of replies a whole arc should take
+     * Each phase gets a share of it by weight.
+     * @returns {number} Arc length in replies
+     */
+    getArcLength() {
+        const settings = window.extension_settings?.['machinor-roundtable'] || window.machinorRoundtable?.settings || {};
+        return settings.arcLength ?? DEFAULT_ARC_LENGTH;
+    }
+
     /**
      * Calculate current arc progress as percentage
+     * Completed phases count their full weight; the current one counts the share of its turn target spent so far.
      * @returns {number} Progress percentage (0-100)
      */
     calculateArcProgress() {
-        // Calculate progress as percentage based on current phase index vs total phases
         if (!this.currentArc) return 0;
+        return calculateWeightedProgress(this.currentArc, this.getArcLength());
+    }
 
-        // Optional chaining
-        const totalPhases = this.currentArc.template?.phases?.length || 1;
-        const currentProgress = this.currentArc.phaseIndex / totalPhases;
-        return Math.round(currentProgress * 100);
+    /**
+     * Compare the current phase with its turn target
+     * @returns {import('./arc-pacing.js').PacingStatus|null} Pacing, or null without an active arc
+     */
+    getPacing() {
+        if (!this.currentArc) return null;
+        return getPacingStatus(this.currentArc, this.storyProgress.milestones, this.getArcLength());
     }
 
     /**
@@ -433,14 +678,38 @@ export class NarrativeArcManager {
         }
 
         logger.log(`Arc choice made:`, choice);
+        this.notifyChange();
         return true;
     }
 
+    /**
+     * Count a reply towards the current phase
+     * @returns {number} Replies since the phase started (0 without an active arc)
+     */
+    recordPhaseTurn() {
+        if (!this.currentArc) return 0;
+        this.currentArc.phaseTurns = (this.currentArc.phaseTurns ?? 0) + 1;
+        this.notifyChange();
+        return this.currentArc.phaseTurns;
+    }
+
+    /**
+     * Hold off proposing a phase transition for a while after the user turned one down
+     * @returns {void}
+     */
+    dismissTransition() {
+        if (!this.currentArc) return;
+        this.currentArc.dismissedAtTurn = this.currentArc.phaseTurns ?? 0;
+        this.notifyChange();
+    }
+
     /**
      * Advance to next phase in the arc
+     * The transition is logged in storyProgress.milestones.
+     * @param {{reason?: string, confidence?: number|null, source?: string}} [transition={}] - Why the phase ended
      * @returns {boolean} True if phase advanced or arc completed
      */
-    advancePhase() {
+    advancePhase(transition = {}) {
         if (!this.currentArc) return false;
 
         const phases = this.currentArc.template?.phases || [];
@@ -448,15 +717,27 @@ export class NarrativeArcManager {
         
         if (currentPhase) {
             this.storyProgress.completedPhases.push(currentPhase.name);
+            this.storyProgress.milestones.push({
+                fromPhase: currentPhase.name,
+                toPhase: phases[this.currentArc.phaseIndex + 1]?.name ?? null,
+                reason: transition.reason || 'Advanced manually',
+                confidence: transition.confidence ?? null,
+                source: transition.source || 'manual',
+                turns: this.currentArc.phaseTurns ?? 0,
+                timestamp: Date.now()
+            });
         }
 
         // Move to next phase
         this.currentArc.phaseIndex++;
+        this.currentArc.phaseTurns = 0;
+        this.currentArc.dismissedAtTurn = null;
 
         if (this.currentArc.phaseIndex >= phases.length) {
             logger.log(`Arc completed: ${this.currentArc.name}`);
-            this.arcHistory.push({ ...this.currentArc });
+            this.arcHistory.push({ ...this.currentArc, completedAt: Date.now() });
             this.currentArc = null;
+            this.notifyChange();
             return true;
         }
 
@@ -464,6 +745,7 @@ export class NarrativeArcManager {
         this.storyProgress.currentPhase = this.currentArc.currentPhase.name;
 
         logger.log(`Advanced to phase: ${this.currentArc.currentPhase.name}`);
+        this.notifyChange();
         return true;
     }
 
@@ -479,6 +761,9 @@ export class NarrativeArcManager {
             arcName: this.currentArc?.name ?? null,
             currentPhase: this.currentArc?.currentPhase?.name ?? null,
             progress: this.calculateArcProgress(),
+            // Phase segments sized by weight, for the sidebar bar
+            segments: this.currentArc ? getArcSegments(this.currentArc, this.getArcLength()) : [],
+            pacing: this.getPacing(),
             totalPhases: this.currentArc?.template?.phases?.length ?? 0,
             currentPhaseIndex: this.currentArc?.phaseIndex ?? 0,
             storyProgress: this.storyProgress,
@@ -486,6 +771,87 @@ export class NarrativeArcManager {
         };
     }
 
+    /**
+     * Serialize the arc state for the chat profile
+     * Templates are stored by key and characters by name; both are resolved again on restore.
+     * @returns {ArcState} Arc state
+     */
+    serialize() {
+        const saveArc = (arc) => ({
+            type: arc.type,
+            name: arc.name,
+            phaseIndex: arc.phaseIndex,
+            characterName: arc.character?.name ?? arc.characterName ?? null,
+            startTime: arc.startTime,
+            completedAt: arc.completedAt ?? null,
+            choices: arc.choices ?? [],
+            branch: arc.branch ?? null,
+            phaseTurns: arc.phaseTurns ?? 0,
+            dismissedAtTurn: arc.dismissedAtTurn ?? null
+        });
+
+        return {
+            version: ARC_STATE_VERSION,
+            currentArc: this.currentArc ? saveArc(this.currentArc) : null,
+            arcHistory: this.arcHistory.map(saveArc),
+            activeBranches: [...this.activeBranches.entries()],
+            storyProgress: { ...this.storyProgress }
+        };
+    }
+
+    /**
+     * Restore a saved arc state, migrating older versions
+     * An active arc whose template no longer exists is dropped; its history is kept.
+     * @param {Object|null|undefined} state - Saved state, any version
+     * @returns {boolean} True if a state was restored
+     */
+    restore(state) {
+        this.reset();
+        const migrated = migrateArcState(state);
+        if (!migrated) return false;
+
+        this.arcHistory = Array.isArray(migrated.arcHistory) ? migrated.arcHistory : [];
+        this.activeBranches = new Map(Array.isArray(migrated.activeBranches) ? migrated.activeBranches : []);
+        if (migrated.storyProgress) {
+            this.storyProgress = { ...this.storyProgress, ...migrated.storyProgress };
+        }
+
+        const saved = migrated.currentArc;
+        const template = saved ? this.arcTemplates[saved.type] : null;
+        const phaseIndex = Math.min(Math.max(0, saved?.phaseIndex ?? 0), (template?.phases?.length ?? 1) - 1);
+        if (saved && template?.phases?.[phaseIndex]) {
+            this.currentArc = {
+                type: saved.type,
+                name: template.name,
+                currentPhase: template.phases[phaseIndex],
+                phaseIndex,
+                template,
+                character: null,
+                characterName: saved.characterName ?? null,
+                startTime: saved.startTime ?? Date.now(),
+                choices: Array.isArray(saved.choices) ? saved.choices : [],
+                branch: saved.branch ?? null,
+                phaseTurns: saved.phaseTurns ?? 0,
+                dismissedAtTurn: saved.dismissedAtTurn ?? null
+            };
+            this.storyProgress.currentPhase = this.currentArc.currentPhase.name;
+            this.storyProgress.arcType = saved.type;
+        } else if (saved) {
+            logger.warn(`Saved arc type ${saved.type} is no longer available, arc not restored`);
+        }
+
+        logger.log('Narrative arc state restored:', this.currentArc ? `${this.currentArc.name}, phase ${this.currentArc.currentPhase.name}` : 'no active arc');
+        return true;
+    }
+
+    /**
+     * Tell listeners the arc state changed so it can be saved with the chat
+     * @returns {void}
+     */
+    notifyChange() {
+        this.stIntegration?.emit('arc_changed', this.serialize());
+    }
+
     /**
      * Reset arc system
      * @returns {void}
@@ -0,0 +1,119 @@
+// Machinor Roundtable - Evidence-Driven Arc Phase Transitions
+
+/**
+ * What happens when the story looks ready for the next arc phase
+ * off: phases only change when the user starts a new arc
+ * confirm: propose the transition in the sidebar for the user to confirm
+ * auto: apply it when the evidence is strong enough, propose it otherwise
+ * @type {string[]}
+ */
+export const PHASE_TRANSITION_MODES = ['off', 'confirm', 'auto'];
+
+/**
+ * How the chat is checked against a phase's exit criteria
+ * heuristic: look for the phase's cue words in the recent replies
+ * llm: ask the plot model (falls back to the heuristic in offline mode)
+ * @type {string[]}
+ */
+export const PHASE_DETECTORS = ['heuristic', 'llm'];
+
+// Replies a phase runs before it is checked, and between a dismissed proposal and the next check
+const MIN_PHASE_TURNS = 2;
+// Distinct cue words that make the heuristic fully confident
+const CUE_TARGET = 3;
+// Weaker evidence is not worth proposing
+const PROPOSAL_MIN_CONFIDENCE = 0.5;
+// Most messages checked for evidence
+const MAX_EVIDENCE_MESSAGES = 10;
+
+/**
+ * @typedef {Object} PhaseEvidence
+ * @property {number} confidence - How sure the detector is that the phase is over, 0-1
+ * @property {string} reason - What in the chat shows it
+ */
+
+/**
+ * @typedef {Object} PhaseTransitionProposal
+ * @property {string} fromPhase - Phase being left
+ * @property {string|null} toPhase - Next phase (null when the arc completes)
+ * @property {number} confidence - Detector confidence, 0-1
+ * @property {string} reason - Why the phase looks over
+ * @property {string} detector - One of PHASE_DETECTORS
+ */
+
+/**
+ * Check whether the active phase has run long enough to be checked
+ * @param {Object|null} arc - NarrativeArcManager.currentArc
+ * @returns {boolean}
+ */
+export function isPhaseCheckDue(arc) {
+    if (!arc?.currentPhase) return false;
+    const turns = arc.phaseTurns ?? 0;
+    const sinceDismissal = arc.dismissedAtTurn === null || arc.dismissedAtTurn === undefined
+        ? turns
+        : turns - arc.dismissedAtTurn;
+    return turns >= MIN_PHASE_TURNS && sinceDismissal >= MIN_PHASE_TURNS;
+}
+
+/**
+ * Get the messages written during the active phase, up to a limit
+ * @param {Array<Object>} chat - SillyTavern chat
+ * @param {number} phaseTurns - Replies since the phase started
+ * @returns {Array<Object>} Messages, oldest first (system messages excluded)
+ */
+export function getEvidenceMessages(chat, phaseTurns) {
+    if (!Array.isArray(chat)) return [];
+    // Each turn is a user message and a reply
+    const count = Math.min(Math.max(1, phaseTurns) * 2, MAX_EVIDENCE_MESSAGES);
+    return chat.filter(message => message && !message.is_system && typeof message.mes === 'string').slice(-count);
+}
+
+/**
+ * Look for a phase's cue words in the recent messages
+ * @param {Object} phase - Arc template phase
+ * @param {Array<Object>} messages - Messages written during the phase
+ * @returns {PhaseEvidence} Evidence
+ */
+export function scorePhaseExit(phase, messages) {
+    const text = messages.map(message => message.mes).join('\n');
+    const found = (phase?.cues ?? []).filter(cue => {
+        const escaped = cue.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`\\b${escaped}`, 'i').test(text);
+    });
+
+    return {
+        confidence: Math.min(1, found.length / CUE_TARGET),
+        reason: found.length
+            ? `The recent chat mentions ${found.slice(0, CUE_TARGET).map(cue => `"${cue}"`).join(', ')}`
+            : 'No sign of the phase ending'
+    };
+}
+
+/**
+ * Turn detector evidence into a transition proposal
+ * @param {Object} arc - NarrativeArcManager.currentArc
+ * @param {PhaseEvidence|null} evidence - Detector output
+ * @param {string} detector - One of PHASE_DETECTORS
+ * @returns {PhaseTransitionProposal|null} Proposal, or null if the evidence is too weak
+ */
+export function buildProposal(arc, evidence, detector) {
+    if (!arc?.currentPhase || !evidence || evidence.confidence < PROPOSAL_MIN_CONFIDENCE) return null;
+    return {
+        fromPhase: arc.currentPhase.name,
+        toPhase: arc.template?.phases?.[arc.phaseIndex + 1]?.name ?? null,
+        confidence: evidence.confidence,
+        reason: evidence.reason,
+        detector
+    };
+}
+
+/**
+ * Check whether a proposal applies without asking the user
+ * @param {PhaseTransitionProposal} proposal - Proposal
+ * @param {string} mode - One of PHASE_TRANSITION_MODES
+ * @param {number} thresholdPercent - Confidence needed to auto-apply, in percent
+ * @returns {boolean}
+ */
+export function shouldAutoApply(proposal, mode, thresholdPercent) {
+    return mode === 'auto' && proposal.confidence * 100 >= thresholdPercent;
+}
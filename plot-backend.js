@@ -0,0 +1,239 @@
+// Machinor Roundtable - Plot Generation Backend
+import { getContext } from "../../../extensions.js";
+import { generateQuietPrompt } from "../../../../script.js";
+import { logger } from "./logger.js";
+
+/**
+ * Backend modes for plot generation
+ * main: the connection the chat is using (generateQuietPrompt)
+ * openai_compatible: any /v1/chat/completions endpoint, e.g. a local server
+ * connection_profile: a SillyTavern Connection Manager profile
+ * @type {string[]}
+ */
+export const BACKEND_MODES = ['main', 'openai_compatible', 'connection_profile'];
+
+/**
+ * PlotBackend - Routes Narrative Architect calls to the configured connection
+ * Any failure of a dedicated backend falls back to the main connection so plots keep flowing.
+ */
+export class PlotBackend {
+    /**
+     * @param {STIntegrationManager|null} [stIntegration=null]
+     */
+    constructor(stIntegration = null) {
+        /** @type {STIntegrationManager|null} */
+        this.stIntegration = stIntegration;
+        /** @type {string} Label of the model that served the last request, for parse diagnostics */
+        this.lastModelLabel = 'unknown';
+        /** @type {string|null} Last fallback reason, so the same warning is not repeated every turn */
+        this.lastFallbackReason = null;
+    }
+
+    /**
+     * Get the extension settings object
+     * @returns {Object} Settings (empty object if unavailable)
+     */
+    getSettings() {
+        return window.extension_settings?.['machinor-roundtable'] || window.machinorRoundtable?.settings || {};
+    }
+
+    /**
+     * Get the configured backend mode
+     * @returns {string} One of BACKEND_MODES
+     */
+    getMode() {
+        const mode = this.getSettings().backendMode;
+        return BACKEND_MODES.includes(mode) ? mode : 'main';
+    }
+
+    /**
+     * List SillyTavern Connection Manager profiles
+     * @returns {Array<{id: string, name: string}>} Profiles (empty if Connection Manager is unavailable)
+     */
+    getConnectionProfiles() {
+        const profiles = getContext()?.extensionSettings?.connectionManager?.profiles;
+        if (!Array.isArray(profiles)) return [];
+        return profiles.map(profile => ({ id: profile.id, name: profile.name ?? profile.id }));
+    }
+
+    /**
+     * Check whether the dedicated backend is configured well enough to try
+     * @returns {string|null} Reason it cannot be used, or null if it looks usable
+     */
+    getUnavailableReason() {
+        const settings = this.getSettings();
+        switch (this.getMode()) {
+            case 'openai_compatible':
+                return settings.backendEndpoint?.trim() ? null : 'No endpoint URL configured';
+            case 'connection_profile':
+                if (typeof getContext()?.ConnectionManagerRequestService?.sendRequest !== 'function') {
+                    return 'Connection Manager is not available in this SillyTavern version';
+                }
+                if (!this.getConnectionProfiles().some(profile => profile.id === settings.backendProfileId)) {
+                    return 'Selected connection profile no longer exists';
+                }
+                return null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Generate a completion for a plot prompt
+     * @param {string} prompt - The fully built prompt
+     * @param {AbortSignal} [signal] - Aborts the request (dedicated backends only)
+     * @returns {Promise<string>} Raw completion text
+     * @throws {Error} If the main connection fails or the request was aborted
+     */
+    async generate(prompt, signal) {
+        const mode = this.getMode();
+        if (mode !== 'main') {
+            const reason = this.getUnavailableReason();
+            if (!reason) {
+                try {
+                    const response = mode === 'openai_compatible'
+                        ? await this.generateWithEndpoint(prompt, signal)
+                        : await this.generateWithProfile(prompt, signal);
+                    this.lastFallbackReason = null;
+                    return response;
+                } catch (error) {
+                    // An aborted request was cancelled or timed out - falling back would just start another one
+                    if (signal?.aborted) throw error;
+                    this.notifyFallback(error.message);
+                }
+            } else {
+                this.notifyFallback(reason);
+            }
+        }
+
+        return this.generateWithMain(prompt);
+    }
+
+    /**
+     * Generate through the main chat connection
+     * generateQuietPrompt cannot be aborted; a cancelled caller simply discards the result.
+     * @param {string} prompt - The fully built prompt
+     * @returns {Promise<string>} Raw completion text
+     */
+    async generateWithMain(prompt) {
+        this.lastModelLabel = this.stIntegration?.getActiveModelLabel() ?? 'unknown';
+        return generateQuietPrompt({
+            quietPrompt: prompt,
+            skipWIAN: true,
+            removeReasoning: true,
+            trimToSentence: false
+        });
+    }
+
+    /**
+     * Generate through an OpenAI-compatible chat completions endpoint
+     * @param {string} prompt - The fully built prompt
+     * @param {AbortSignal} [signal] - Aborts the fetch
+     * @returns {Promise<string>} Raw completion text
+     * @throws {Error} If the endpoint is unreachable or returns no text
+     */
+    async generateWithEndpoint(prompt, signal) {
+        const settings = this.getSettings();
+        const url = `${settings.backendEndpoint.trim().replace(/\/+$/, '')}/chat/completions`;
+        const headers = { 'Content-Type': 'application/json' };
+        if (settings.backendApiKey) {
+            headers.Authorization = `Bearer ${settings.backendApiKey}`;
+        }
+
+        const body = {
+            messages: [{ role: 'user', content: prompt }],
+            temperature: settings.backendTemperature ?? 0.8,
+            max_tokens: settings.backendMaxTokens ?? 600,
+            stream: false
+        };
+        // Some local servers reject an empty model name, so only send one if configured
+        if (settings.backendModel?.trim()) {
+            body.model = settings.backendModel.trim();
+        }
+
+        let response;
+        try {
+            response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body), signal });
+        } catch (error) {
+            if (error?.name === 'AbortError') throw error;
+            throw new Error(`Endpoint unreachable: ${error.message}`);
+        }
+        if (!response.ok) {
+            throw new Error(`Endpoint returned HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        const content = data?.choices?.[0]?.message?.content ?? data?.choices?.[0]?.text;
+        if (typeof content !== 'string') {
+            throw new Error('Endpoint response contained no completion text');
+        }
+
+        this.lastModelLabel = `endpoint: ${data.model ?? body.model ?? 'default'}`;
+        return content;
+    }
+
+    /**
+     * Generate through a SillyTavern Connection Manager profile
+     * @param {string} prompt - The fully built prompt
+     * @param {AbortSignal} [signal] - Aborts the request
+     * @returns {Promise<string>} Raw completion text
+     * @throws {Error} If the profile request fails or returns no text
+     */
+    async generateWithProfile(prompt, signal) {
+        const settings = this.getSettings();
+        const service = getContext().ConnectionManagerRequestService;
+        const result = await service.sendRequest(
+            settings.backendProfileId,
+            [{ role: 'user', content: prompt }],
+            settings.backendMaxTokens ?? 600,
+            { stream: false, extractData: true, includePreset: true, includeInstruct: true },
+            { temperature: settings.backendTemperature ?? 0.8, signal }
+        );
+
+        const content = typeof result === 'string' ? result : result?.content;
+        if (typeof content !== 'string') {
+            throw new Error('Connection profile returned no completion text');
+        }
+
+        const profile = this.getConnectionProfiles().find(p => p.id === settings.backendProfileId);
+        this.lastModelLabel = `profile: ${profile?.name ?? settings.backendProfileId}`;
+        return content;
+    }
+
+    /**
+     * Log a fallback to the main connection, warning the user once per distinct reason
+     * @param {string} reason - Why the dedicated backend was not used
+     * @returns {void}
+     */
+    notifyFallback(reason) {
+        logger.warn(`Plot backend unavailable, using main connection: ${reason}`);
+        if (this.lastFallbackReason === reason) return;
+        this.lastFallbackReason = reason;
+        // @ts-ignore - toastr is a global library
+        if (window.toastr) window.toastr.warning(`Plot backend unavailable (${reason}). Using the main connection.`, 'Machinor Roundtable');
+    }
+
+    /**
+     * Send a tiny request to the configured backend without falling back
+     * @returns {Promise<{ok: boolean, message: string}>} Result for display in settings
+     */
+    async testConnection() {
+        const mode = this.getMode();
+        if (mode === 'main') {
+            return { ok: true, message: 'Using the main connection' };
+        }
+
+        const reason = this.getUnavailableReason();
+        if (reason) return { ok: false, message: reason };
+
+        try {
+            const prompt = 'Reply with the single word OK.';
+            const response = mode === 'openai_compatible'
+                ? await this.generateWithEndpoint(prompt)
+                : await this.generateWithProfile(prompt);
+            return { ok: true, message: `${this.lastModelLabel} replied: ${response.trim().substring(0, 40)}` };
+        } catch (error) {
+            return { ok: false, message: error.message };
+        }
+    }
+}
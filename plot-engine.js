@@ -1,84 +1,274 @@
 // Machinor Roundtable - Plot Generation Engine
 import { getContext } from "../../../extensions.js";
-import { generateQuietPrompt } from "../../../../script.js";
 import { STIntegrationManager } from "./st-integration.js";
+import { PlotBackend } from "./plot-backend.js";
 import { logger } from "./logger.js";
+import { parseTolerantJson, validatePlot, validateCandidates } from "./plot-validator.js";
+import {
+    MIN_REPAIR_ATTEMPTS, MAX_REPAIR_ATTEMPTS, MIN_CONTEXT_BUDGET, MAX_CONTEXT_BUDGET, DEFAULT_CONTEXT_BUDGET,
+    MIN_GENERATION_TIMEOUT, MAX_GENERATION_TIMEOUT, DEFAULT_GENERATION_TIMEOUT, MIN_RETRY_COUNT, MAX_RETRY_COUNT
+} from "./security-utils.js";
+import { PLOT_GENERATION_PROMPT, PROMPT_SIGNATURE, expandMacros } from "./prompt-templates.js";
+import { getStyleGuidance } from "./plot-style.js";
+import { assembleContext, countTokens, SECTION_PRIORITIES } from "./context-assembler.js";
+import { PlotGenerationError, classifyError } from "./plot-errors.js";
+import { GenerationQueue } from "./generation-queue.js";
 
-const PLOT_GENERATION_PROMPT = `You are a Narrative Architect.Your goal is to analyze the story context and generate a plot hook for the next scene.
-[System Note: Output valid JSON only.Do not output any introductory text or markdown formatting outside the JSON block.]
-Based on the character information and recent conversation context provided, generate a dynamic plot hook that will drive the story forward.
+// Retry backoff: 1s, 2s, 4s, ... capped so a long retry chain never stalls a chat turn for minutes
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 8000;
 
-CHARACTER INFORMATION:
-Name: {{char}}
-Personality: {{personality}}
-Description: {{description}}
-Scenario: {{scenario}}
+// Output schema for a single plot hook (default mode)
+const SINGLE_PLOT_SCHEMA = `{
+    "plot_hook": "The narrative hook text, written in the requested style (e.g., '[Character realizes...]')",
+    "pacing_guidance": "Internal guidance on how this plot affects the story pacing",
+    "tone_analysis": "The emotional tone of this specific hook"
+}`;
 
-RECENT CONVERSATION CONTEXT:
-{{recent_chat}}
+// Follow-up prompt sent when a response fails validation. The model gets its own output back with the problems listed.
+const REPAIR_PROMPT = `You are a Narrative Architect. Your previous response could not be used because it did not match the required JSON schema.
 
-STORY DIRECTION:
-{{direction}}
+PROBLEMS:
+{{errors}}
 
-TONE:
-Focus on bold, story - driving elements that create narrative energy.
+PREVIOUS RESPONSE:
+{{previous_response}}
 
-    INSTRUCTIONS:
-1. Analyze the context and character.
-2. Generate a plot hook that creates dramatic tension or emotional stakes.
-3. Output MUST be a valid JSON object.
+Return ONLY a corrected JSON object that fixes every problem above. Keep the story content, do not add any text outside the JSON.
 
 JSON SCHEMA:
+{{output_schema}}
+`;
+
+// Output schema for multi-candidate mode. {{candidate_count}} is replaced at build time.
+const CANDIDATES_PLOT_SCHEMA = `Return {{candidate_count}} distinct alternative plot hooks, ranked from most to least compelling (rank 1 = best).
 {
-    "plot_hook": "The narrative hook text, written in the requested style (e.g., '[Character realizes...]')",
-        "pacing_guidance": "Internal guidance on how this plot affects the story pacing",
+    "candidates": [
+        {
+            "rank": 1,
+            "plot_hook": "The narrative hook text, written in the requested style (e.g., '[Character realizes...]')",
+            "pacing_guidance": "Internal guidance on how this plot affects the story pacing",
             "tone_analysis": "The emotional tone of this specific hook"
-}
-`;
+        }
+    ]
+}`;
+
+// Asked when a plot's lifetime runs out. Plain-word answer - no JSON needed for a yes/no check.
+const RESOLUTION_CHECK_PROMPT = `You are a Narrative Architect reviewing a roleplay.
+
+PLOT HOOK:
+{{plot}}
+
+RECENT CONVERSATION:
+{{recent_chat}}
+
+Has the story resolved or clearly acted on this plot hook? Answer with exactly one word: RESOLVED or UNRESOLVED.`;
+
+// Asked by the arc detector. {{arc_options}} lists each arc type with its phases in order.
+const ARC_DETECTION_PROMPT = `You are a Narrative Architect choosing a story structure for a roleplay.
+
+CHARACTER: {{character}}
+DESCRIPTION: {{description}}
+PERSONALITY: {{personality}}
+SCENARIO: {{scenario}}
+
+RECENT CONVERSATION:
+{{recent_chat}}
+
+AVAILABLE ARCS (type: phases in order):
+{{arc_options}}
+
+Pick the arc that best fits this character and story, and the phase the story has already reached.
+Return ONLY a JSON object:
+{
+    "arc_type": "One of the arc types above",
+    "phase": "One of that arc's phases",
+    "confidence": "Number from 0 to 1",
+    "justification": "One sentence explaining the choice"
+}`;
+
+// Asked after replies when phase transitions use the plot model
+const PHASE_CHECK_PROMPT = `You are a Narrative Architect tracking the structure of a roleplay.
+
+STORY ARC: {{arc}}
+CURRENT PHASE: {{phase}} - {{phase_description}}
+THE PHASE IS OVER WHEN: {{exit_criteria}}
+NEXT PHASE: {{next_phase}}
+
+RECENT CONVERSATION:
+{{recent_chat}}
+
+Has the story met the condition for ending the current phase? Return ONLY a JSON object:
+{
+    "phase_complete": true or false,
+    "confidence": "Number from 0 to 1",
+    "reason": "One sentence citing what happened in the conversation"
+}`;
+
+// Character card fields are cut to this many characters in the arc detection prompt
+const ARC_DETECTION_FIELD_LENGTH = 800;
 
 export class PlotEngine {
     /**
      * @param {STIntegrationManager|null} [stIntegration=null]
      * @param {NarrativeArcManager|null} [narrativeArc=null]
+     * @param {PromptTemplateManager|null} [promptTemplates=null]
+     * @param {PlotBackend|null} [backend=null] - Defaults to a backend on the main connection settings
      */
-    constructor(stIntegration = null, narrativeArc = null) {
+    constructor(stIntegration = null, narrativeArc = null, promptTemplates = null, backend = null) {
         /** @type {STIntegrationManager|null} */
         this.stIntegration = stIntegration;
         /** @type {NarrativeArcManager|null} */
         this.narrativeArc = narrativeArc;
+        /** @type {PromptTemplateManager|null} */
+        this.promptTemplates = promptTemplates;
+        /** @type {PlotBackend} */
+        this.backend = backend ?? new PlotBackend(stIntegration);
+        /** @type {Set<AbortController>} Controllers of generations in flight, aborted by cancelGeneration() */
+        this.activeControllers = new Set();
+        /** @type {GenerationQueue} Every caller that starts a generation goes through this queue */
+        this.queue = new GenerationQueue();
     }
 
     /**
-     * Generate a customized plot context based on character and chat data
+     * Check whether a plot generation is in flight
+     * @returns {boolean} True while at least one generation is running
+     */
+    isGenerating() {
+        return this.activeControllers.size > 0 || this.queue.isBusy();
+    }
+
+    /**
+     * Cancel every plot generation in flight, and everything queued
+     * Cancelled generations resolve to null, so they can never overwrite the current plot.
+     * @returns {boolean} True if anything was cancelled
+     */
+    cancelGeneration() {
+        const cancelledJobs = this.queue.cancelAll();
+        if (this.activeControllers.size === 0) return cancelledJobs;
+
+        logger.log(`Cancelling ${this.activeControllers.size} plot generation(s)`);
+        this.activeControllers.forEach(controller => controller.abort());
+        this.activeControllers.clear();
+        return true;
+    }
+
+    /**
+     * Register a new generation so it can be cancelled
+     * @param {AbortSignal} [externalSignal] - Optional caller signal that also cancels the generation
+     * @returns {AbortController} Controller for the generation
+     */
+    beginGeneration(externalSignal) {
+        const controller = new AbortController();
+        if (externalSignal?.aborted) {
+            controller.abort();
+        } else {
+            externalSignal?.addEventListener('abort', () => controller.abort(), { once: true });
+        }
+        this.activeControllers.add(controller);
+        return controller;
+    }
+
+    /**
+     * Log and surface a failed generation. Cancellations are silent - the user asked for them.
+     * @param {any} error - Thrown value
+     * @param {boolean} [usedFallback=false] - Whether an offline plot replaced the failed one
+     * @returns {void}
+     */
+    reportGenerationError(error, usedFallback = false) {
+        const classified = classifyError(error);
+        if (classified.kind === 'cancelled') {
+            logger.log('Plot generation cancelled');
+            return;
+        }
+        logger.error(`Plot generation failed (${classified.kind}):`, classified.cause ?? classified);
+        // @ts-ignore - toastr is a global library
+        if (!window.toastr) return;
+        if (usedFallback) {
+            // @ts-ignore - toastr is a global library
+            window.toastr.warning(`${classified.userMessage} Using an offline plot from the story arc instead.`, 'Machinor Roundtable');
+        } else {
+            // @ts-ignore - toastr is a global library
+            window.toastr.error(classified.userMessage, 'Machinor Roundtable');
+        }
+    }
+
+    /**
+     * Check whether plots are generated locally only, without any LLM call
+     * @returns {boolean}
+     */
+    isOfflineMode() {
+        return !!this.getSettings().offlineMode;
+    }
+
+    /**
+     * Check whether a failed LLM generation should fall back to an offline plot
+     * @returns {boolean}
+     */
+    isFallbackEnabled() {
+        return this.getSettings().offlineFallback ?? true;
+    }
+
+    /**
+     * Generate a plot locally from the narrative arc
      * @param {Object} character - Character data
      * @param {Array} chatHistory - Recent chat messages
      * @param {Object} [options={}] - Generation options
-     * @returns {Promise<{text: string, tone: string, pacing: string}|null>} Generated plot context object
-     * @throws {Error} If LLM call fails or times out
+     * @returns {{text: string, tone: string, pacing: string, fallback: boolean}|null} Offline plot, or null without an arc manager
+     */
+    generateFallbackPlot(character, chatHistory, options = {}) {
+        if (!this.narrativeArc) return null;
+        const plot = this.narrativeArc.generateFallbackPlot(character, chatHistory, options);
+        logger.log('Offline plot generated:', plot.text);
+        return plot;
+    }
+
+    /**
+     * Generate several distinct offline plots as ranked candidates
+     * @param {Object} character - Character data
+     * @param {Array} chatHistory - Recent chat messages
+     * @param {number} count - Number of candidates wanted
+     * @param {Object} [options={}] - Generation options
+     * @returns {Array<{text: string, tone: string, pacing: string, rank: number, fallback: boolean}>|null} Candidates, or null without an arc manager
+     */
+    generateFallbackCandidates(character, chatHistory, count, options = {}) {
+        if (!this.narrativeArc) return null;
+
+        // The variants are random, so ask a few extra times for distinct texts
+        const candidates = [];
+        for (let attempt = 0; attempt < count * 3 && candidates.length < count; attempt++) {
+            const plot = this.narrativeArc.generateFallbackPlot(character, chatHistory, options);
+            if (!candidates.some(candidate => candidate.text === plot.text)) {
+                candidates.push({ ...plot, rank: candidates.length + 1 });
+            }
+        }
+        return candidates;
+    }
+
+    /**
+     * Generate a customized plot context based on character and chat data
+     * @param {Object} character - Character data
+     * @param {Array} chatHistory - Recent chat messages
+     * @param {Object} [options={}] - Generation options (options.signal cancels the generation)
+     * @returns {Promise<{text: string, tone: string, pacing: string, fallback?: boolean}|null>} Generated plot context object (an offline plot if the LLM failed and fallback is enabled), or null if it failed or was cancelled
      */
     async generatePlotContext(character, chatHistory, options = {}) {
-        logger.log('===== PLOT GENERATION START (JSON) =====');
+        if (this.isOfflineMode()) {
+            return this.generateFallbackPlot(character, chatHistory, options);
+        }
 
-        const promptData = this.buildBestPrompt(character, chatHistory, options);
+        logger.log('===== PLOT GENERATION START (JSON) =====');
 
+        const controller = this.beginGeneration(options.signal);
         try {
-            logger.log('🎯 Making LLM call');
-
-            // TIMEOUT HANDLING: Wrap LLM call with Promise.race to prevent indefinite hanging. Rejects after 45 seconds to provide user feedback and prevent UI freeze.
-            const response = await Promise.race([
-                generateQuietPrompt({
-                    quietPrompt: promptData.prompt,
-                    skipWIAN: true,
-                    removeReasoning: true,
-                    trimToSentence: false
-                }),
-                new Promise((_, reject) => setTimeout(() => reject(new Error('LLM call timed out after 45s')), 45000))
-            ]);
-
-            const parsed = this.parseResponse(response);
+            const promptData = await this.buildBestPrompt(character, chatHistory, options);
+            const parsed = await this.runWithRetry(
+                () => this.requestValidatedResponse(promptData.prompt, 1, controller.signal),
+                controller.signal
+            );
 
-            if (!parsed || !parsed.plot_hook) {
-                throw new Error("Failed to parse valid plot hook from response");
+            if (!parsed) {
+                throw new PlotGenerationError('parse', 'Failed to parse valid plot hook from response');
             }
 
             logger.log('Final result:', parsed.plot_hook);
@@ -92,90 +282,582 @@ export class PlotEngine {
             };
 
         } catch (error) {
-            logger.error('LLM call failed:', error);
-            toastr.error("Plot generation failed. Please try again.", "Machinor Roundtable");
-            return null;
+            const fallback = this.getFallbackFor(error, () => this.generateFallbackPlot(character, chatHistory, options));
+            this.reportGenerationError(error, !!fallback);
+            return fallback;
+        } finally {
+            this.activeControllers.delete(controller);
         }
     }
 
     /**
-     * Parse the LLM response, attempting to extract JSON
-     * @param {string} response - The raw LLM response
-     * @returns {Object|null} The parsed JSON object or null
+     * Build an offline replacement for a failed generation, if fallback applies
+     * @param {any} error - Thrown value
+     * @param {function(): any} generate - Produces the offline result
+     * @returns {any|null} Offline result, or null for cancellations or when fallback is disabled
      */
-    parseResponse(response) {
+    getFallbackFor(error, generate) {
+        // Never replace a cancelled generation - the user asked for nothing to happen
+        if (classifyError(error).kind === 'cancelled' || !this.isFallbackEnabled()) return null;
+        return generate();
+    }
+
+    /**
+     * Generate several ranked plot candidates in a single LLM call
+     * @param {Object} character - Character data
+     * @param {Array} chatHistory - Recent chat messages
+     * @param {number} count - Number of candidates to request
+     * @param {Object} [options={}] - Generation options (options.signal cancels the generation)
+     * @returns {Promise<Array<{text: string, tone: string, pacing: string, rank: number, fallback?: boolean}>|null>} Candidates sorted by rank (offline candidates if the LLM failed and fallback is enabled), or null on failure or cancellation
+     */
+    async generatePlotCandidates(character, chatHistory, count, options = {}) {
+        if (this.isOfflineMode()) {
+            return this.generateFallbackCandidates(character, chatHistory, count, options);
+        }
+
+        logger.log(`===== PLOT CANDIDATES START (${count}) =====`);
+
+        const controller = this.beginGeneration(options.signal);
         try {
-            // First attempt direct parse
-            return JSON.parse(response);
-        } catch (e) {
-            logger.log('Direct JSON parse failed, trying extraction');
-            // JSON PARSING STRATEGY: First attempt direct parse. If that fails, extract JSON from markdown-wrapped text (common LLM behavior). This handles cases where LLM adds explanatory text around the JSON.
-            const firstBrace = response.indexOf('{');
-            const lastBrace = response.lastIndexOf('}');
-
-            // Strict equality check
-            if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-                const jsonString = response.substring(firstBrace, lastBrace + 1);
-                try {
-                    return JSON.parse(jsonString);
-                } catch (e2) {
-                    logger.error('Extracted JSON parse failed');
-                }
+            const promptData = await this.buildBestPrompt(character, chatHistory, { ...options, candidateCount: count });
+            const parsed = await this.runWithRetry(
+                () => this.requestValidatedResponse(promptData.prompt, count, controller.signal),
+                controller.signal
+            );
+            const candidates = this.normalizeCandidates(parsed, count);
+
+            if (candidates.length === 0) {
+                throw new PlotGenerationError('parse', 'Failed to parse any plot candidates from response');
             }
+
+            logger.log(`Parsed ${candidates.length} candidate(s)`);
+            logger.log('===== PLOT CANDIDATES END =====');
+            return candidates;
+
+        } catch (error) {
+            const fallback = this.getFallbackFor(error, () => this.generateFallbackCandidates(character, chatHistory, count, options));
+            this.reportGenerationError(error, !!fallback);
+            return fallback;
+        } finally {
+            this.activeControllers.delete(controller);
+        }
+    }
+
+    /**
+     * Ask the plot model whether the story resolved a plot hook
+     * Used when a plot's lifetime runs out. Failures are logged, not toasted - the check is advisory.
+     * @param {string} plotText - Expired plot
+     * @param {Array} chatHistory - Recent chat messages
+     * @param {AbortSignal} [signal] - Cancels the check
+     * @returns {Promise<'resolved'|'unresolved'|null>} Verdict, or null if it failed, was cancelled or was unclear
+     */
+    async checkPlotResolution(plotText, chatHistory, signal) {
+        if (this.isOfflineMode()) return null;
+
+        const controller = this.beginGeneration(signal);
+        try {
+            const prompt = expandMacros(RESOLUTION_CHECK_PROMPT, {
+                plot: plotText,
+                recent_chat: this.formatChatLines(chatHistory).join('\n')
+            });
+            const response = String(await this.requestPlotResponse(prompt, controller.signal) ?? '');
+
+            // UNRESOLVED contains RESOLVED, so it has to be checked first
+            if (/\bunresolved\b/i.test(response)) return 'unresolved';
+            if (/\bresolved\b/i.test(response)) return 'resolved';
+            logger.warn('Resolution check returned no verdict:', response.substring(0, 100));
             return null;
+        } catch (error) {
+            logger.warn(`Resolution check failed (${classifyError(error).kind})`);
+            return null;
+        } finally {
+            this.activeControllers.delete(controller);
         }
     }
 
     /**
-     * Build the best possible prompt based on available data (single LLM call)
+     * Ask the plot model which story arc fits the character and chat, and where the story is in it
+     * Failures are logged, not toasted - the caller decides how to tell the user.
      * @param {Object} character - Character data
      * @param {Array} chatHistory - Recent chat messages
-     * @param {Object} [options={}] - Generation options
-     * @returns {{prompt: string}} Prompt object
-     */
-    buildBestPrompt(character, chatHistory, options = {}) {
-        // PROMPT CONSTRUCTION: Build prompt from template with macro replacement. Conditionally append narrative arc context and world info if available. Apply style descriptions for tone guidance.
-        // Replace template macros with character data, using optional chaining and nullish coalescing for safety
-        let prompt = PLOT_GENERATION_PROMPT
-            .replace('{{char}}', character?.name ?? 'Character')
-            .replace('{{personality}}', character?.personality ?? 'Not specified')
-            .replace('{{description}}', character?.description ?? 'Not specified')
-            .replace('{{scenario}}', character?.scenario ?? 'Not specified')
-            .replace('{{recent_chat}}', this.extractRecentContext(chatHistory));
-
-        // Add narrative arc context if available
-        // Check for null before accessing
-        if (this.narrativeArc) {
-            const arcContext = this.buildUnifiedArcContext(character, chatHistory, options);
-            if (arcContext) {
-                prompt += `\n\nSTORY ARC CONTEXT: \n${this.formatArcContext(arcContext)} `;
+     * @param {AbortSignal} [signal] - Cancels the detection
+     * @returns {Promise<{arcType: string, phase: string, confidence: number, justification: string}|null>} Proposal, or null if it failed, was cancelled or named no known arc
+     */
+    async detectArc(character, chatHistory, signal) {
+        if (this.isOfflineMode() || !this.narrativeArc) return null;
+
+        const controller = this.beginGeneration(signal);
+        try {
+            const field = (value) => String(value ?? '').substring(0, ARC_DETECTION_FIELD_LENGTH) || 'Not specified';
+            const arcOptions = this.narrativeArc.getArcOptions(character, chatHistory)
+                .map(option => `- ${option.type} (${option.name}): ${option.phases.map(phase => phase.name).join(' > ')}`)
+                .join('\n');
+            const prompt = expandMacros(ARC_DETECTION_PROMPT, {
+                character: character?.name ?? 'Character',
+                description: field(character?.description),
+                personality: field(character?.personality),
+                scenario: field(character?.scenario),
+                recent_chat: this.formatChatLines(chatHistory, 10).join('\n') || 'No conversation yet.',
+                arc_options: arcOptions
+            });
+            const response = await this.requestPlotResponse(prompt, controller.signal);
+            const proposal = this.normalizeArcProposal(this.parseResponse(response));
+            if (!proposal) {
+                logger.warn('Arc detection returned no known arc:', String(response ?? '').substring(0, 100));
             }
+            return proposal;
+        } catch (error) {
+            logger.warn(`Arc detection failed (${classifyError(error).kind})`);
+            return null;
+        } finally {
+            this.activeControllers.delete(controller);
         }
+    }
 
-        // Add ST integration data if available
-        if (this.stIntegration) {
-            const worldContext = this.stIntegration.getWorldInfo();
-            if (worldContext) {
-                prompt += `\n\nWORLD CONTEXT: \n${this.formatWorldContext(worldContext)} `;
+    /**
+     * Ask the plot model whether the chat has met the current arc phase's exit criteria
+     * Failures are logged, not toasted - the check is advisory.
+     * @param {Object} arc - NarrativeArcManager.currentArc
+     * @param {Array} messages - Messages written during the phase
+     * @param {AbortSignal} [signal] - Cancels the check
+     * @returns {Promise<import('./phase-transitions.js').PhaseEvidence|null>} Evidence, or null if it failed or was cancelled
+     */
+    async checkPhaseExit(arc, messages, signal) {
+        if (this.isOfflineMode() || !arc?.currentPhase) return null;
+
+        const controller = this.beginGeneration(signal);
+        try {
+            const phase = arc.currentPhase;
+            const nextPhase = arc.template?.phases?.[arc.phaseIndex + 1];
+            const prompt = expandMacros(PHASE_CHECK_PROMPT, {
+                arc: arc.name,
+                phase: phase.name.replace(/_/g, ' '),
+                phase_description: phase.description,
+                exit_criteria: phase.exit ?? phase.description,
+                next_phase: nextPhase ? `${nextPhase.name.replace(/_/g, ' ')} - ${nextPhase.description}` : 'None, the arc ends',
+                recent_chat: this.formatChatLines(messages, messages.length).join('\n')
+            });
+            const parsed = this.parseResponse(await this.requestPlotResponse(prompt, controller.signal));
+            if (!parsed || typeof parsed !== 'object') {
+                logger.warn('Phase check returned no verdict');
+                return null;
             }
+
+            let confidence = Number.parseFloat(parsed.confidence);
+            if (confidence > 1) confidence /= 100;
+            const complete = parsed.phase_complete === true || String(parsed.phase_complete).toLowerCase() === 'true';
+            return {
+                // A "not complete" verdict is no evidence for the transition, however confident
+                confidence: complete && Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0,
+                reason: String(parsed.reason ?? '').split('\n')[0].trim() || 'The plot model judged the phase complete'
+            };
+        } catch (error) {
+            logger.warn(`Phase check failed (${classifyError(error).kind})`);
+            return null;
+        } finally {
+            this.activeControllers.delete(controller);
         }
+    }
 
-        // Apply style replacements
-        const styleDescriptions = {
-            natural: 'organic story development',
-            dramatic: 'high-stakes situations',
-            romantic: 'deep emotional connections',
-            mysterious: 'intriguing unknowns',
-            adventure: 'exciting challenges',
-            comedy: 'light-hearted situations'
+    /**
+     * Check an arc detection response against the arc templates
+     * An unknown phase falls back to the arc's first phase; confidence given as a percentage is scaled to 0-1.
+     * @param {Object|null} parsed - Parsed JSON response
+     * @returns {{arcType: string, phase: string, confidence: number, justification: string}|null} Proposal, or null if the arc type is unknown
+     */
+    normalizeArcProposal(parsed) {
+        const arcType = String(parsed?.arc_type ?? parsed?.arcType ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+        const template = this.narrativeArc?.arcTemplates?.[arcType];
+        if (!template?.phases?.length) return null;
+
+        const phaseName = String(parsed.phase ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+        const phase = template.phases.find(candidate => candidate.name === phaseName) ?? template.phases[0];
+
+        let confidence = Number.parseFloat(parsed.confidence);
+        if (confidence > 1) confidence /= 100;
+
+        return {
+            arcType,
+            phase: phase.name,
+            confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0,
+            justification: String(parsed.justification ?? '').split('\n')[0].trim()
         };
+    }
 
-        // Use optional chaining for options access
-        prompt = prompt
-            .replace('{{direction}}', options?.direction ?? 'Let the story unfold with compelling natural progression')
-            .replace('{{style}}', styleDescriptions[options?.style] ?? 'natural');
+    /**
+     * Run a request, retrying timeouts, network errors and empty responses with exponential backoff
+     * @param {function(): Promise<any>} task - Request to run
+     * @param {AbortSignal} signal - Generation signal; aborting stops retries and backoff waits
+     * @returns {Promise<any>} Result of the first successful attempt
+     * @throws {PlotGenerationError} Classified error of the last attempt, or 'cancelled'
+     */
+    async runWithRetry(task, signal) {
+        const maxRetries = this.getRetryCount();
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await task();
+            } catch (error) {
+                const classified = classifyError(error);
+                if (signal.aborted) throw new PlotGenerationError('cancelled');
+                if (!classified.retryable || attempt >= maxRetries) throw classified;
+
+                const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, RETRY_MAX_DELAY_MS);
+                logger.warn(`Plot request failed (${classified.kind}), retry ${attempt + 1}/${maxRetries} in ${delay}ms:`, classified.message);
+                await this.waitForRetry(delay, signal);
+            }
+        }
+    }
+
+    /**
+     * Wait out a retry backoff, ending early if the generation is cancelled
+     * @param {number} delay - Delay in milliseconds
+     * @param {AbortSignal} signal - Generation signal
+     * @returns {Promise<void>}
+     * @throws {PlotGenerationError} 'cancelled' if aborted while waiting
+     */
+    waitForRetry(delay, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new PlotGenerationError('cancelled'));
+            };
+            const timer = setTimeout(() => {
+                signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, delay);
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Request a plot response and validate it, sending bounded repair prompts on failure
+     * @param {string} prompt - The fully built prompt
+     * @param {number} candidateCount - Expected candidates (1 = single plot schema)
+     * @param {AbortSignal} [signal] - Cancels the request
+     * @returns {Promise<Object|Array>} Parsed and validated JSON
+     * @throws {PlotGenerationError} 'empty' for an empty response, 'parse' once repair attempts are exhausted, or a request failure
+     */
+    async requestValidatedResponse(prompt, candidateCount, signal) {
+        const maxRepairs = this.getRepairAttempts();
+        let response = await this.requestPlotResponse(prompt, signal);
+
+        for (let attempt = 0; ; attempt++) {
+            const { value, repairs } = parseTolerantJson(response);
+            const { valid, errors } = this.validateResponse(value, response, candidateCount);
+
+            if (repairs.length > 0) {
+                logger.log('Plot response needed local repairs:', repairs);
+            }
+            // Read after each response - a fallback may have switched models mid-loop
+            const model = this.backend.lastModelLabel;
+            window.machinorRoundtable?.recordParseDiagnostic?.(model, { valid, repairs, errors, isRepairAttempt: attempt > 0 });
+
+            if (valid) return value;
+
+            // An empty reply has nothing to repair - leave it to the retry policy to ask again
+            if (errors.some(error => error.code === 'empty_response')) {
+                throw new PlotGenerationError('empty', 'Plot model returned an empty response');
+            }
+
+            logger.warn(`Plot response failed validation (attempt ${attempt + 1}/${maxRepairs + 1}):`, errors);
+            if (attempt >= maxRepairs) {
+                throw new PlotGenerationError('parse', `Plot response failed validation: ${errors.map(error => error.message).join('; ')}`);
+            }
+
+            response = await this.requestPlotResponse(this.buildRepairPrompt(response, errors, candidateCount), signal);
+        }
+    }
+
+    /**
+     * Validate a parsed response against the plot schema
+     * @param {any} value - Parsed JSON (null if parsing failed)
+     * @param {string} response - Raw response, used to tell empty output from broken JSON
+     * @param {number} candidateCount - Expected candidates (1 = single plot schema)
+     * @returns {{valid: boolean, errors: Array<{field: string, code: string, message: string}>}} Validation result
+     */
+    validateResponse(value, response, candidateCount) {
+        if (value === null) {
+            const isEmpty = typeof response !== 'string' || response.trim().length === 0;
+            return {
+                valid: false,
+                errors: [isEmpty
+                    ? { field: 'response', code: 'empty_response', message: 'Response was empty' }
+                    : { field: 'response', code: 'invalid_json', message: 'Response is not valid JSON' }]
+            };
+        }
+
+        if (candidateCount > 1) {
+            return validateCandidates(value);
+        }
+
+        const errors = validatePlot(value);
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Build the follow-up prompt that asks the model to fix its own output
+     * @param {string} previousResponse - The rejected response
+     * @param {Array<{message: string}>} errors - Validation errors
+     * @param {number} candidateCount - Expected candidates (1 = single plot schema)
+     * @returns {string} Repair prompt
+     */
+    buildRepairPrompt(previousResponse, errors, candidateCount) {
+        const previous = typeof previousResponse === 'string' && previousResponse.trim()
+            ? previousResponse.substring(0, 4000)
+            : '(empty response)';
+
+        return REPAIR_PROMPT
+            .replace('{{errors}}', errors.map(error => `- ${error.message}`).join('\n'))
+            .replace('{{previous_response}}', previous)
+            .replace('{{output_schema}}', this.getOutputSchema(candidateCount));
+    }
+
+    /**
+     * Get the JSON output schema for the requested mode
+     * @param {number} candidateCount - Expected candidates (1 = single plot schema)
+     * @returns {string} Schema text for the prompt
+     */
+    getOutputSchema(candidateCount) {
+        return candidateCount > 1
+            ? CANDIDATES_PLOT_SCHEMA.replace('{{candidate_count}}', String(candidateCount))
+            : SINGLE_PLOT_SCHEMA;
+    }
+
+    /**
+     * Get the extension settings object
+     * @returns {Object} Settings (empty object if unavailable)
+     */
+    getSettings() {
+        return window.extension_settings?.['machinor-roundtable'] || window.machinorRoundtable?.settings || {};
+    }
+
+    /**
+     * Get the configured number of repair follow-ups
+     * @returns {number} Repair attempts (0 disables the repair loop)
+     */
+    getRepairAttempts() {
+        const attempts = this.getSettings().repairAttempts ?? 1;
+        return Math.max(MIN_REPAIR_ATTEMPTS, Math.min(attempts, MAX_REPAIR_ATTEMPTS));
+    }
+
+    /**
+     * Get the configured number of retries after a failed request
+     * @returns {number} Retry count (0 disables retries)
+     */
+    getRetryCount() {
+        const retries = this.getSettings().retryCount ?? 2;
+        return Math.max(MIN_RETRY_COUNT, Math.min(retries, MAX_RETRY_COUNT));
+    }
+
+    /**
+     * Get the configured per-request timeout
+     * @returns {number} Timeout in seconds
+     */
+    getTimeoutSeconds() {
+        const timeout = this.getSettings().generationTimeout ?? DEFAULT_GENERATION_TIMEOUT;
+        return Math.max(MIN_GENERATION_TIMEOUT, Math.min(timeout, MAX_GENERATION_TIMEOUT));
+    }
+
+    /**
+     * Send the plot prompt to the LLM through the configured plot backend
+     * @param {string} prompt - The fully built prompt
+     * @param {AbortSignal} [signal] - Cancels the request
+     * @returns {Promise<string>} Raw LLM response
+     * @throws {PlotGenerationError} 'timeout' or 'cancelled', or the backend's own error
+     */
+    async requestPlotResponse(prompt, signal) {
+        if (signal?.aborted) throw new PlotGenerationError('cancelled');
+        logger.log('🎯 Making LLM call');
+
+        const timeoutSeconds = this.getTimeoutSeconds();
+        // TIMEOUT HANDLING: Race the LLM call against the configured timeout so a stalled backend cannot hang the UI. Each request gets its own controller, so a timeout aborts only this attempt and a retry can still follow, while cancelling the generation aborts it too.
+        const requestController = new AbortController();
+        const abortRequest = () => requestController.abort();
+        signal?.addEventListener('abort', abortRequest, { once: true });
+
+        let timer;
+        try {
+            return await Promise.race([
+                this.backend.generate(prompt, requestController.signal),
+                new Promise((_, reject) => {
+                    timer = setTimeout(() => {
+                        reject(new PlotGenerationError('timeout', `LLM call timed out after ${timeoutSeconds}s`));
+                        requestController.abort();
+                    }, timeoutSeconds * 1000);
+                    requestController.signal.addEventListener('abort', () => reject(new PlotGenerationError('cancelled')), { once: true });
+                })
+            ]);
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', abortRequest);
+        }
+    }
+
+    /**
+     * Normalize a parsed candidates response into plot objects
+     * Accepts { candidates: [...] }, a bare array, or a single plot object
+     * @param {Object|Array|null} parsed - Parsed JSON response
+     * @param {number} count - Maximum number of candidates to keep
+     * @returns {Array<{text: string, tone: string, pacing: string, rank: number}>} Candidates sorted by rank
+     */
+    normalizeCandidates(parsed, count) {
+        if (!parsed) return [];
+
+        let rawCandidates = [];
+        if (Array.isArray(parsed)) {
+            rawCandidates = parsed;
+        } else if (Array.isArray(parsed.candidates)) {
+            rawCandidates = parsed.candidates;
+        } else if (parsed.plot_hook) {
+            // Model ignored the candidates schema - treat it as a single candidate
+            rawCandidates = [parsed];
+        }
+
+        return rawCandidates
+            .filter(candidate => validatePlot(candidate).length === 0)
+            .map((candidate, index) => ({
+                text: candidate.plot_hook,
+                tone: candidate.tone_analysis,
+                pacing: candidate.pacing_guidance,
+                rank: Number.isFinite(candidate.rank) ? candidate.rank : index + 1
+            }))
+            .sort((a, b) => a.rank - b.rank)
+            .slice(0, count);
+    }
+
+    /**
+     * Parse the LLM response, attempting to extract JSON
+     * @param {string} response - The raw LLM response
+     * @returns {Object|null} The parsed JSON object or null
+     */
+    parseResponse(response) {
+        // JSON PARSING STRATEGY: Tolerant parser handles code fences, surrounding prose, smart quotes, trailing commas and truncated output.
+        return parseTolerantJson(response).value;
+    }
+
+    /**
+     * Build the best possible prompt based on available data (single LLM call)
+     * @param {Object} character - Character data
+     * @param {Array} chatHistory - Recent chat messages
+     * @param {Object} [options={}] - Generation options
+     * @param {string} [options.templateBody] - Template text to use instead of the resolved template (settings preview)
+     * @returns {Promise<{prompt: string, assembly: import('./context-assembler.js').AssemblyResult}>} Prompt and the context budget outcome
+     */
+    async buildBestPrompt(character, chatHistory, options = {}) {
+        // PROMPT CONSTRUCTION: Expand the effective template (chat > character > global > built-in). Arc context, world info and the output schema are appended when the template does not place them itself.
+        const body = options?.templateBody
+            ?? this.promptTemplates?.resolveTemplate().template.body
+            ?? PLOT_GENERATION_PROMPT;
+        // Only lore relevant to the recent chat is considered - see STIntegrationManager.getWorldInfo
+        const worldInfo = await this.stIntegration?.getWorldInfo(chatHistory) ?? null;
+        const values = this.buildMacroValues(character, chatHistory, options, worldInfo);
+        const assembly = await this.fitContextToBudget(body, values, character, chatHistory, worldInfo);
+
+        let prompt = expandMacros(body, values);
 
-        return { prompt };
+        if (values.arc_context && !body.includes('{{arc_context}}')) {
+            prompt += `\n\nSTORY ARC CONTEXT: \n${values.arc_context} `;
+        }
+        if (values.world_context && !body.includes('{{world_context}}')) {
+            prompt += `\n\nWORLD CONTEXT: \n${values.world_context} `;
+        }
+        // Responses are parsed as JSON, so the schema is never optional
+        if (!body.includes('{{output_schema}}')) {
+            prompt += `\n\nJSON SCHEMA:\n${values.output_schema}`;
+        }
+        // Keep the ChatInjector recursion guard working for templates that drop the signature
+        if (!prompt.includes(PROMPT_SIGNATURE)) {
+            prompt = `[${PROMPT_SIGNATURE} request]\n${prompt}`;
+        }
+
+        return { prompt, assembly };
+    }
+
+    /**
+     * Trim the arc, chat, character and lore macro values so the prompt fits the context budget
+     * The rest of the template is counted first; sections share what is left, lowest priority trimmed first.
+     * @param {string} body - Template text
+     * @param {Object<string, string>} values - Macro values from buildMacroValues (updated in place)
+     * @param {Object} character - Character data
+     * @param {Array} chatHistory - Recent chat messages
+     * @param {Array|null} worldInfo - Selected world info entries
+     * @returns {Promise<import('./context-assembler.js').AssemblyResult>} Assembly result
+     */
+    async fitContextToBudget(body, values, character, chatHistory, worldInfo) {
+        const budget = this.getContextBudget();
+        const fixedValues = { ...values, arc_context: '', recent_chat: '', personality: '', description: '', scenario: '', world_context: '' };
+        const overhead = await countTokens(expandMacros(body, fixedValues));
+
+        const assembly = await assembleContext([
+            { name: 'arc', priority: SECTION_PRIORITIES.arc, items: values.arc_context ? [values.arc_context] : [], trim: 'last_first' },
+            { name: 'recent_chat', priority: SECTION_PRIORITIES.recent_chat, items: this.formatChatLines(chatHistory, chatHistory?.length), trim: 'oldest_first' },
+            {
+                name: 'character',
+                priority: SECTION_PRIORITIES.character,
+                items: [character?.personality ?? '', character?.description ?? '', character?.scenario ?? ''],
+                trim: 'truncate'
+            },
+            { name: 'lore', priority: SECTION_PRIORITIES.lore, items: this.formatWorldEntries(worldInfo), trim: 'last_first' }
+        ], Math.max(0, budget - overhead));
+
+        const [personality, description, scenario] = assembly.sections.character;
+        values.arc_context = assembly.sections.arc.join('');
+        values.recent_chat = assembly.sections.recent_chat.length > 0
+            ? assembly.sections.recent_chat.join('\n')
+            : 'No conversation history available.';
+        values.personality = personality || 'Not specified';
+        values.description = description || 'Not specified';
+        values.scenario = scenario || 'Not specified';
+        values.world_context = assembly.sections.lore.join('\n');
+
+        return assembly;
+    }
+
+    /**
+     * Get the configured token budget for plot prompts
+     * @returns {number} Token budget
+     */
+    getContextBudget() {
+        const budget = this.getSettings().contextBudget ?? DEFAULT_CONTEXT_BUDGET;
+        return Math.max(MIN_CONTEXT_BUDGET, Math.min(MAX_CONTEXT_BUDGET, budget));
+    }
+
+    /**
+     * Collect the values for every template macro
+     * @param {Object} character - Character data
+     * @param {Array} chatHistory - Recent chat messages
+     * @param {Object} [options={}] - Generation options
+     * @param {Array|null} [worldInfo=null] - Selected world info entries
+     * @returns {Object<string, string>} Macro values keyed by macro name (see PROMPT_MACROS)
+     */
+    buildMacroValues(character, chatHistory, options = {}, worldInfo = null) {
+        // STYLE x INTENSITY: Style decides what the hook is about, intensity decides how hard it pushes
+        const styleGuidance = getStyleGuidance(options?.style, options?.intensity);
+
+        let arcContext = '';
+        if (this.narrativeArc) {
+            arcContext = this.formatArcContext(this.buildUnifiedArcContext(character, chatHistory, options));
+        }
+
+        const worldContext = worldInfo ? this.formatWorldContext(worldInfo) : '';
+
+        return {
+            char: character?.name ?? 'Character',
+            user: getContext()?.name1 ?? 'User',
+            personality: character?.personality ?? 'Not specified',
+            description: character?.description ?? 'Not specified',
+            scenario: character?.scenario ?? 'Not specified',
+            recent_chat: this.extractRecentContext(chatHistory),
+            direction: options?.direction ?? 'Let the story unfold with compelling natural progression',
+            guidance: options?.guidance || 'None',
+            style: styleGuidance.stylePrompt,
+            intensity: styleGuidance.intensityPrompt,
+            hook_boldness: styleGuidance.hookBoldness,
+            arc_context: arcContext,
+            world_context: worldContext,
+            // Ranked candidates list in multi-candidate mode, single hook otherwise
+            output_schema: this.getOutputSchema(options?.candidateCount ?? 1)
+        };
     }
 
     /**
@@ -190,11 +872,21 @@ export class PlotEngine {
         if (!chatHistory || chatHistory.length === 0) {
             return "No conversation history available.";
         }
-        const recentMessages = chatHistory.slice(-maxMessages);
-        return recentMessages.map(msg => {
+        return this.formatChatLines(chatHistory, maxMessages).join('\n');
+    }
+
+    /**
+     * Format recent chat messages as 'Name: Message' lines, oldest first
+     * @param {Array} chatHistory - Chat history array
+     * @param {number} [maxMessages=5] - Max messages to include
+     * @returns {string[]} One line per message
+     */
+    formatChatLines(chatHistory, maxMessages = 5) {
+        if (!Array.isArray(chatHistory)) return [];
+        return chatHistory.slice(-maxMessages).map(msg => {
             const name = msg.is_user ? 'You' : (msg.name ?? 'Character');
             return `${name}: ${msg.mes} `;
-        }).join('\n');
+        });
     }
 
     /**
@@ -211,6 +903,11 @@ export class PlotEngine {
             hasActiveArc: !!this.narrativeArc.currentArc,
             // Optional chaining
             arcType: this.narrativeArc.currentArc?.type ?? null,
+            // Custom arc keys are generated IDs, so the prompt shows the name
+            arcName: this.narrativeArc.currentArc?.name ?? null,
+            characterName: character?.name ?? null,
+            pacing: this.narrativeArc.getPacing(),
+            currentPhase: this.narrativeArc.currentArc?.currentPhase ?? null,
             arcProgress: this.narrativeArc.calculateArcProgress()
         };
     }
@@ -222,7 +919,12 @@ export class PlotEngine {
      */
     formatArcContext(arcContext) {
         if (!arcContext) return '';
-        return `Current Arc: ${arcContext.arcType || 'None'} \nProgress: ${arcContext.arcProgress}% `;
+        const phase = arcContext.currentPhase ? `\nPhase: ${arcContext.currentPhase.name.replace(/_/g, ' ')} (${arcContext.currentPhase.description})` : '';
+        const direction = arcContext.currentPhase?.prompt
+            ? `\nPhase direction: ${arcContext.currentPhase.prompt.replace(/\{\{char\}\}/gi, arcContext.characterName || 'the character')}`
+            : '';
+        const pacing = arcContext.pacing?.directive ? `\nPacing: ${arcContext.pacing.directive}` : '';
+        return `Current Arc: ${arcContext.arcName || arcContext.arcType || 'None'}${phase}${direction} \nProgress: ${arcContext.arcProgress}% ${pacing}`;
     }
 
     /**
@@ -231,8 +933,17 @@ export class PlotEngine {
      * @returns {string} Formatted string
      */
     formatWorldContext(worldContext) {
+        return this.formatWorldEntries(worldContext).join('\n');
+    }
+
+    /**
+     * Format world info entries as '- Name: Content' lines
+     * @param {Array|null} worldContext - World context array
+     * @returns {string[]} One line per entry
+     */
+    formatWorldEntries(worldContext) {
         // Strict equality check for array
-        if (!Array.isArray(worldContext)) return '';
-        return worldContext.map(entry => `- ${entry.name}: ${entry.content} `).join('\n');
+        if (!Array.isArray(worldContext)) return [];
+        return worldContext.map(entry => `- ${entry.name}: ${entry.content} `);
     }
 }
\ No newline at end of file
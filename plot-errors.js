@@ -0,0 +1,65 @@
+// Machinor Roundtable - Plot Generation Errors
+
+/**
+ * User-facing message for each kind of plot generation failure
+ * @type {Object<string, string>}
+ */
+export const PLOT_ERROR_MESSAGES = {
+    timeout: 'The plot model took too long to respond. Try again, or raise the timeout in settings.',
+    network: 'Could not reach the plot model. Check your connection or the plot backend settings.',
+    parse: 'The plot model replied, but not with a usable plot. Try again or switch models.',
+    empty: 'The plot model returned an empty response.',
+    cancelled: 'Plot generation cancelled.'
+};
+
+// Failures worth retrying - a parse failure has already been through the repair loop
+const RETRYABLE_KINDS = ['timeout', 'network', 'empty'];
+
+/**
+ * Error raised by plot generation, classified by what went wrong
+ */
+export class PlotGenerationError extends Error {
+    /**
+     * @param {'timeout'|'network'|'parse'|'empty'|'cancelled'} kind - Failure kind
+     * @param {string} [message] - Technical detail for logs (defaults to the user message)
+     * @param {any} [cause] - Original error, if any
+     */
+    constructor(kind, message, cause) {
+        super(message || PLOT_ERROR_MESSAGES[kind]);
+        this.name = 'PlotGenerationError';
+        /** @type {string} */
+        this.kind = kind;
+        /** @type {any} */
+        this.cause = cause;
+    }
+
+    /**
+     * Message to show the user
+     * @returns {string}
+     */
+    get userMessage() {
+        return PLOT_ERROR_MESSAGES[this.kind] ?? PLOT_ERROR_MESSAGES.network;
+    }
+
+    /**
+     * Whether the retry policy should try again
+     * @returns {boolean}
+     */
+    get retryable() {
+        return RETRYABLE_KINDS.includes(this.kind);
+    }
+}
+
+/**
+ * Classify any error thrown while generating a plot
+ * Aborts become 'cancelled'; anything unrecognized came from the transport and counts as 'network'.
+ * @param {any} error - Thrown value
+ * @returns {PlotGenerationError} Classified error
+ */
+export function classifyError(error) {
+    if (error instanceof PlotGenerationError) return error;
+    if (error?.name === 'AbortError') {
+        return new PlotGenerationError('cancelled', 'Request aborted', error);
+    }
+    return new PlotGenerationError('network', error?.message || String(error), error);
+}
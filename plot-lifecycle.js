@@ -0,0 +1,82 @@
+// Machinor Roundtable - Plot Lifetime & Decay
+
+/**
+ * How a plot's guidance weakens over its lifetime
+ * none: full strength until it expires
+ * reminder: full strength for the first half, then a one-line reminder until it expires
+ * @type {string[]}
+ */
+export const PLOT_DECAY_MODES = ['none', 'reminder'];
+
+// Longest reminder line, in characters
+const REMINDER_MAX_LENGTH = 140;
+
+/**
+ * @typedef {Object} PlotLifecycle
+ * @property {number} lifetime - Turns the plot is injected for (0 = until replaced)
+ * @property {string} decayMode - One of PLOT_DECAY_MODES
+ * @property {number} turnsUsed - Turns the plot has been injected so far
+ * @property {string|null} resolution - 'resolved' or 'unresolved' once the expiry check has run
+ */
+
+/**
+ * Start the lifecycle of a new plot from the current settings
+ * @param {Object} settings - Extension settings
+ * @returns {PlotLifecycle} Fresh lifecycle
+ */
+export function createLifecycle(settings) {
+    const lifetime = Number(settings?.plotLifetime);
+    return {
+        lifetime: Number.isInteger(lifetime) && lifetime > 0 ? lifetime : 0,
+        decayMode: PLOT_DECAY_MODES.includes(settings?.plotDecayMode) ? settings.plotDecayMode : 'none',
+        turnsUsed: 0,
+        resolution: null
+    };
+}
+
+/**
+ * Get the stage the plot is in for its next injection
+ * @param {PlotLifecycle|null} lifecycle - Plot lifecycle (null = no limit)
+ * @returns {'full'|'reminder'|'expired'} Stage
+ */
+export function getLifecycleStage(lifecycle) {
+    if (!lifecycle || lifecycle.lifetime === 0) return 'full';
+    if (lifecycle.turnsUsed >= lifecycle.lifetime) return 'expired';
+
+    const fullTurns = lifecycle.decayMode === 'reminder' ? Math.ceil(lifecycle.lifetime / 2) : lifecycle.lifetime;
+    return lifecycle.turnsUsed < fullTurns ? 'full' : 'reminder';
+}
+
+/**
+ * Check whether the plot has used up its lifetime
+ * @param {PlotLifecycle|null} lifecycle - Plot lifecycle
+ * @returns {boolean}
+ */
+export function isExpired(lifecycle) {
+    return getLifecycleStage(lifecycle) === 'expired';
+}
+
+/**
+ * Count the injections the plot has left
+ * @param {PlotLifecycle|null} lifecycle - Plot lifecycle
+ * @returns {number|null} Turns remaining, or null for a plot without a lifetime
+ */
+export function getLifetimeRemaining(lifecycle) {
+    if (!lifecycle || lifecycle.lifetime === 0) return null;
+    return Math.max(0, lifecycle.lifetime - lifecycle.turnsUsed);
+}
+
+/**
+ * Reduce a plot to a one-line reminder: its first sentence, shortened if needed
+ * @param {string} plotText - Plot text
+ * @param {string} [label='Plot'] - What the reminder is for, e.g. 'Subplot'
+ * @returns {string} Reminder line
+ */
+export function buildReminder(plotText, label = 'Plot') {
+    const singleLine = String(plotText ?? '').replace(/\s+/g, ' ').trim();
+    const firstSentence = singleLine.match(/^.+?[.!?](?=\s|$)/)?.[0] ?? singleLine;
+    const summary = firstSentence.length > REMINDER_MAX_LENGTH
+        ? `${firstSentence.substring(0, REMINDER_MAX_LENGTH - 3).trimEnd()}...`
+        : firstSentence;
+    return `[${label} reminder: ${summary}]`;
+}
@@ -2,7 +2,13 @@
 import { getContext } from "../../../extensions.js";
 import { saveSettingsDebounced } from "../../../../script.js";
 import { logger } from "./logger.js";
-import { escapeHtml, sanitizePlotText, sanitizeDirection, createErrorHandler } from './security-utils.js';
+import { escapeHtml, sanitizePlotText, sanitizeDirection, createErrorHandler, MIN_CANDIDATE_COUNT, MAX_CANDIDATE_COUNT } from './security-utils.js';
+import { JOB_PRIORITY } from './generation-queue.js';
+import { createLifecycle, getLifecycleStage, getLifetimeRemaining } from './plot-lifecycle.js';
+import { PlotThreadManager, THREAD_KINDS } from './plot-threads.js';
+import { collectTimeline } from './message-metadata.js';
+import { AUDIT_OUTCOMES, appendAuditEntry, filterAuditEntries, serializeAuditLog, trimAuditLog } from './injection-audit.js';
+import { PACING_STATES } from './arc-pacing.js';
 
 // @ts-ignore - eventSource is a global
 const eventSource = window.eventSource;
@@ -47,6 +53,32 @@ function getCurrentCharacter() {
  * @property {string} text - The plot text
  * @property {number} timestamp - When the plot was created
  * @property {string} id - Unique identifier
+ * @property {string} [status] - 'unused' for rejected candidates kept for later
+ * @property {string} [tone] - Tone analysis that came with the plot
+ * @property {string} [pacing] - Pacing guidance that came with the plot
+ */
+
+/**
+ * @typedef {Object} PlotCandidate
+ * @property {string} text - The candidate plot hook
+ * @property {string} [tone] - Tone analysis
+ * @property {string} [pacing] - Pacing guidance
+ * @property {number} rank - Model-assigned rank (1 = best)
+ */
+
+/**
+ * @typedef {Object} ChatBasis
+ * @property {number} length - Number of chat messages when the plot was generated
+ * @property {string} lastMessage - Text of the last of those messages
+ */
+
+/**
+ * @typedef {Object} PregeneratedPlot
+ * @property {string} text - The plot text
+ * @property {string} [tone] - Tone analysis
+ * @property {string} [pacing] - Pacing guidance
+ * @property {boolean} [fallback] - Generated offline from the story arc
+ * @property {ChatBasis} basis - Chat the plot was generated from
  */
 
 /**
@@ -55,6 +87,12 @@ function getCurrentCharacter() {
  * @property {HTMLElement} toggleBtn
  * @property {HTMLElement} statusIndicator
  * @property {HTMLElement} statusText
+ * @property {HTMLElement} cancelGenerationBtn
+ * @property {HTMLElement} queueStatus
+ * @property {HTMLElement} plotSourceBadge
+ * @property {HTMLElement} plotLifetime
+ * @property {HTMLElement} triggerReason
+ * @property {HTMLElement} threadList
  * @property {HTMLElement} timerDisplay
  * @property {HTMLElement} currentPlotText
  * @property {HTMLElement} nextPlotText
@@ -64,6 +102,19 @@ function getCurrentCharacter() {
  * @property {HTMLInputElement} historyLimitInput
  * @property {HTMLElement} historyToggle
  * @property {HTMLElement} historyContent
+ * @property {HTMLElement} auditToggle
+ * @property {HTMLElement} auditContent
+ * @property {HTMLElement} auditList
+ * @property {HTMLSelectElement} auditFilter
+ * @property {HTMLInputElement} auditSearch
+ * @property {HTMLElement} arcPicker
+ * @property {HTMLSelectElement} arcSelect
+ * @property {HTMLSelectElement} arcPhaseSelect
+ * @property {HTMLButtonElement} arcStartBtn
+ * @property {HTMLButtonElement} arcDetectBtn
+ * @property {HTMLElement} arcSuggestion
+ * @property {HTMLElement} phaseProposal
+ * @property {HTMLElement} phaseProposalText
  * @property {HTMLElement} modal
  * @property {HTMLTextAreaElement} editorText
  * @property {HTMLElement} closeModalBtn
@@ -83,8 +134,32 @@ export class PlotPreviewManager {
         this.isCollapsed = true;
         /** @type {string|null} */
         this.currentPlot = null;
-        /** @type {string|null} */
+        /** @type {import('./plot-lifecycle.js').PlotLifecycle|null} Lifetime of the current plot */
+        this.plotLifecycle = null;
+        /** @type {string|null} Why the trigger generated the current plot */
+        this.triggerReason = null;
+        /** @type {import('./phase-transitions.js').PhaseTransitionProposal|null} Arc phase transition awaiting confirmation */
+        this.phaseProposal = null;
+        /** @type {PlotThreadManager} Subplots and background tensions running alongside the current plot */
+        this.plotThreads = new PlotThreadManager();
+        /** @type {string|null} Thread open in the editor modal */
+        this.editingThreadId = null;
+        /** @type {Array<import('./injection-audit.js').AuditEntry>} What happened to each generation in this chat, oldest first */
+        this.auditLog = [];
+        /** @type {PregeneratedPlot|null} Plot waiting to replace the current one when it is due */
         this.nextPlot = null;
+        /** @type {string} */
+        this.currentStatus = 'ready';
+        /** @type {string} Status to return to when a generation fails or is cancelled */
+        this.statusBeforePending = 'ready';
+        /** @type {Array<PlotCandidate>} */
+        this.plotCandidates = [];
+        /** @type {number[]} */
+        this.selectedCandidateIndexes = [];
+        /** @type {number[]|null} */
+        this.pendingCandidateSelection = null;
+        /** @type {{tone: string, pacing: string}|null} */
+        this.pendingCandidateInsights = null;
         /** @type {Array<PlotEntry>} */
         this.plotHistory = [];
         /** @type {number} */
@@ -220,6 +295,7 @@ export class PlotPreviewManager {
     setButtonsEnabled(enabled) {
         const editBtn = document.getElementById('mr_edit_plot');
         const skipBtn = document.getElementById('mr_skip_plot');
+        const keepThreadBtn = document.getElementById('mr_keep_thread');
 
         if (editBtn) {
             editBtn.disabled = !enabled;
@@ -231,6 +307,11 @@ export class PlotPreviewManager {
             skipBtn.style.opacity = enabled ? '1' : '0.5';
             skipBtn.style.cursor = enabled ? 'pointer' : 'not-allowed';
         }
+        if (keepThreadBtn) {
+            keepThreadBtn.disabled = !enabled;
+            keepThreadBtn.style.opacity = enabled ? '1' : '0.5';
+            keepThreadBtn.style.cursor = enabled ? 'pointer' : 'not-allowed';
+        }
     }
 
     /**
@@ -296,6 +377,12 @@ export class PlotPreviewManager {
 
         // Now it's safe to start context listeners
         this.setupContextChangeListeners();
+
+        // Show which lore entries the last plot prompt used
+        this.plotEngine?.stIntegration?.on('world_info_selected', () => this.updateWorldContext());
+
+        // Show what the generation queue is running and what is waiting
+        this.plotEngine?.queue?.subscribe(state => this.updateQueueDisplay(state));
     }
 
     /**
@@ -434,6 +521,15 @@ export class PlotPreviewManager {
                     logger.log('🔄 Chat/Character switch detected - resetting state');
                     this.plotHistory = [];
                     this.currentPlot = null;
+                    this.plotLifecycle = null;
+                    this.renderPlotLifetime();
+                    this.showTriggerReason(null);
+                    this.showPhaseProposal(null);
+                    this.plotThreads.load([]);
+                    this.renderThreads();
+                    this.auditLog = [];
+                    this.renderAuditLog();
+                    this.clearNextPlot('chat switched');
                     this.updateStatus('pending');
                     // Show skeletons while loading
                     this.showSkeletonState();
@@ -547,6 +643,10 @@ export class PlotPreviewManager {
             // Core plot data (always update)
             plotText: plotText,
             status: status,
+            plotLifecycle: this.plotLifecycle,
+            triggerReason: this.triggerReason,
+            plotThreads: this.plotThreads.threads,
+            auditLog: this.auditLog,
             timestamp: Date.now(),
 
             // Character info (update if available, otherwise preserve)
@@ -831,6 +931,14 @@ export class PlotPreviewManager {
                 logger.log('⚠️ No plot history found in profile');
             }
 
+            // Restore plot threads
+            this.plotThreads.load(profileData.plotThreads);
+            this.renderThreads();
+
+            // Restore the injection audit log (logs saved before the text limit are trimmed to it)
+            this.auditLog = Array.isArray(profileData.auditLog) ? trimAuditLog(profileData.auditLog) : [];
+            this.renderAuditLog();
+
             // Restore recent directions
             if (profileData.recentDirections && Array.isArray(profileData.recentDirections)) {
                 this.recentDirections = profileData.recentDirections;
@@ -861,6 +969,12 @@ export class PlotPreviewManager {
                 logger.log('📝 Displaying restored plot:', profileData.plotText.substring(0, 100) + '...');
                 // CRITICAL FIX: Skip save during restoration to prevent chat corruption
                 this.displayCurrentPlot(profileData.plotText, 'restored', true);
+                // Profiles saved before plot lifetimes existed start a fresh lifecycle
+                if (profileData.plotLifecycle) {
+                    this.plotLifecycle = profileData.plotLifecycle;
+                    this.renderPlotLifetime();
+                }
+                this.showTriggerReason(profileData.triggerReason ?? null);
 
                 // Add visual indicator with additional info
                 if (this.elements.statusText) {
@@ -898,7 +1012,7 @@ export class PlotPreviewManager {
             if (data.arcStatus) {
                 if (this.elements.arcType) this.elements.arcType.textContent = data.arcStatus.arcName || 'Natural Progression';
                 if (this.elements.arcPercentage) this.elements.arcPercentage.textContent = `${data.arcStatus.progress || 0}%`;
-                if (this.elements.arcFill) this.elements.arcFill.style.width = `${data.arcStatus.progress || 0}%`;
+                this.renderArcSegments(data.arcStatus.segments ?? [], data.arcStatus.progress || 0);
                 if (this.elements.arcPhase) this.elements.arcPhase.textContent = this.formatPhaseName(data.arcStatus.currentPhase || 'Not started');
 
                 if (this.elements.arcProgress) {
@@ -969,12 +1083,20 @@ export class PlotPreviewManager {
 
     /**
      * Get injected plots timeline for profile tracking
-     * @returns {Array} Array of injected plot entries
+     * Read from the plot metadata stored on the chat's messages, so it matches the chat as it is now.
+     * @returns {Array<import('./message-metadata.js').MessagePlotMetadata & {messageId: number}>} Injections, oldest first
      */
     getInjectedPlotsTimeline() {
-        // This would track actual plot injections - for now, return empty array
-        // In a full implementation, this would be populated when plots are actually injected into chat
-        return [];
+        return collectTimeline(getContext()?.chat);
+    }
+
+    /**
+     * Find the history ID of a plot
+     * @param {string} plotText - Plot text
+     * @returns {string|null} ID of the newest matching history entry, or null if it is not in the history
+     */
+    getPlotId(plotText) {
+        return this.plotHistory.find(plot => plot.text === plotText)?.id ?? null;
     }
 
     /**
@@ -1067,6 +1189,12 @@ export class PlotPreviewManager {
             toggleBtn: document.getElementById('mr_toggle_sidebar'),
             statusIndicator: document.getElementById('mr_status_indicator'),
             statusText: document.getElementById('mr_status_text'),
+            cancelGenerationBtn: document.getElementById('mr_cancel_generation'),
+            queueStatus: document.getElementById('mr_queue_status'),
+            plotSourceBadge: document.getElementById('mr_plot_source_badge'),
+            plotLifetime: document.getElementById('mr_plot_lifetime'),
+            triggerReason: document.getElementById('mr_trigger_reason'),
+            threadList: document.getElementById('mr_thread_list'),
             currentPlotText: document.getElementById('mr_current_plot_text'),
             nextPlotText: document.getElementById('mr_next_plot_text'),
             directionInput: /** @type {HTMLInputElement} */ (document.getElementById('mr_plot_direction')),
@@ -1075,21 +1203,42 @@ export class PlotPreviewManager {
             historyLimitInput: /** @type {HTMLInputElement} */ (document.getElementById('mr_history_limit')),
             historyToggle: document.getElementById('mr_history_toggle'),
             historyContent: document.getElementById('mr_history_content'),
+            auditToggle: document.getElementById('mr_audit_toggle'),
+            auditContent: document.getElementById('mr_audit_content'),
+            auditList: document.getElementById('mr_audit_list'),
+            auditFilter: /** @type {HTMLSelectElement} */ (document.getElementById('mr_audit_filter')),
+            auditSearch: /** @type {HTMLInputElement} */ (document.getElementById('mr_audit_search')),
             modal: document.getElementById('mr_plot_editor_modal'),
             editorText: /** @type {HTMLTextAreaElement} */ (document.getElementById('mr_plot_editor_text')),
             closeModalBtn: document.getElementById('mr_close_modal'),
 
+            // Multi-candidate panel elements
+            candidatesPanel: document.getElementById('mr_candidates_panel'),
+            candidatesList: document.getElementById('mr_candidates_list'),
+            mergeCandidatesBtn: document.getElementById('mr_merge_candidates'),
+            dismissCandidatesBtn: document.getElementById('mr_dismiss_candidates'),
+
             // New story intelligence elements
             arcProgress: document.getElementById('mr_arc_progress'),
             arcType: document.getElementById('mr_arc_type'),
-            arcFill: document.getElementById('mr_arc_fill'),
+            arcBar: document.getElementById('mr_arc_bar'),
+            arcPacing: document.getElementById('mr_arc_pacing'),
             arcPhase: document.getElementById('mr_arc_phase'),
             arcPercentage: document.getElementById('mr_arc_percentage'),
+            arcPicker: document.getElementById('mr_arc_picker'),
+            arcSelect: /** @type {HTMLSelectElement} */ (document.getElementById('mr_arc_select')),
+            arcPhaseSelect: /** @type {HTMLSelectElement} */ (document.getElementById('mr_arc_phase_select')),
+            arcStartBtn: /** @type {HTMLButtonElement} */ (document.getElementById('mr_arc_start')),
+            arcDetectBtn: /** @type {HTMLButtonElement} */ (document.getElementById('mr_arc_detect')),
+            arcSuggestion: document.getElementById('mr_arc_suggestion'),
+            phaseProposal: document.getElementById('mr_phase_proposal'),
+            phaseProposalText: document.getElementById('mr_phase_proposal_text'),
             storyIntel: document.getElementById('mr_story_intel'),
             intelToggle: document.getElementById('mr_intel_toggle'),
             intelContent: document.getElementById('mr_intel_content'),
             characterAnalysis: document.getElementById('mr_character_analysis'),
             worldContext: document.getElementById('mr_world_context'),
+            worldEntries: document.getElementById('mr_world_entries'),
             characterCount: document.getElementById('mr_character_count'),
 
             // Template gallery elements
@@ -1354,6 +1503,7 @@ export class PlotPreviewManager {
         // Plot actions
         const editBtn = document.getElementById('mr_edit_plot');
         const skipBtn = document.getElementById('mr_skip_plot');
+        const keepThreadBtn = document.getElementById('mr_keep_thread');
         const regenerateBtn = document.getElementById('mr_regenerate_next');
         const manualBtn = document.getElementById('mr_manual_plot_btn');
         const saveBtn = document.getElementById('mr_save_plot');
@@ -1361,8 +1511,20 @@ export class PlotPreviewManager {
 
         if (editBtn) addListener(editBtn, 'click', () => this.editPlot());
         if (skipBtn) addListener(skipBtn, 'click', () => this.skipPlot());
+        if (keepThreadBtn) addListener(keepThreadBtn, 'click', () => this.keepAsThread());
         if (regenerateBtn) addListener(regenerateBtn, 'click', () => this.regenerateNextPlot());
         if (manualBtn) addListener(manualBtn, 'click', () => this.manualPlotEntry());
+        if (this.elements.cancelGenerationBtn) {
+            addListener(this.elements.cancelGenerationBtn, 'click', () => this.cancelGeneration());
+        }
+
+        // Candidate panel
+        if (this.elements.mergeCandidatesBtn) {
+            addListener(this.elements.mergeCandidatesBtn, 'click', () => this.mergeSelectedCandidates());
+        }
+        if (this.elements.dismissCandidatesBtn) {
+            addListener(this.elements.dismissCandidatesBtn, 'click', () => this.dismissCandidates());
+        }
 
         // Direction input
         if (this.elements.directionInput) {
@@ -1386,6 +1548,41 @@ export class PlotPreviewManager {
             addListener(this.elements.historyLimitInput, 'change', () => this.updateHistoryLimit());
         }
 
+        // Story arc picker
+        if (this.elements.arcSelect) {
+            addListener(this.elements.arcSelect, 'change', () => {
+                this.renderArcPhaseOptions();
+                this.showArcProposal(null);
+            });
+        }
+        if (this.elements.arcStartBtn) {
+            addListener(this.elements.arcStartBtn, 'click', () => this.startSelectedArc());
+        }
+        if (this.elements.arcDetectBtn) {
+            addListener(this.elements.arcDetectBtn, 'click', () => this.detectArc());
+        }
+        const arcEndBtn = document.getElementById('mr_arc_end');
+        if (arcEndBtn) addListener(arcEndBtn, 'click', () => this.endArc());
+        const phaseConfirmBtn = document.getElementById('mr_phase_confirm');
+        if (phaseConfirmBtn) addListener(phaseConfirmBtn, 'click', () => this.confirmPhaseTransition());
+        const phaseDismissBtn = document.getElementById('mr_phase_dismiss');
+        if (phaseDismissBtn) addListener(phaseDismissBtn, 'click', () => this.dismissPhaseTransition());
+
+        // Injection audit log
+        if (this.elements.auditToggle) {
+            addListener(this.elements.auditToggle, 'click', () => this.toggleSection(this.elements.auditToggle, this.elements.auditContent, 'Injection log'));
+        }
+        if (this.elements.auditFilter) {
+            addListener(this.elements.auditFilter, 'change', () => this.renderAuditLog());
+        }
+        if (this.elements.auditSearch) {
+            addListener(this.elements.auditSearch, 'input', this._debounce(() => this.renderAuditLog(), 300));
+        }
+        const auditExportBtn = document.getElementById('mr_audit_export');
+        if (auditExportBtn) addListener(auditExportBtn, 'click', () => this.exportAuditLog());
+        const auditClearBtn = document.getElementById('mr_audit_clear');
+        if (auditClearBtn) addListener(auditClearBtn, 'click', () => this.clearAuditLog());
+
         // Template gallery buttons
         const templateButtons = document.querySelectorAll('.mr-template-btn');
         templateButtons.forEach((button, index) => {
@@ -1449,7 +1646,7 @@ export class PlotPreviewManager {
      * Update arc progress display
      */
     updateArcDisplay() {
-        if (!this.elements.arcType || !this.elements.arcFill) return;
+        if (!this.elements.arcType || !this.elements.arcBar) return;
 
         try {
             // Get arc status from plot engine if available
@@ -1462,22 +1659,34 @@ export class PlotPreviewManager {
 
                 // Update progress
                 const progress = arcStatus.progress || 0;
-                this.elements.arcFill.style.width = `${progress}%`;
+                this.renderArcSegments(arcStatus.segments, progress);
                 this.elements.arcPercentage.textContent = `${progress}%`;
+                this.renderArcPacing(arcStatus.pacing);
 
                 // Update current phase
                 const phase = arcStatus.currentPhase || 'Not started';
                 this.elements.arcPhase.textContent = this.formatPhaseName(phase);
+                // The latest milestone explains how the story got to this phase
+                const milestone = arcStatus.storyProgress?.milestones?.at(-1);
+                this.elements.arcPhase.title = arcStatus.hasActiveArc && milestone?.toPhase === arcStatus.currentPhase ? milestone.reason : '';
 
                 // Show/hide arc progress
                 if (this.elements.arcProgress) {
                     this.elements.arcProgress.style.display = arcStatus.hasActiveArc ? 'block' : 'none';
                 }
+                // The picker takes the progress bar's place while no arc is running
+                if (this.elements.arcPicker) {
+                    this.elements.arcPicker.style.display = arcStatus.hasActiveArc ? 'none' : '';
+                    if (!arcStatus.hasActiveArc) this.renderArcPicker();
+                }
             } else {
                 // Hide arc progress if no active arc
                 if (this.elements.arcProgress) {
                     this.elements.arcProgress.style.display = 'none';
                 }
+                if (this.elements.arcPicker) {
+                    this.elements.arcPicker.style.display = 'none';
+                }
             }
 
         } catch (error) {
@@ -1485,6 +1694,255 @@ export class PlotPreviewManager {
         }
     }
 
+    /**
+     * Draw the arc bar as one segment per phase, sized by weight
+     * Without segments (e.g. an older saved snapshot) the bar is a single segment filled to the progress.
+     * @param {Array<import('./arc-pacing.js').ArcSegment>} segments - Arc segments
+     * @param {number} progress - Overall progress percentage
+     * @returns {void}
+     */
+    renderArcSegments(segments, progress) {
+        const bar = this.elements?.arcBar;
+        if (!bar) return;
+
+        const parts = segments.length > 0 ? segments : [{ name: '', share: 100, fill: progress / 100, state: 'current' }];
+        bar.textContent = '';
+        parts.forEach(segment => {
+            const part = document.createElement('div');
+            part.className = `mr-arc-segment ${segment.state}`;
+            part.style.flexGrow = String(segment.share);
+            if (segment.name) {
+                part.title = `${this.formatPhaseName(segment.name)}: ${Math.round(segment.share)}% of the arc, about ${segment.targetTurns} turns`;
+            }
+
+            const fill = document.createElement('div');
+            fill.className = 'mr-arc-fill';
+            fill.style.width = `${Math.round(segment.fill * 100)}%`;
+            part.appendChild(fill);
+            bar.appendChild(part);
+        });
+    }
+
+    /**
+     * Show how the current phase is keeping to its turn target
+     * @param {import('./arc-pacing.js').PacingStatus|null} pacing - Pacing status
+     * @returns {void}
+     */
+    renderArcPacing(pacing) {
+        const element = this.elements?.arcPacing;
+        if (!element) return;
+
+        element.textContent = pacing
+            ? `Turn ${pacing.phaseTurns} of ~${pacing.targetTurns} in this phase · ${PACING_STATES[pacing.state]?.label ?? pacing.state}`
+            : '';
+        element.title = pacing?.directive ?? '';
+        element.className = `mr-arc-pacing ${pacing?.state ?? ''}`.trim();
+    }
+
+    /**
+     * Fill the arc picker from the arc templates, flagging the arcs suggested for the character
+     * @returns {void}
+     */
+    renderArcPicker() {
+        const select = this.elements?.arcSelect;
+        const narrativeArc = this.plotEngine?.narrativeArc;
+        if (!select || !narrativeArc) return;
+
+        const selected = select.value;
+        select.textContent = '';
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'Natural Progression (no arc)';
+        select.appendChild(none);
+
+        narrativeArc.getArcOptions(getCurrentCharacter(), this.getRecentChatHistory()).forEach(option => {
+            const item = document.createElement('option');
+            item.value = option.type;
+            item.textContent = option.suggested ? `${option.name} (suggested)` : option.name;
+            select.appendChild(item);
+        });
+
+        select.value = selected && narrativeArc.arcTemplates[selected] ? selected : '';
+        this.renderArcPhaseOptions();
+    }
+
+    /**
+     * Fill the starting phase list for the arc selected in the picker
+     * @param {string|null} [phase=null] - Phase to select (defaults to the first)
+     * @returns {void}
+     */
+    renderArcPhaseOptions(phase = null) {
+        const select = this.elements?.arcPhaseSelect;
+        if (!select) return;
+
+        const template = this.plotEngine?.narrativeArc?.arcTemplates?.[this.elements.arcSelect?.value];
+        select.textContent = '';
+        (template?.phases ?? []).forEach((templatePhase, index) => {
+            const item = document.createElement('option');
+            item.value = templatePhase.name;
+            item.textContent = `${index + 1}. ${this.formatPhaseName(templatePhase.name)}`;
+            item.title = templatePhase.description;
+            select.appendChild(item);
+        });
+        if (phase) select.value = phase;
+
+        select.disabled = !template;
+        if (this.elements.arcStartBtn) this.elements.arcStartBtn.disabled = !template;
+    }
+
+    /**
+     * Start the arc selected in the picker
+     * @returns {void}
+     */
+    startSelectedArc() {
+        const narrativeArc = this.plotEngine?.narrativeArc;
+        const arcType = this.elements.arcSelect?.value;
+        if (!narrativeArc || !arcType) return;
+
+        this.showPhaseProposal(null);
+        if (!narrativeArc.startArc(arcType, getCurrentCharacter(), this.elements.arcPhaseSelect?.value || null)) {
+            // @ts-ignore - toastr is a global library
+            toastr.error('Could not start that arc', 'Machinor Roundtable');
+            return;
+        }
+
+        this.showArcProposal(null);
+        this.updateArcDisplay();
+        this.saveChatProfile(this.currentPlot, this.currentStatus);
+        // @ts-ignore - toastr is a global library
+        toastr.success(`${narrativeArc.currentArc.name} started`, 'Machinor Roundtable');
+    }
+
+    /**
+     * End the active arc and return to natural progression
+     * @returns {void}
+     */
+    endArc() {
+        this.showPhaseProposal(null);
+        if (!this.plotEngine?.narrativeArc?.clearArc()) return;
+
+        this.updateArcDisplay();
+        this.saveChatProfile(this.currentPlot, this.currentStatus);
+        // @ts-ignore - toastr is a global library
+        toastr.info('Arc ended, back to natural progression', 'Machinor Roundtable');
+    }
+
+    /**
+     * Ask the plot model which arc fits the story and preselect its proposal in the picker
+     * The proposal is only applied when the user starts the arc.
+     * @returns {Promise<void>}
+     */
+    async detectArc() {
+        if (this.plotEngine?.isOfflineMode()) {
+            // @ts-ignore - toastr is a global library
+            toastr.info('Arc detection needs the plot model, and offline mode is on', 'Machinor Roundtable');
+            return;
+        }
+
+        const character = getCurrentCharacter();
+        if (!character) {
+            // @ts-ignore - toastr is a global library
+            toastr.warning('No character selected', 'Machinor Roundtable');
+            return;
+        }
+
+        const button = this.elements.arcDetectBtn;
+        if (button) button.disabled = true;
+        try {
+            const chatHistory = this.getRecentChatHistory();
+            const proposal = await this.plotEngine.queue.enqueue({
+                target: 'arc_detection',
+                priority: JOB_PRIORITY.USER,
+                source: 'manual',
+                label: 'Arc detection',
+                run: (signal) => this.plotEngine.detectArc(character, chatHistory, signal)
+            });
+
+            if (!proposal) {
+                // @ts-ignore - toastr is a global library
+                toastr.warning('Could not detect a fitting arc', 'Machinor Roundtable');
+                return;
+            }
+
+            this.elements.arcSelect.value = proposal.arcType;
+            this.renderArcPhaseOptions(proposal.phase);
+            this.showArcProposal(proposal);
+        } catch (error) {
+            logger.warn('Arc detection failed:', error);
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
+    /**
+     * Show a proposed arc phase transition for the user to confirm
+     * @param {import('./phase-transitions.js').PhaseTransitionProposal|null} proposal - Proposal (null hides it)
+     * @returns {void}
+     */
+    showPhaseProposal(proposal) {
+        this.phaseProposal = proposal;
+        const element = this.elements?.phaseProposal;
+        if (!element) return;
+
+        if (!proposal) {
+            element.style.display = 'none';
+            return;
+        }
+
+        const target = proposal.toPhase ? `Move to ${this.formatPhaseName(proposal.toPhase)}?` : 'Complete the arc?';
+        if (this.elements.phaseProposalText) {
+            this.elements.phaseProposalText.textContent = `${target} ${proposal.reason} (${Math.round(proposal.confidence * 100)}% confident)`;
+        }
+        element.style.display = '';
+    }
+
+    /**
+     * Apply the proposed phase transition
+     * @returns {void}
+     */
+    confirmPhaseTransition() {
+        const proposal = this.phaseProposal;
+        const narrativeArc = this.plotEngine?.narrativeArc;
+        this.showPhaseProposal(null);
+        // The arc may have changed since the proposal was made
+        if (!proposal || narrativeArc?.currentArc?.currentPhase?.name !== proposal.fromPhase) return;
+
+        narrativeArc.advancePhase({ reason: proposal.reason, confidence: proposal.confidence, source: 'confirmed' });
+        this.updateArcDisplay();
+        this.saveChatProfile(this.currentPlot, this.currentStatus);
+    }
+
+    /**
+     * Turn down the proposed phase transition; the phase is checked again after a few more replies
+     * @returns {void}
+     */
+    dismissPhaseTransition() {
+        if (!this.phaseProposal) return;
+        this.showPhaseProposal(null);
+        this.plotEngine?.narrativeArc?.dismissTransition();
+    }
+
+    /**
+     * Show the detector's proposal under the arc picker
+     * @param {{arcType: string, phase: string, confidence: number, justification: string}|null} proposal - Proposal (null hides it)
+     * @returns {void}
+     */
+    showArcProposal(proposal) {
+        const element = this.elements?.arcSuggestion;
+        if (!element) return;
+
+        if (!proposal) {
+            element.textContent = '';
+            element.style.display = 'none';
+            return;
+        }
+
+        const name = this.plotEngine?.narrativeArc?.arcTemplates?.[proposal.arcType]?.name ?? proposal.arcType;
+        const summary = `${name} • ${this.formatPhaseName(proposal.phase)} • ${Math.round(proposal.confidence * 100)}% confident`;
+        element.textContent = proposal.justification ? `${summary}: ${proposal.justification}` : summary;
+        element.style.display = '';
+    }
+
     /**
      * Update character analysis display with enhanced data extraction
      */
@@ -1560,71 +2018,52 @@ export class PlotPreviewManager {
     }
 
     /**
-     * Update world context display with enhanced data extraction
+     * Update world context display with the entries selected for the last plot prompt
      */
     updateWorldContext() {
         if (!this.elements.worldContext) return;
 
         try {
-            let contextText = '';
+            const stIntegration = this.plotEngine?.stIntegration;
+            const selection = stIntegration?.lastWorldSelection;
+            const books = selection?.books ?? stIntegration?.getBoundLorebooks() ?? [];
 
-            // Try ST integration first
-            if (this.plotEngine?.stIntegration) {
-                const worldInfo = this.plotEngine.stIntegration.getWorldInfo();
+            if (this.elements.worldEntries) {
+                this.elements.worldEntries.textContent = '';
+            }
 
-                if (worldInfo && Object.keys(worldInfo).length > 0) {
-                    let totalEntries = 0;
+            if (books.length === 0) {
+                this.elements.worldContext.textContent = 'No lorebooks bound';
+                return;
+            }
+            if (!selection) {
+                this.elements.worldContext.textContent = `${books.length} lorebook${books.length === 1 ? '' : 's'} bound`;
+                return;
+            }
 
-                    // Count world info entries
-                    Object.values(worldInfo).forEach(category => {
-                        if (Array.isArray(category)) {
-                            totalEntries += category.length;
-                        }
-                    });
+            this.elements.worldContext.textContent = `${selection.entries.length} of ${selection.scanned} entries relevant`;
 
-                    contextText = `${totalEntries} world entries`;
+            if (this.elements.worldEntries) {
+                const reasonLabels = { constant: 'constant', key: 'key', score: 'related' };
+                selection.entries.forEach(entry => {
+                    const item = document.createElement('li');
+                    item.className = 'mr-world-entry';
+                    item.title = `${entry.book}${entry.matched ? ` - ${entry.matched}` : ''}`;
 
-                    // Add specific categories if available
-                    if (worldInfo.locations?.length > 0) {
-                        contextText += `, ${worldInfo.locations.length} locations`;
-                    }
-                    if (worldInfo.organizations?.length > 0) {
-                        contextText += `, ${worldInfo.organizations.length} groups`;
-                    }
-                }
-            }
+                    const name = document.createElement('span');
+                    name.className = 'mr-world-entry-name';
+                    name.textContent = entry.name;
 
-            // Fallback: Extract context from available sources
-            if (!contextText) {
-                const context = getContext();
-                const chat = context?.chat || [];
-
-                // Analyze chat for world context
-                let locationMentions = 0;
-                let characterMentions = 0;
-                const locationKeywords = ['room', 'house', 'forest', 'city', 'town', 'castle', 'tavern', 'market', 'street', 'garden', 'hall'];
-                const characterKeywords = ['knight', 'mage', 'merchant', 'guard', 'noble', 'villager'];
-
-                chat.slice(-20).forEach(msg => { // Analyze last 20 messages
-                    const text = (msg.mes || '').toLowerCase();
-                    locationKeywords.forEach(keyword => {
-                        if (text.includes(keyword)) locationMentions++;
-                    });
-                    characterKeywords.forEach(keyword => {
-                        if (text.includes(keyword)) characterMentions++;
-                    });
-                });
+                    const reason = document.createElement('span');
+                    reason.className = `mr-world-entry-reason ${entry.reason}`;
+                    reason.textContent = entry.reason === 'key' ? `key: ${entry.matched}` : reasonLabels[entry.reason];
 
-                if (locationMentions > 0 || characterMentions > 0) {
-                    contextText = `Chat context: ${locationMentions} locations, ${characterMentions} characters mentioned`;
-                } else {
-                    contextText = 'Active chat context detected';
-                }
+                    item.appendChild(name);
+                    item.appendChild(reason);
+                    this.elements.worldEntries.appendChild(item);
+                });
             }
 
-            this.elements.worldContext.textContent = contextText || 'No world context available';
-            logger.log('[Machinor Roundtable] World context:', contextText);
-
         } catch (error) {
             logger.error('[Machinor Roundtable] Error updating world context:', error);
             this.elements.worldContext.textContent = 'World context unavailable';
@@ -1741,32 +2180,43 @@ export class PlotPreviewManager {
             // Convert template to guidance for the plot engine
             const templateGuidance = this.getTemplateGuidance(template);
 
-            // Generate plot using the plot engine with template guidance
-            const plotContext = await this.plotEngine.generatePlotContext(character, chatHistory, {
-                guidance: templateGuidance,
-                template: template
+            // Generate plot using the plot engine with template guidance, shaped by the current style and intensity
+            const settings = this.getSettings();
+            const plotContext = await this.plotEngine.queue.enqueue({
+                target: 'current_plot',
+                key: `current_plot:template:${template}`,
+                priority: JOB_PRIORITY.USER,
+                source: 'template',
+                label: `Template: ${template}`,
+                run: async (signal) => {
+                    const result = await this.plotEngine.generatePlotContext(character, chatHistory, {
+                        guidance: templateGuidance,
+                        template: template,
+                        style: settings.plotStyle || 'natural',
+                        intensity: settings.plotIntensity || 'moderate',
+                        signal
+                    });
+                    if (result) {
+                        // Display the GENERATED plot (not literal template text)
+                        this.applyNewPlot(result, 'ready', `Template "${template}" guiding plot generation`);
+                        logger.log('[Machinor Roundtable] Template applied as guidance:', template, 'Generated plot:', result.text.substring(0, 100) + '...');
+                    }
+                    return result;
+                }
             });
 
             // Remove loading state
             button.classList.remove('loading');
             button.style.pointerEvents = 'auto';
 
+            if (!plotContext) {
+                // PlotEngine has already told the user why (or the generation was cancelled or superseded)
+                return;
+            }
+
             // Add success state
             button.classList.add('success');
 
-            if (plotContext) {
-                // Display the GENERATED plot (not literal template text)
-                this.displayCurrentPlot(plotContext, 'ready');
-
-                // Show success message
-                // @ts-ignore - toastr is a global library
-                toastr.success(`Template "${template}" guiding plot generation`, 'Machinor Roundtable');
-
-                logger.log('[Machinor Roundtable] Template applied as guidance:', template, 'Generated plot:', plotContext.substring(0, 100) + '...');
-            } else {
-                throw new Error('No plot context generated');
-            }
-
             // Remove success state after 2 seconds
             setTimeout(() => {
                 button.classList.remove('success');
@@ -1815,6 +2265,14 @@ export class PlotPreviewManager {
         ).join(' ');
     }
 
+    /**
+     * Get the extension settings object
+     * @returns {Object} Settings (empty object if unavailable)
+     */
+    getSettings() {
+        return window.extension_settings?.['machinor-roundtable'] || window.machinorRoundtable?.settings || {};
+    }
+
     /**
      * Load settings from extension settings
      */
@@ -1923,7 +2381,20 @@ export class PlotPreviewManager {
         
         // Handle object input (e.g. from generatePlotContext)
         const text = typeof plotText === 'object' ? plotText.text : plotText;
+        // A different plot, or one the user just picked, starts a new lifetime
+        if (text !== this.currentPlot || status === 'ready' || !this.plotLifecycle) {
+            this.plotLifecycle = createLifecycle(this.getSettings());
+            // The trigger reason belongs to the plot it produced; the injector sets it again for triggered plots
+            this.showTriggerReason(null);
+        }
         this.currentPlot = text;
+        this.renderPlotLifetime();
+
+        // Offline plots are marked so the user knows the plot model was not involved
+        if (this.elements.plotSourceBadge) {
+            const isFallback = typeof plotText === 'object' && !!plotText?.fallback;
+            this.elements.plotSourceBadge.style.display = isFallback ? '' : 'none';
+        }
 
         if (this.elements.currentPlotText) {
             this.elements.currentPlotText.textContent = text;
@@ -1948,103 +2419,743 @@ export class PlotPreviewManager {
     }
 
     /**
-     * Display next plot preview
-     * @param {string} plotText - The next plot text
-     * @returns {void}
+     * Get the lifecycle stage of the current plot for its next injection
+     * @returns {'full'|'reminder'|'expired'} Stage
      */
-    displayNextPlot(plotText) {
-        this.nextPlot = plotText;
-
-        if (this.elements.nextPlotText) {
-            this.elements.nextPlotText.textContent = plotText || 'Generating next plot...';
-        }
+    getPlotStage() {
+        return getLifecycleStage(this.plotLifecycle);
+    }
 
-        logger.log('[Machinor Roundtable] Next plot preview displayed');
+    /**
+     * Count one injection of the current plot against its lifetime
+     * @returns {import('./plot-lifecycle.js').PlotLifecycle|null} Updated lifecycle
+     */
+    recordPlotTurn() {
+        if (!this.plotLifecycle) return null;
+        this.plotLifecycle.turnsUsed += 1;
+        this.renderPlotLifetime();
+        this.saveChatProfile(this.currentPlot, this.currentStatus);
+        return this.plotLifecycle;
     }
 
     /**
-     * Update status indicator and text
-     * @param {string} status - The status to display
+     * Record the outcome of the expiry check on the current plot and its history entry
+     * @param {'resolved'|'unresolved'} resolution - Check verdict
      * @returns {void}
      */
-    updateStatus(status) {
-        if (this.elements.statusIndicator) {
-            // Remove all status classes
-            this.elements.statusIndicator.className = 'mr-status-indicator';
-            this.elements.statusIndicator.classList.add(status);
-        }
-
-        // Update status text (removed paused state)
-        const statusTexts = {
-            ready: 'Ready',
-            pending: 'Generating...',
-            injected: 'Injected'
-        };
-
-        if (this.elements.statusText) {
-            this.elements.statusText.textContent = statusTexts[status] || 'Unknown';
+    setPlotResolution(resolution) {
+        if (!this.plotLifecycle) return;
+        this.plotLifecycle.resolution = resolution;
+
+        const entry = this.plotHistory.find(plot => plot.text === this.currentPlot);
+        if (entry) {
+            entry.resolution = resolution;
+            this.renderHistory();
         }
-
-        logger.log('[Machinor Roundtable] Status updated:', status);
+        this.renderPlotLifetime();
+        this.saveChatProfile(this.currentPlot, this.currentStatus);
     }
 
     /**
-     * Approve current plot and prepare for injection
+     * Show how many turns the current plot has left
+     * Plots without a lifetime show the turns until the frequency trigger replaces them.
+     * @returns {void}
      */
-    async approveAndInject() {
-        if (!this.currentPlot) {
-            logger.warn('[Machinor Roundtable] No plot to inject');
+    renderPlotLifetime() {
+        const element = this.elements?.plotLifetime;
+        if (!element) return;
+
+        if (!this.currentPlot || !this.plotLifecycle) {
+            element.style.display = 'none';
             return;
         }
 
-        this.updateStatus('injected');
-
-        // Add to history (only if not editing an existing plot)
-        if (!this.isEditingPlot || !this.editingPlotId) {
-            this.addToHistory(this.currentPlot);
+        const remaining = getLifetimeRemaining(this.plotLifecycle);
+        const stage = getLifecycleStage(this.plotLifecycle);
+        const plural = (count) => `${count} turn${count === 1 ? '' : 's'}`;
+        let text;
+        if (remaining === null) {
+            const settings = this.getSettings();
+            const untilNext = Math.max(0, (settings.frequency ?? 3) - (settings.turnsSinceLastGeneration ?? 0));
+            // Adaptive triggering can replace the plot sooner; the frequency is only its upper bound
+            const when = settings.triggerMode === 'adaptive' ? 'within' : 'in';
+            text = `No lifetime limit • next plot ${when} ${plural(untilNext)}`;
+        } else if (stage === 'expired') {
+            const verdicts = { resolved: ' • resolved', unresolved: ' • unresolved' };
+            text = `Expired${verdicts[this.plotLifecycle.resolution] ?? ''}`;
         } else {
-            logger.log('[Machinor Roundtable] Skipping history add - editing existing plot');
+            text = `${plural(remaining)} remaining${stage === 'reminder' ? ' • reminder only' : ''}`;
         }
 
-        // Save the injected state and history to storage (Lazy Sync)
-        this.saveChatProfile(this.currentPlot, 'injected');
-
-        logger.log('[Machinor Roundtable] Plot approved and prepared for injection:', this.currentPlot);
-
-        // @ts-ignore - toastr is a global library
-        toastr.success('Plot prepared - will inject on next generation', 'Machinor Roundtable');
+        element.textContent = text;
+        element.classList.toggle('expired', stage === 'expired');
+        element.style.display = '';
+    }
 
-        logger.log('[Machinor Roundtable] Plot remains in injected state for editing');
+    /**
+     * Show why the trigger generated the current plot
+     * @param {string|null|undefined} reason - Trigger reason (null hides it)
+     * @returns {void}
+     */
+    showTriggerReason(reason) {
+        this.triggerReason = reason || null;
+        const element = this.elements?.triggerReason;
+        if (!element) return;
+
+        element.textContent = this.triggerReason ? `Triggered: ${this.triggerReason}` : '';
+        element.title = this.triggerReason ?? '';
+        element.style.display = this.triggerReason ? '' : 'none';
     }
 
     /**
-     * Edit current plot (inline or modal)
+     * Keep the current plot running as a subplot thread
+     * The main plot stays in place until it is replaced; the thread keeps it alive alongside the next one.
+     * @returns {void}
      */
-    editPlot() {
+    keepAsThread() {
         if (!this.currentPlot) {
             // @ts-ignore - toastr is a global library
-            toastr.warning('No plot to edit', 'Machinor Roundtable');
+            toastr.warning('No plot to keep', 'Machinor Roundtable');
+            return;
+        }
+        if (this.plotThreads.threads.some(thread => thread.text === this.currentPlot)) {
+            // @ts-ignore - toastr is a global library
+            toastr.info('This plot is already a thread', 'Machinor Roundtable');
             return;
         }
 
-        // Check if current plot is in history
-        const existingPlot = this.plotHistory.find(plot => plot.text === this.currentPlot);
-
-        // Set editing state
-        this.isEditingPlot = !!existingPlot;
-        this.editingPlotId = existingPlot ? existingPlot.id : null;
+        this.plotThreads.addThread(this.currentPlot, 'subplot', this.getSettings());
+        this.saveThreads();
+        // @ts-ignore - toastr is a global library
+        toastr.success('Plot kept as a subplot', 'Machinor Roundtable');
+    }
 
-        // For now, open modal - could add inline editing later
-        this.openModal(this.currentPlot);
-        logger.log('[Machinor Roundtable] Plot editor opened, editing existing:', this.isEditingPlot);
+    /**
+     * Count one injection against each injected thread's lifetime
+     * @param {string[]} ids - IDs of the threads that were injected
+     * @returns {void}
+     */
+    recordThreadTurns(ids) {
+        if (!ids || ids.length === 0) return;
+        this.plotThreads.recordTurn(ids);
+        this.saveThreads();
     }
 
     /**
-     * Skip current plot and generate new one
+     * Pause or resume a thread
+     * @param {string} id - Thread ID
+     * @returns {void}
      */
-    skipPlot() {
-        this.currentPlot = null;
+    toggleThreadPaused(id) {
+        if (this.plotThreads.togglePaused(id)) this.saveThreads();
+    }
+
+    /**
+     * Switch a thread between subplot and background tension
+     * @param {string} id - Thread ID
+     * @returns {void}
+     */
+    toggleThreadKind(id) {
+        if (this.plotThreads.toggleKind(id)) this.saveThreads();
+    }
+
+    /**
+     * Raise a thread's priority; the top thread swaps places with the main plot
+     * @param {string} id - Thread ID
+     * @returns {void}
+     */
+    promoteThread(id) {
+        if (this.plotThreads.promote(id)) {
+            this.saveThreads();
+            return;
+        }
+
+        const thread = this.plotThreads.closeThread(id);
+        if (!thread) return;
+        // The replaced main plot keeps running as the highest priority thread
+        if (this.currentPlot) {
+            this.plotThreads.addThread(this.currentPlot, thread.kind, this.getSettings(), true);
+        }
+        this.displayCurrentPlot(thread.text, 'ready');
+        this.saveThreads();
+        // @ts-ignore - toastr is a global library
+        toastr.success('Thread promoted to main plot', 'Machinor Roundtable');
+    }
+
+    /**
+     * Open a thread in the plot editor
+     * @param {string} id - Thread ID
+     * @returns {void}
+     */
+    editThread(id) {
+        const thread = this.plotThreads.getThread(id);
+        if (!thread) return;
+        this.openModal(thread.text);
+        // Set after opening so saveEditedPlot updates the thread, not the main plot
+        this.editingThreadId = id;
+    }
+
+    /**
+     * Close a thread for good
+     * @param {string} id - Thread ID
+     * @returns {void}
+     */
+    closeThread(id) {
+        if (this.plotThreads.closeThread(id)) this.saveThreads();
+    }
+
+    /**
+     * Re-render the thread list and store the threads in the chat profile
+     * @returns {void}
+     */
+    saveThreads() {
+        this.renderThreads();
+        this.saveChatProfile(this.currentPlot, this.currentStatus);
+    }
+
+    /**
+     * Render the thread list in priority order
+     * @returns {void}
+     */
+    renderThreads() {
+        const list = this.elements?.threadList;
+        if (!list) return;
+        list.textContent = '';
+
+        if (this.plotThreads.threads.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'mr-thread-empty';
+            empty.textContent = 'No threads. Use Keep to run the current plot as a subplot.';
+            list.appendChild(empty);
+            return;
+        }
+
+        const createButton = (icon, title, onClick) => {
+            const button = document.createElement('button');
+            button.className = 'mr-action-btn small liquid-hover';
+            button.title = title;
+            const iconEl = document.createElement('i');
+            iconEl.className = `fa-solid ${icon}`;
+            button.appendChild(iconEl);
+            button.addEventListener('click', onClick);
+            return button;
+        };
+
+        this.plotThreads.threads.forEach((thread, index) => {
+            const item = document.createElement('div');
+            item.className = `mr-thread-item ${thread.status}`;
+
+            const header = document.createElement('div');
+            header.className = 'mr-thread-header';
+
+            const kind = document.createElement('button');
+            kind.className = 'mr-thread-kind';
+            kind.title = 'Switch between subplot and background tension';
+            kind.textContent = `#${index + 1} ${THREAD_KINDS[thread.kind]?.label ?? 'Subplot'}`;
+            kind.addEventListener('click', () => this.toggleThreadKind(thread.id));
+
+            const status = document.createElement('span');
+            status.className = 'mr-thread-status';
+            const remaining = getLifetimeRemaining(thread.lifecycle);
+            if (thread.status === 'active') {
+                status.textContent = remaining === null ? 'Active' : `Active • ${remaining} turn${remaining === 1 ? '' : 's'} left`;
+            } else {
+                status.textContent = thread.status === 'paused' ? 'Paused' : 'Expired';
+            }
+
+            header.appendChild(kind);
+            header.appendChild(status);
+
+            const text = document.createElement('div');
+            text.className = 'mr-thread-text';
+            text.textContent = thread.text;
+
+            const actions = document.createElement('div');
+            actions.className = 'mr-thread-actions';
+            if (thread.status !== 'expired') {
+                const paused = thread.status === 'paused';
+                actions.appendChild(createButton(paused ? 'fa-play' : 'fa-pause', paused ? 'Resume' : 'Pause',
+                    () => this.toggleThreadPaused(thread.id)));
+            }
+            actions.appendChild(createButton('fa-arrow-up', index === 0 ? 'Promote to main plot' : 'Raise priority',
+                () => this.promoteThread(thread.id)));
+            actions.appendChild(createButton('fa-pen', 'Edit', () => this.editThread(thread.id)));
+            actions.appendChild(createButton('fa-xmark', 'Close thread', () => this.closeThread(thread.id)));
+
+            item.appendChild(header);
+            item.appendChild(text);
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Display next plot preview
+     * @param {string} plotText - The next plot text, or a status message
+     * @returns {void}
+     */
+    displayNextPlot(plotText) {
+        if (this.elements.nextPlotText) {
+            this.elements.nextPlotText.textContent = plotText || 'Generating next plot...';
+        }
+
+        logger.log('[Machinor Roundtable] Next plot preview displayed');
+    }
+
+    /**
+     * Describe the chat a next plot was generated from
+     * @returns {ChatBasis} Message count and the text of the last message
+     */
+    getChatBasis() {
+        const chat = getContext()?.chat || [];
+        return { length: chat.length, lastMessage: chat[chat.length - 1]?.mes ?? '' };
+    }
+
+    /**
+     * Check that a next plot's chat is still there: only new messages may have been added since
+     * @param {ChatBasis} basis - Chat the plot was generated from
+     * @returns {boolean}
+     */
+    isChatBasisCurrent(basis) {
+        const chat = getContext()?.chat || [];
+        if (!basis || chat.length < basis.length) return false;
+        return (chat[basis.length - 1]?.mes ?? '') === basis.lastMessage;
+    }
+
+    /**
+     * Hold a generated plot in the next plot slot
+     * @param {{text: string, tone?: string, pacing?: string, fallback?: boolean}} plotResult - Plot from PlotEngine
+     * @param {ChatBasis} basis - Chat the plot was generated from
+     * @returns {void}
+     */
+    setNextPlot(plotResult, basis) {
+        this.nextPlot = { ...plotResult, basis };
+        this.displayNextPlot(plotResult.text);
+    }
+
+    /**
+     * Take the next plot for injection, emptying the slot
+     * @returns {PregeneratedPlot|null} Next plot, or null if there is none or its chat has changed
+     */
+    takeNextPlot() {
+        const plot = this.nextPlot;
+        if (!plot) return null;
+        if (!this.isChatBasisCurrent(plot.basis)) {
+            this.clearNextPlot('chat changed since it was generated');
+            return null;
+        }
+        this.nextPlot = null;
+        this.displayNextPlot('Nothing queued');
+        return plot;
+    }
+
+    /**
+     * Drop the next plot, and any generation still producing one
+     * @param {string} reason - Why, for the log
+     * @returns {void}
+     */
+    clearNextPlot(reason) {
+        const cancelled = this.plotEngine?.queue?.cancelTarget('next_plot', reason) ?? false;
+        if (!this.nextPlot && !cancelled) return;
+        this.nextPlot = null;
+        this.displayNextPlot('Nothing queued');
+        logger.log(`Next plot discarded: ${reason}`);
+    }
+
+    /**
+     * Update status indicator and text
+     * @param {string} status - The status to display
+     * @returns {void}
+     */
+    updateStatus(status) {
+        if (this.elements.statusIndicator) {
+            // Remove all status classes
+            this.elements.statusIndicator.className = 'mr-status-indicator';
+            this.elements.statusIndicator.classList.add(status);
+        }
+
+        // Remember what to fall back to if this generation fails or is cancelled
+        if (status === 'pending' && this.currentStatus !== 'pending') {
+            this.statusBeforePending = this.currentStatus;
+        }
+        this.currentStatus = status;
+
+        this.updateCancelButton();
+
+        // Update status text (removed paused state)
+        const statusTexts = {
+            ready: 'Ready',
+            pending: 'Generating...',
+            injected: 'Injected',
+            choosing: 'Choose a candidate'
+        };
+
+        if (this.elements.statusText) {
+            this.elements.statusText.textContent = statusTexts[status] || 'Unknown';
+        }
+
+        logger.log('[Machinor Roundtable] Status updated:', status);
+    }
+
+    /**
+     * Leave the pending state after a failed or cancelled generation
+     * Restores the previous status and plot text. Forcing 'ready' instead would make the
+     * injector treat the untouched current plot as a fresh manual plot.
+     * @returns {void}
+     */
+    restoreStatus() {
+        // A newer request for the current plot is still queued or running - it will set the status
+        if (this.currentStatus !== 'pending' || this.plotEngine?.queue?.isBusy('current_plot')) return;
 
+        if (this.elements.currentPlotText) {
+            this.elements.currentPlotText.textContent = this.currentPlot || 'No plot generated yet. Start chatting or use Skip, or Generate Plot Now.';
+        }
+        this.updateStatus(this.statusBeforePending || 'ready');
+    }
+
+    /**
+     * Show the Cancel button while a generation is pending or queued
+     * @returns {void}
+     */
+    updateCancelButton() {
+        if (!this.elements.cancelGenerationBtn) return;
+        const busy = this.currentStatus === 'pending' || !!this.plotEngine?.queue?.isBusy();
+        this.elements.cancelGenerationBtn.style.display = busy ? '' : 'none';
+    }
+
+    /**
+     * Render the generation queue state below the status line
+     * @param {{running: GenerationJobState|null, queued: GenerationJobState[]}} state - Queue state
+     * @returns {void}
+     */
+    updateQueueDisplay(state) {
+        const container = this.elements.queueStatus;
+        if (container) {
+            container.textContent = '';
+
+            if (state.running) {
+                const running = document.createElement('span');
+                running.className = 'mr-queue-running';
+                running.textContent = `Running: ${state.running.label}`;
+                container.appendChild(running);
+            }
+            if (state.queued.length > 0) {
+                const queued = document.createElement('span');
+                queued.className = 'mr-queue-waiting';
+                queued.textContent = `${state.running ? ' · ' : ''}Waiting: ${state.queued.map(job => job.label).join(', ')}`;
+                container.appendChild(queued);
+            }
+
+            container.style.display = container.childNodes.length > 0 ? '' : 'none';
+        }
+
+        this.updateCancelButton();
+    }
+
+    /**
+     * Cancel the plot generation in flight and everything queued (sidebar Cancel button)
+     * The engine resolves cancelled generations to null, so the current plot is kept.
+     * @returns {void}
+     */
+    cancelGeneration() {
+        if (!this.plotEngine?.cancelGeneration()) return;
+
+        this.restoreStatus();
+        // @ts-ignore - toastr is a global library
+        toastr.info('Plot generation cancelled', 'Machinor Roundtable');
+    }
+
+    /**
+     * Show ranked plot candidates so the user can approve, edit or merge them
+     * @param {Array<PlotCandidate>} candidates - Candidates from PlotEngine.generatePlotCandidates
+     * @returns {void}
+     */
+    showCandidates(candidates) {
+        if (!Array.isArray(candidates) || candidates.length === 0) return;
+
+        // A new batch replaces an unresolved one - keep the old batch in history instead of dropping it
+        if (this.plotCandidates.length > 0) {
+            this.archiveUnusedCandidates([]);
+        }
+
+        this.plotCandidates = candidates;
+        this.selectedCandidateIndexes = [];
+        this.pendingCandidateSelection = null;
+        this.pendingCandidateInsights = null;
+
+        if (!this.currentPlot && this.elements.currentPlotText) {
+            this.elements.currentPlotText.textContent = 'Pick one of the candidates below.';
+            this.elements.currentPlotText.className = 'mr-placeholder-text';
+        }
+
+        this.renderCandidates();
+        this.setButtonsEnabled(true);
+        this.updateStatus('choosing');
+
+        // @ts-ignore - toastr is a global library
+        toastr.info(`${candidates.length} plot candidates ready - pick one in the sidebar`, 'Machinor Roundtable');
+        logger.log('[Machinor Roundtable] Showing plot candidates:', candidates.length);
+    }
+
+    /**
+     * Render the candidate cards
+     * @returns {void}
+     */
+    renderCandidates() {
+        const { candidatesPanel, candidatesList, mergeCandidatesBtn } = this.elements;
+        if (!candidatesPanel || !candidatesList) return;
+
+        candidatesList.textContent = '';
+        candidatesPanel.style.display = this.plotCandidates.length > 0 ? 'block' : 'none';
+
+        this.plotCandidates.forEach((candidate, index) => {
+            const isSelected = this.selectedCandidateIndexes.includes(index);
+
+            const card = document.createElement('div');
+            card.className = isSelected ? 'mr-candidate-card selected' : 'mr-candidate-card';
+
+            const header = document.createElement('label');
+            header.className = 'mr-candidate-header';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = isSelected;
+            checkbox.title = 'Select for merge';
+            checkbox.addEventListener('change', () => this.toggleCandidateSelection(index));
+
+            const rank = document.createElement('span');
+            rank.className = 'mr-candidate-rank';
+            rank.textContent = `#${candidate.rank}`;
+
+            header.appendChild(checkbox);
+            header.appendChild(rank);
+
+            const textDiv = document.createElement('div');
+            textDiv.className = 'mr-candidate-text';
+            textDiv.textContent = candidate.text;
+
+            card.appendChild(header);
+            card.appendChild(textDiv);
+
+            if (candidate.tone || candidate.pacing) {
+                const metaDiv = document.createElement('div');
+                metaDiv.className = 'mr-candidate-meta';
+                metaDiv.textContent = [candidate.tone, candidate.pacing].filter(Boolean).join(' • ');
+                card.appendChild(metaDiv);
+            }
+
+            const actions = document.createElement('div');
+            actions.className = 'mr-candidate-actions';
+
+            const approveBtn = document.createElement('button');
+            approveBtn.className = 'mr-action-btn small liquid-hover';
+            approveBtn.title = 'Use this plot';
+            const approveIcon = document.createElement('i');
+            approveIcon.className = 'fa-solid fa-check';
+            approveBtn.appendChild(approveIcon);
+            approveBtn.appendChild(document.createTextNode(' Approve'));
+            approveBtn.addEventListener('click', () => this.approveCandidate(index));
+
+            const editBtn = document.createElement('button');
+            editBtn.className = 'mr-action-btn small liquid-hover';
+            editBtn.title = 'Edit before using';
+            const editIcon = document.createElement('i');
+            editIcon.className = 'fa-solid fa-pen';
+            editBtn.appendChild(editIcon);
+            editBtn.appendChild(document.createTextNode(' Edit'));
+            editBtn.addEventListener('click', () => this.editCandidate(index));
+
+            actions.appendChild(approveBtn);
+            actions.appendChild(editBtn);
+            card.appendChild(actions);
+
+            candidatesList.appendChild(card);
+        });
+
+        if (mergeCandidatesBtn) {
+            mergeCandidatesBtn.disabled = this.selectedCandidateIndexes.length < 2;
+        }
+    }
+
+    /**
+     * Toggle a candidate's merge selection
+     * @param {number} index - Candidate index
+     * @returns {void}
+     */
+    toggleCandidateSelection(index) {
+        if (this.selectedCandidateIndexes.includes(index)) {
+            this.selectedCandidateIndexes = this.selectedCandidateIndexes.filter(i => i !== index);
+        } else {
+            this.selectedCandidateIndexes.push(index);
+        }
+        this.renderCandidates();
+    }
+
+    /**
+     * Approve a candidate as-is
+     * @param {number} index - Candidate index
+     * @returns {void}
+     */
+    approveCandidate(index) {
+        const candidate = this.plotCandidates[index];
+        if (!candidate) return;
+
+        this.updateInsightsDisplay(candidate);
+        this.displayCurrentPlot(candidate, 'ready');
+        this.resolveCandidates([index]);
+        this.approveAndInject();
+    }
+
+    /**
+     * Open a candidate in the editor; it is approved once the edit is saved
+     * @param {number} index - Candidate index
+     * @returns {void}
+     */
+    editCandidate(index) {
+        const candidate = this.plotCandidates[index];
+        if (!candidate) return;
+
+        this.isEditingPlot = false;
+        this.editingPlotId = null;
+        this.pendingCandidateSelection = [index];
+        this.pendingCandidateInsights = { tone: candidate.tone, pacing: candidate.pacing };
+        this.openModal(candidate.text, true);
+    }
+
+    /**
+     * Merge the selected candidates into one plot and open it in the editor
+     * @returns {void}
+     */
+    mergeSelectedCandidates() {
+        const indexes = [...this.selectedCandidateIndexes].sort((a, b) => a - b);
+        const selected = indexes.map(i => this.plotCandidates[i]).filter(Boolean);
+
+        if (selected.length < 2) {
+            // @ts-ignore - toastr is a global library
+            toastr.warning('Select at least two candidates to merge', 'Machinor Roundtable');
+            return;
+        }
+
+        this.isEditingPlot = false;
+        this.editingPlotId = null;
+        this.pendingCandidateSelection = indexes;
+        this.pendingCandidateInsights = {
+            tone: selected.map(c => c.tone).filter(Boolean).join(' / '),
+            pacing: selected.map(c => c.pacing).filter(Boolean).join(' / ')
+        };
+        this.openModal(selected.map(c => c.text).join(' '), true);
+    }
+
+    /**
+     * Reject every candidate, keeping them in history as "not used"
+     * @returns {void}
+     */
+    dismissCandidates() {
+        if (this.plotCandidates.length === 0) return;
+
+        this.resolveCandidates([]);
+        this.updateStatus(this.currentPlot ? 'injected' : 'ready');
+
+        // @ts-ignore - toastr is a global library
+        toastr.info('Candidates moved to history as not used', 'Machinor Roundtable');
+    }
+
+    /**
+     * Archive unused candidates and clear the candidate panel
+     * @param {number[]} usedIndexes - Indexes of candidates that made it into the current plot
+     * @returns {void}
+     */
+    resolveCandidates(usedIndexes) {
+        this.archiveUnusedCandidates(usedIndexes);
+        this.plotCandidates = [];
+        this.selectedCandidateIndexes = [];
+        this.pendingCandidateSelection = null;
+        this.pendingCandidateInsights = null;
+        this.renderCandidates();
+    }
+
+    /**
+     * Store rejected candidates in plot history, flagged as not used
+     * @param {number[]} usedIndexes - Indexes to skip
+     * @returns {void}
+     */
+    archiveUnusedCandidates(usedIndexes) {
+        this.plotCandidates.forEach((candidate, index) => {
+            if (usedIndexes.includes(index)) return;
+            this.addToHistory(candidate.text, {
+                status: 'unused',
+                tone: candidate.tone,
+                pacing: candidate.pacing,
+                ...(candidate.fallback && { source: 'fallback' })
+            });
+        });
+    }
+
+    /**
+     * Get the configured number of candidates per generation call
+     * @returns {number} Candidate count (1 = single plot mode)
+     */
+    getCandidateCount() {
+        const count = window.machinorRoundtable?.settings?.candidateCount ?? 1;
+        return Math.max(MIN_CANDIDATE_COUNT, Math.min(count, MAX_CANDIDATE_COUNT));
+    }
+
+    /**
+     * Approve current plot and prepare for injection
+     */
+    async approveAndInject() {
+        if (!this.currentPlot) {
+            logger.warn('[Machinor Roundtable] No plot to inject');
+            return;
+        }
+
+        this.updateStatus('injected');
+
+        // Add to history (only if not editing an existing plot)
+        if (!this.isEditingPlot || !this.editingPlotId) {
+            this.addToHistory(this.currentPlot);
+        } else {
+            logger.log('[Machinor Roundtable] Skipping history add - editing existing plot');
+        }
+
+        // Save the injected state and history to storage (Lazy Sync)
+        this.saveChatProfile(this.currentPlot, 'injected');
+
+        logger.log('[Machinor Roundtable] Plot approved and prepared for injection:', this.currentPlot);
+
+        // @ts-ignore - toastr is a global library
+        toastr.success('Plot prepared - will inject on next generation', 'Machinor Roundtable');
+
+        logger.log('[Machinor Roundtable] Plot remains in injected state for editing');
+    }
+
+    /**
+     * Edit current plot (inline or modal)
+     */
+    editPlot() {
+        if (!this.currentPlot) {
+            // @ts-ignore - toastr is a global library
+            toastr.warning('No plot to edit', 'Machinor Roundtable');
+            return;
+        }
+
+        // Check if current plot is in history
+        const existingPlot = this.plotHistory.find(plot => plot.text === this.currentPlot);
+
+        // Set editing state
+        this.isEditingPlot = !!existingPlot;
+        this.editingPlotId = existingPlot ? existingPlot.id : null;
+
+        // For now, open modal - could add inline editing later
+        this.openModal(this.currentPlot);
+        logger.log('[Machinor Roundtable] Plot editor opened, editing existing:', this.isEditingPlot);
+    }
+
+    /**
+     * Skip current plot and generate new one
+     */
+    skipPlot() {
+        // Keep currentPlot until the replacement arrives, so a failed or cancelled generation can restore it
         if (this.elements.currentPlotText) {
             this.elements.currentPlotText.textContent = 'Generating new plot...';
         }
@@ -2119,6 +3230,10 @@ export class PlotPreviewManager {
             this.elements.modal.style.display = 'none';
         }
         this.isManualEntry = false;
+        this.editingThreadId = null;
+        // Cancelling a candidate edit/merge leaves the candidates untouched
+        this.pendingCandidateSelection = null;
+        this.pendingCandidateInsights = null;
         logger.log('Modal closed');
     }
 
@@ -2140,7 +3255,21 @@ export class PlotPreviewManager {
         // Use sanitized text
         const textToSave = sanitized;
 
-        if (this.isManualEntry) {
+        if (this.editingThreadId) {
+            // Edited thread - the main plot is untouched
+            this.plotThreads.updateText(this.editingThreadId, textToSave);
+            this.saveThreads();
+            // @ts-ignore - toastr is a global library
+            toastr.success('Thread updated', 'Machinor Roundtable');
+        } else if (this.pendingCandidateSelection) {
+            // Edited or merged candidate - approve it and archive the rest
+            if (this.pendingCandidateInsights) {
+                this.updateInsightsDisplay(this.pendingCandidateInsights);
+            }
+            this.displayCurrentPlot(textToSave, 'ready');
+            this.resolveCandidates(this.pendingCandidateSelection);
+            this.approveAndInject();
+        } else if (this.isManualEntry) {
             // Manual entry - set as current plot
             this.displayCurrentPlot(textToSave, 'ready');
             // @ts-ignore - toastr is a global library
@@ -2211,22 +3340,143 @@ export class PlotPreviewManager {
         }
     }
 
+    /**
+     * Add an entry to the chat's injection audit log
+     * @param {import('./injection-audit.js').AuditEntry} entry - Entry
+     * @returns {void}
+     */
+    recordAudit(entry) {
+        this.auditLog = appendAuditEntry(this.auditLog, entry);
+        this.renderAuditLog();
+        this.saveChatProfile(this.currentPlot, this.currentStatus);
+    }
+
+    /**
+     * Render the audit log, newest first, with the current filter applied
+     * @returns {void}
+     */
+    renderAuditLog() {
+        const list = this.elements?.auditList;
+        if (!list) return;
+        list.textContent = '';
+
+        const filter = {
+            outcome: this.elements.auditFilter?.value || 'all',
+            search: this.elements.auditSearch?.value || ''
+        };
+        const entries = filterAuditEntries(this.auditLog, filter).reverse();
+
+        if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'mr-audit-empty';
+            empty.textContent = this.auditLog.length === 0 ? 'No generations logged yet' : 'No entries match the filter';
+            list.appendChild(empty);
+            return;
+        }
+
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = `mr-audit-entry ${entry.outcome}`;
+
+            const meta = document.createElement('div');
+            meta.className = 'mr-audit-meta';
+            const time = document.createElement('span');
+            time.textContent = new Date(entry.timestamp).toLocaleString();
+            const outcome = document.createElement('span');
+            outcome.className = 'mr-history-tag';
+            outcome.textContent = AUDIT_OUTCOMES[entry.outcome]?.label ?? entry.outcome;
+            const details = document.createElement('span');
+            details.textContent = [entry.generationType, entry.apiFormat].filter(Boolean).join(' • ');
+            meta.appendChild(time);
+            meta.appendChild(outcome);
+            meta.appendChild(details);
+
+            const where = document.createElement('div');
+            where.className = 'mr-audit-where';
+            where.textContent = entry.reason ?? entry.where ?? '';
+
+            item.appendChild(meta);
+            item.appendChild(where);
+            if (entry.text) {
+                const text = document.createElement('pre');
+                text.className = 'mr-audit-text';
+                text.textContent = entry.text;
+                item.appendChild(text);
+            } else if (entry.droppedChars) {
+                const dropped = document.createElement('div');
+                dropped.className = 'mr-audit-where';
+                dropped.textContent = `Injected text (${entry.droppedChars} characters) dropped to keep the log small`;
+                item.appendChild(dropped);
+            }
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Download the chat's audit log as JSON (the filtered entries, if a filter is set)
+     * @returns {void}
+     */
+    exportAuditLog() {
+        const chatId = getContext()?.chatId ?? null;
+        const entries = filterAuditEntries(this.auditLog, {
+            outcome: this.elements.auditFilter?.value || 'all',
+            search: this.elements.auditSearch?.value || ''
+        });
+        if (entries.length === 0) {
+            // @ts-ignore - toastr is a global library
+            toastr.info('Nothing to export', 'Machinor Roundtable');
+            return;
+        }
+
+        const blob = new Blob([serializeAuditLog(entries, chatId)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `machinor-injection-log-${String(chatId ?? 'chat').replace(/[^\w-]+/g, '_')}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Empty the chat's audit log
+     * @returns {void}
+     */
+    clearAuditLog() {
+        if (this.auditLog.length === 0) return;
+        this.auditLog = [];
+        this.renderAuditLog();
+        this.saveChatProfile(this.currentPlot, this.currentStatus);
+        // @ts-ignore - toastr is a global library
+        toastr.info('Injection log cleared', 'Machinor Roundtable');
+    }
+
     /**
      * Toggle plot history visibility with iOS spring animations
      */
     toggleHistory() {
-        if (!this.elements.historyContent || !this.elements.historyToggle) return;
+        this.toggleSection(this.elements.historyToggle, this.elements.historyContent, 'History');
+    }
+
+    /**
+     * Expand or collapse a sidebar section with iOS spring animations
+     * @param {HTMLElement} toggle - Section header
+     * @param {HTMLElement} content - Collapsible content
+     * @param {string} name - Section name, for the log
+     * @returns {void}
+     */
+    toggleSection(toggle, content, name) {
+        if (!content || !toggle) return;
 
-        const isCollapsed = this.elements.historyContent.classList.contains('collapsed');
-        const icon = this.elements.historyToggle.querySelector('i');
+        const isCollapsed = content.classList.contains('collapsed');
+        const icon = toggle.querySelector('i');
 
         if (isCollapsed) {
             // Expanding - remove collapsed class
-            this.elements.historyContent.classList.remove('collapsed');
+            content.classList.remove('collapsed');
 
             // Update ARIA attributes
-            this.elements.historyContent.setAttribute('aria-hidden', 'false');
-            this.elements.historyToggle.setAttribute('aria-expanded', 'true');
+            content.setAttribute('aria-hidden', 'false');
+            toggle.setAttribute('aria-expanded', 'true');
 
             // Spring animation for icon rotation
             if (icon) {
@@ -2234,19 +3484,19 @@ export class PlotPreviewManager {
             }
 
             // Visual feedback with spring effect
-            this.elements.historyToggle.style.transform = 'scale(0.98)';
+            toggle.style.transform = 'scale(0.98)';
             setTimeout(() => {
-                this.elements.historyToggle.style.transform = 'scale(1)';
+                toggle.style.transform = 'scale(1)';
             }, 150);
 
-            logger.log('[Machinor Roundtable] History expanded');
+            logger.log(`[Machinor Roundtable] ${name} expanded`);
         } else {
             // Collapsing - add collapsed class
-            this.elements.historyContent.classList.add('collapsed');
+            content.classList.add('collapsed');
 
             // Update ARIA attributes
-            this.elements.historyContent.setAttribute('aria-hidden', 'true');
-            this.elements.historyToggle.setAttribute('aria-expanded', 'false');
+            content.setAttribute('aria-hidden', 'true');
+            toggle.setAttribute('aria-expanded', 'false');
 
             // Spring animation for icon rotation
             if (icon) {
@@ -2254,12 +3504,12 @@ export class PlotPreviewManager {
             }
 
             // Visual feedback with spring effect
-            this.elements.historyToggle.style.transform = 'scale(0.98)';
+            toggle.style.transform = 'scale(0.98)';
             setTimeout(() => {
-                this.elements.historyToggle.style.transform = 'scale(1)';
+                toggle.style.transform = 'scale(1)';
             }, 150);
 
-            logger.log('[Machinor Roundtable] History collapsed');
+            logger.log(`[Machinor Roundtable] ${name} collapsed`);
         }
     }
 
@@ -2277,12 +3527,16 @@ export class PlotPreviewManager {
 
     /**
      * Add plot to history
+     * @param {string} plotText - The plot text
+     * @param {Object} [metadata={}] - Extra entry fields (e.g. status: 'unused', tone, pacing)
      */
-    addToHistory(plotText) {
+    addToHistory(plotText, metadata = {}) {
         const plotEntry = {
+            ...metadata,
             text: plotText,
             timestamp: Date.now(),
-            id: Date.now().toString()
+            // Several entries can be added in the same millisecond (archived candidates)
+            id: `${Date.now()}_${Math.random().toString(36).substring(2, 8)}`
         };
 
         this.plotHistory.unshift(plotEntry);
@@ -2358,6 +3612,29 @@ export class PlotPreviewManager {
             timeSpan.textContent = new Date(plot.timestamp).toLocaleDateString();
             
             metaDiv.appendChild(timeSpan);
+
+            if (plot.status === 'unused') {
+                item.classList.add('unused');
+                const tagSpan = document.createElement('span');
+                tagSpan.className = 'mr-history-tag';
+                tagSpan.textContent = 'Not used';
+                metaDiv.appendChild(tagSpan);
+            }
+
+            if (plot.source === 'fallback') {
+                const tagSpan = document.createElement('span');
+                tagSpan.className = 'mr-history-tag';
+                tagSpan.textContent = 'Fallback';
+                metaDiv.appendChild(tagSpan);
+            }
+
+            if (plot.resolution) {
+                const tagSpan = document.createElement('span');
+                tagSpan.className = 'mr-history-tag';
+                tagSpan.textContent = plot.resolution === 'resolved' ? 'Resolved' : 'Unresolved';
+                metaDiv.appendChild(tagSpan);
+            }
+
             item.appendChild(textDiv);
             item.appendChild(metaDiv);
             
@@ -2394,7 +3671,7 @@ export class PlotPreviewManager {
             const character = getCurrentCharacter();
 
             if (!character) {
-                this.updateStatus('ready'); // Reset status on error
+                this.restoreStatus(); // Reset status on error
                 // @ts-ignore - toastr is a global library
                 toastr.warning('No character selected', 'Machinor Roundtable');
                 return;
@@ -2403,29 +3680,26 @@ export class PlotPreviewManager {
             const chatHistory = this.getRecentChatHistory();
 
             // Generate plot using the plot engine
-            const plotResult = await this.plotEngine.generatePlotContext(character, chatHistory);
-
-            if (plotResult) {
-                const text = typeof plotResult === 'object' ? plotResult.text : plotResult;
-
-                // CRITICAL FIX: Update insights BEFORE displaying plot
-                // This ensures DOM has the data when saveChatProfile is called
-                if (typeof plotResult === 'object' && plotResult.tone) {
-                    this.updateInsightsDisplay(plotResult);
+            const plotResult = await this.plotEngine.queue.enqueue({
+                target: 'current_plot',
+                key: 'current_plot:new',
+                priority: JOB_PRIORITY.USER,
+                source: 'new',
+                label: 'New plot',
+                run: async (signal) => {
+                    const result = await this.plotEngine.generatePlotContext(character, chatHistory, { signal });
+                    if (result) {
+                        this.applyNewPlot(result, 'generated', 'New plot generated');
+                    }
+                    return result;
                 }
+            });
 
-                this.displayCurrentPlot(text, 'generated');
-
-                // Add to history immediately when generated
-                this.addToHistory(text);
-
-                // @ts-ignore - toastr is a global library
-                toastr.success('New plot generated', 'Machinor Roundtable');
-            } else {
-                this.updateStatus('ready'); // Reset status if no plot generated
+            if (!plotResult) {
+                this.restoreStatus(); // Reset status if no plot generated
             }
         } catch (error) {
-            this.updateStatus('ready'); // Reset status on error
+            this.restoreStatus(); // Reset status on error
             errorHandler(error, 'Failed to generate plot');
         }
     }
@@ -2445,7 +3719,7 @@ export class PlotPreviewManager {
             const character = getCurrentCharacter();
 
             if (!character) {
-                this.updateStatus('ready'); // Reset status on error
+                this.restoreStatus(); // Reset status on error
                 // @ts-ignore - toastr is a global library
                 toastr.warning('No character selected', 'Machinor Roundtable');
                 return;
@@ -2464,30 +3738,39 @@ export class PlotPreviewManager {
                 intensity: plotIntensity
             };
 
-            // Generate plot using the plot engine with options
-            const plotResult = await this.plotEngine.generatePlotContext(character, chatHistory, plotOptions);
-
-            if (plotResult) {
-                const text = typeof plotResult === 'object' ? plotResult.text : plotResult;
+            // Multi-candidate mode: one call, user picks in the candidates panel
+            const candidateCount = this.getCandidateCount();
+
+            // Queued so repeated Skip clicks share one request and replace any older one
+            const plotResult = await this.plotEngine.queue.enqueue({
+                target: 'current_plot',
+                key: 'current_plot:skip',
+                priority: JOB_PRIORITY.USER,
+                source: 'skip',
+                label: candidateCount > 1 ? 'New plot candidates' : 'New plot',
+                run: async (signal) => {
+                    if (candidateCount > 1) {
+                        const candidates = await this.plotEngine.generatePlotCandidates(character, chatHistory, candidateCount, { ...plotOptions, signal });
+                        if (candidates && candidates.length > 0) {
+                            this.showCandidates(candidates);
+                        }
+                        return candidates;
+                    }
 
-                // CRITICAL FIX: Update insights BEFORE displaying plot
-                // This ensures DOM has the data when saveChatProfile is called
-                if (typeof plotResult === 'object' && plotResult.tone) {
-                    this.updateInsightsDisplay(plotResult);
+                    // Generate plot using the plot engine with options
+                    const result = await this.plotEngine.generatePlotContext(character, chatHistory, { ...plotOptions, signal });
+                    if (result) {
+                        this.applyNewPlot(result, 'generated', 'New plot generated with style: ' + plotStyle);
+                    }
+                    return result;
                 }
+            });
 
-                this.displayCurrentPlot(text, 'generated');
-
-                // Add to history immediately when generated
-                this.addToHistory(text);
-
-                // @ts-ignore - toastr is a global library
-                toastr.success('New plot generated with style: ' + plotStyle, 'Machinor Roundtable');
-            } else {
-                this.updateStatus('ready'); // Reset status if no plot generated
+            if (!plotResult || plotResult.length === 0) {
+                this.restoreStatus(); // Reset status if no plot generated
             }
         } catch (error) {
-            this.updateStatus('ready'); // Reset status on error
+            this.restoreStatus(); // Reset status on error
             errorHandler(error, 'Failed to generate plot with options');
         }
     }
@@ -2510,13 +3793,9 @@ export class PlotPreviewManager {
             const chatHistory = this.getRecentChatHistory();
 
             // Generate plot using the plot engine
-            const plotContext = await this.plotEngine.generatePlotContext(character, chatHistory);
+            const plotContext = await this.enqueueNextPlot(character, chatHistory, {}, 'Next plot preview generated');
 
-            if (plotContext) {
-                this.displayNextPlot(plotContext);
-                // @ts-ignore - toastr is a global library
-                toastr.info('Next plot preview generated', 'Machinor Roundtable');
-            } else {
+            if (!plotContext && !this.plotEngine.queue.isBusy('next_plot')) {
                 this.displayNextPlot('No plot generated');
             }
         } catch (error) {
@@ -2555,13 +3834,9 @@ export class PlotPreviewManager {
             };
 
             // Generate plot using the plot engine with options
-            const plotContext = await this.plotEngine.generatePlotContext(character, chatHistory, plotOptions);
+            const plotContext = await this.enqueueNextPlot(character, chatHistory, plotOptions, 'Next plot preview generated with style: ' + plotStyle);
 
-            if (plotContext) {
-                this.displayNextPlot(plotContext);
-                // @ts-ignore - toastr is a global library
-                toastr.info('Next plot preview generated with style: ' + plotStyle, 'Machinor Roundtable');
-            } else {
+            if (!plotContext && !this.plotEngine.queue.isBusy('next_plot')) {
                 this.displayNextPlot('No plot generated');
             }
         } catch (error) {
@@ -2570,6 +3845,56 @@ export class PlotPreviewManager {
         }
     }
 
+    /**
+     * Show a freshly generated plot as the current plot and record it in history
+     * @param {{text: string, tone: string, pacing: string}} plotResult - Plot from PlotEngine
+     * @param {string} status - Status to display ('generated' or 'ready')
+     * @param {string} successMessage - Toast shown to the user
+     * @returns {void}
+     */
+    applyNewPlot(plotResult, status, successMessage) {
+        // CRITICAL FIX: Update insights BEFORE displaying plot
+        // This ensures DOM has the data when saveChatProfile is called
+        if (plotResult.tone) {
+            this.updateInsightsDisplay(plotResult);
+        }
+
+        this.displayCurrentPlot(plotResult, status);
+
+        // Add to history immediately when generated
+        this.addToHistory(plotResult.text, plotResult.fallback ? { source: 'fallback' } : {});
+
+        // @ts-ignore - toastr is a global library
+        toastr.success(successMessage, 'Machinor Roundtable');
+    }
+
+    /**
+     * Queue generation of the next plot preview
+     * @param {Object} character - Character data
+     * @param {Array} chatHistory - Recent chat messages
+     * @param {Object} plotOptions - Style and intensity
+     * @param {string} successMessage - Toast shown when the preview is ready
+     * @returns {Promise<{text: string, tone: string, pacing: string}|null>} Generated plot, or null if it failed or was superseded
+     */
+    enqueueNextPlot(character, chatHistory, plotOptions, successMessage) {
+        const basis = this.getChatBasis();
+        return this.plotEngine.queue.enqueue({
+            target: 'next_plot',
+            priority: JOB_PRIORITY.USER,
+            source: 'next_preview',
+            label: 'Next plot preview',
+            run: async (signal) => {
+                const result = await this.plotEngine.generatePlotContext(character, chatHistory, { ...plotOptions, signal });
+                if (result && this.isChatBasisCurrent(basis)) {
+                    this.setNextPlot(result, basis);
+                    // @ts-ignore - toastr is a global library
+                    toastr.info(successMessage, 'Machinor Roundtable');
+                }
+                return result;
+            }
+        });
+    }
+
     /**
      * Get recent chat history for context (helper method)
      */
@@ -2597,8 +3922,9 @@ export class PlotPreviewManager {
         return {
             isCollapsed: this.isCollapsed,
             currentPlot: this.currentPlot,
-            nextPlot: this.nextPlot,
+            nextPlot: this.nextPlot?.text ?? null,
             historyCount: this.plotHistory.length,
+            candidateCount: this.plotCandidates.length,
             recentDirectionsCount: this.recentDirections.length
         };
     }
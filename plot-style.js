@@ -0,0 +1,106 @@
+// Machinor Roundtable - Plot Style & Intensity Profiles
+import { ALLOWED_STYLES, ALLOWED_INTENSITIES } from "./security-utils.js";
+
+/**
+ * Style profiles. Each style shapes what the plot hook is about.
+ * Keys must match ALLOWED_STYLES.
+ * @type {Object<string, {label: string, prompt: string, focus: string}>}
+ */
+export const STYLE_PROFILES = {
+    natural: {
+        label: 'Natural',
+        prompt: 'Natural - develop the story organically from what the characters already want and feel. Favor believable next steps over contrived events.',
+        focus: 'organic character development'
+    },
+    dramatic: {
+        label: 'Dramatic',
+        prompt: 'Dramatic - raise the stakes through conflict, confrontation and consequences. Give choices a visible cost.',
+        focus: 'conflict and stakes'
+    },
+    romantic: {
+        label: 'Romantic',
+        prompt: 'Romantic - center the relationship: attraction, vulnerability, longing and moments of closeness or distance.',
+        focus: 'the emotional connection'
+    },
+    mysterious: {
+        label: 'Mysterious',
+        prompt: 'Mysterious - plant secrets, clues and unanswered questions. Reveal less than the characters want to know.',
+        focus: 'intrigue and unanswered questions'
+    },
+    adventure: {
+        label: 'Adventure',
+        prompt: 'Adventure - drive the characters into action, exploration and physical challenges with a clear goal in sight.',
+        focus: 'action and discovery'
+    },
+    comedy: {
+        label: 'Comedy',
+        prompt: 'Comedy - create light-hearted situations, misunderstandings and playful banter without breaking character.',
+        focus: 'humor and levity'
+    }
+};
+
+/**
+ * Intensity profiles. Each intensity controls how hard the hook pushes and how the injection is worded.
+ * Keys must match ALLOWED_INTENSITIES.
+ * @type {Object<string, {label: string, prompt: string, hookBoldness: string, injectionLabel: string, injectionDirective: string}>}
+ */
+export const INTENSITY_PROFILES = {
+    subtle: {
+        label: 'Subtle',
+        prompt: 'Subtle - a gentle nudge. Work with the current scene; nothing sudden or external should happen.',
+        hookBoldness: 'Write a quiet, understated hook: a small detail, a lingering thought or a shift in mood that the story can pick up or ignore.',
+        injectionLabel: 'Background Plot Note',
+        injectionDirective: 'Weave this in gently only if it fits; do not force it'
+    },
+    moderate: {
+        label: 'Moderate',
+        prompt: 'Moderate - a balanced push. Introduce one meaningful development that moves the scene forward.',
+        hookBoldness: 'Write a clear hook that creates dramatic tension or emotional stakes without overturning the scene.',
+        injectionLabel: 'Plot Guidance',
+        injectionDirective: ''
+    },
+    intense: {
+        label: 'Intense',
+        prompt: 'Intense - a major push. Change the situation now with a reveal, reversal, arrival or confrontation.',
+        hookBoldness: 'Write a bold, unmistakable hook that forces the characters to react immediately. It should be impossible to ignore.',
+        injectionLabel: 'Plot Directive',
+        injectionDirective: 'Act on this in your next reply'
+    }
+};
+
+/**
+ * @typedef {Object} StyleGuidance
+ * @property {string} style - Normalized style key
+ * @property {string} intensity - Normalized intensity key
+ * @property {string} stylePrompt - Style fragment for the generation prompt
+ * @property {string} intensityPrompt - Intensity fragment for the generation prompt
+ * @property {string} hookBoldness - Instruction describing how bold the hook should be
+ * @property {string} focus - Short description of the style's focus, used in the injection
+ * @property {string} injectionLabel - Label for the injected block (e.g. 'Plot Directive')
+ * @property {string} injectionDirective - Instruction to the roleplay model, empty for none
+ */
+
+/**
+ * Resolve the prompt fragments and injection wording for a style/intensity combination
+ * Unknown values fall back to natural/moderate.
+ * @param {string} [style='natural'] - One of ALLOWED_STYLES
+ * @param {string} [intensity='moderate'] - One of ALLOWED_INTENSITIES
+ * @returns {StyleGuidance} Combined guidance
+ */
+export function getStyleGuidance(style = 'natural', intensity = 'moderate') {
+    const styleKey = ALLOWED_STYLES.includes(style) ? style : 'natural';
+    const intensityKey = ALLOWED_INTENSITIES.includes(intensity) ? intensity : 'moderate';
+    const styleProfile = STYLE_PROFILES[styleKey];
+    const intensityProfile = INTENSITY_PROFILES[intensityKey];
+
+    return {
+        style: styleKey,
+        intensity: intensityKey,
+        stylePrompt: styleProfile.prompt,
+        intensityPrompt: intensityProfile.prompt,
+        hookBoldness: intensityProfile.hookBoldness,
+        focus: styleProfile.focus,
+        injectionLabel: intensityProfile.injectionLabel,
+        injectionDirective: intensityProfile.injectionDirective
+    };
+}
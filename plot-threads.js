@@ -0,0 +1,206 @@
+// Machinor Roundtable - Concurrent Plot Threads
+import { logger } from "./logger.js";
+import { createLifecycle, getLifecycleStage, buildReminder } from "./plot-lifecycle.js";
+
+/**
+ * Kinds of thread that run alongside the main plot
+ * @type {Object<string, {label: string}>}
+ */
+export const THREAD_KINDS = {
+    subplot: { label: 'Subplot' },
+    background: { label: 'Background tension' }
+};
+
+/**
+ * @typedef {Object} PlotThread
+ * @property {string} id - Unique thread ID
+ * @property {string} text - Thread plot text
+ * @property {string} kind - One of THREAD_KINDS
+ * @property {'active'|'paused'|'expired'} status - Paused and expired threads are not injected
+ * @property {import('./plot-lifecycle.js').PlotLifecycle} lifecycle - Lifetime of the thread
+ * @property {number} createdAt - Creation timestamp
+ */
+
+/**
+ * PlotThreadManager - Holds the subplots and background tensions of a chat
+ * The array order is the priority: the first thread is injected first and dropped last.
+ * The main plot is not a thread; it stays PlotPreviewManager.currentPlot.
+ */
+export class PlotThreadManager {
+    constructor() {
+        /** @type {Array<PlotThread>} */
+        this.threads = [];
+    }
+
+    /**
+     * Replace all threads, e.g. when a chat profile is loaded
+     * @param {Array<PlotThread>|undefined} threads - Stored threads
+     * @returns {void}
+     */
+    load(threads) {
+        this.threads = Array.isArray(threads)
+            ? threads.filter(thread => thread && typeof thread.text === 'string' && THREAD_KINDS[thread.kind])
+            : [];
+    }
+
+    /**
+     * Get a thread by ID
+     * @param {string} id - Thread ID
+     * @returns {PlotThread|null}
+     */
+    getThread(id) {
+        return this.threads.find(thread => thread.id === id) ?? null;
+    }
+
+    /**
+     * Add a thread, at the lowest priority unless asked otherwise
+     * @param {string} text - Thread plot text
+     * @param {string} [kind='subplot'] - One of THREAD_KINDS
+     * @param {Object} [settings] - Extension settings, for the thread lifetime
+     * @param {boolean} [atTop=false] - Add at the highest priority instead
+     * @returns {PlotThread} New thread
+     */
+    addThread(text, kind = 'subplot', settings, atTop = false) {
+        const thread = {
+            id: `thread_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+            text,
+            kind: THREAD_KINDS[kind] ? kind : 'subplot',
+            status: 'active',
+            lifecycle: createLifecycle({ plotLifetime: settings?.threadLifetime, plotDecayMode: settings?.plotDecayMode }),
+            createdAt: Date.now()
+        };
+        if (atTop) this.threads.unshift(thread);
+        else this.threads.push(thread);
+        logger.log(`Added ${thread.kind} thread ${thread.id}`);
+        return thread;
+    }
+
+    /**
+     * Pause or resume a thread. Resuming an expired thread is not possible.
+     * @param {string} id - Thread ID
+     * @returns {boolean} True if the status changed
+     */
+    togglePaused(id) {
+        const thread = this.getThread(id);
+        if (!thread || thread.status === 'expired') return false;
+        thread.status = thread.status === 'paused' ? 'active' : 'paused';
+        return true;
+    }
+
+    /**
+     * Switch a thread between subplot and background tension
+     * @param {string} id - Thread ID
+     * @returns {boolean} True if changed
+     */
+    toggleKind(id) {
+        const thread = this.getThread(id);
+        if (!thread) return false;
+        thread.kind = thread.kind === 'subplot' ? 'background' : 'subplot';
+        return true;
+    }
+
+    /**
+     * Move a thread one place up in priority
+     * @param {string} id - Thread ID
+     * @returns {boolean} True if moved, false if it is already first (or unknown)
+     */
+    promote(id) {
+        const index = this.threads.findIndex(thread => thread.id === id);
+        if (index <= 0) return false;
+        [this.threads[index - 1], this.threads[index]] = [this.threads[index], this.threads[index - 1]];
+        return true;
+    }
+
+    /**
+     * Replace a thread's text. The edited thread keeps its lifetime.
+     * @param {string} id - Thread ID
+     * @param {string} text - New text
+     * @returns {boolean} True if updated
+     */
+    updateText(id, text) {
+        const thread = this.getThread(id);
+        if (!thread) return false;
+        thread.text = text;
+        return true;
+    }
+
+    /**
+     * Remove a thread
+     * @param {string} id - Thread ID
+     * @returns {PlotThread|null} Removed thread
+     */
+    closeThread(id) {
+        const thread = this.getThread(id);
+        if (!thread) return null;
+        this.threads = this.threads.filter(other => other !== thread);
+        logger.log(`Closed thread ${id}`);
+        return thread;
+    }
+
+    /**
+     * Get the threads that can be injected, in priority order
+     * @returns {Array<PlotThread>}
+     */
+    getInjectable() {
+        return this.threads.filter(thread => thread.status === 'active');
+    }
+
+    /**
+     * Count one injection against each thread's lifetime, expiring those that run out
+     * @param {string[]} ids - IDs of the threads that were injected
+     * @returns {void}
+     */
+    recordTurn(ids) {
+        ids.forEach(id => {
+            const thread = this.getThread(id);
+            if (!thread) return;
+            thread.lifecycle.turnsUsed += 1;
+            if (getLifecycleStage(thread.lifecycle) === 'expired') {
+                thread.status = 'expired';
+                logger.log(`Thread ${id} expired`);
+            }
+        });
+    }
+}
+
+/**
+ * Format one thread as an injection line, reduced to a reminder once it has decayed
+ * @param {PlotThread} thread - Thread
+ * @returns {string} Injection line
+ */
+export function formatThreadLine(thread) {
+    const label = THREAD_KINDS[thread.kind]?.label ?? 'Subplot';
+    if (getLifecycleStage(thread.lifecycle) === 'reminder') {
+        return buildReminder(thread.text, label);
+    }
+    return `[${label}: ${thread.text.replace(/\s+/g, ' ').trim()}]`;
+}
+
+/**
+ * Stack the main guidance and thread lines into one injection within a size limit
+ * The main guidance is always kept. Threads are added in priority order; the first one that does not fit
+ * ends the stack, so a lower priority thread never displaces a higher one.
+ * @param {string} mainGuidance - Rendered main plot guidance (empty if the main plot expired)
+ * @param {Array<PlotThread>} threads - Injectable threads in priority order
+ * @param {number} sizeLimit - Maximum injection length in characters
+ * @param {string} [mainPlotText=''] - Main plot text, to skip threads that duplicate it
+ * @returns {{text: string, included: Array<PlotThread>, dropped: Array<PlotThread>}} Injection text and what made it in
+ */
+export function composeInjection(mainGuidance, threads, sizeLimit, mainPlotText = '') {
+    const parts = mainGuidance ? [mainGuidance] : [];
+    const included = [];
+    const candidates = threads.filter(thread => thread.text.trim() !== mainPlotText.trim());
+
+    let length = mainGuidance.length;
+    for (let index = 0; index < candidates.length; index++) {
+        const line = formatThreadLine(candidates[index]);
+        const added = (parts.length > 0 ? 1 : 0) + line.length;
+        if (length + added > sizeLimit) {
+            return { text: parts.join('\n'), included, dropped: candidates.slice(index) };
+        }
+        parts.push(line);
+        included.push(candidates[index]);
+        length += added;
+    }
+    return { text: parts.join('\n'), included, dropped: [] };
+}
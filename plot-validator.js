@@ -0,0 +1,210 @@
+// Machinor Roundtable - Plot Response Parsing & Validation
+import { logger } from "./logger.js";
+
+/**
+ * Plot JSON schema. Each field lists its expected type, whether it is required and its maximum length.
+ * @type {Object<string, {type: string, required: boolean, maxLength: number}>}
+ */
+export const PLOT_SCHEMA = {
+    plot_hook: { type: 'string', required: true, maxLength: 1500 },
+    pacing_guidance: { type: 'string', required: false, maxLength: 500 },
+    tone_analysis: { type: 'string', required: false, maxLength: 200 }
+};
+
+/**
+ * @typedef {Object} ValidationError
+ * @property {string} field - Field path (e.g. 'plot_hook' or 'candidates[1].plot_hook')
+ * @property {string} code - Machine-readable reason (missing_field, wrong_type, empty_field, too_long, not_object, no_candidates)
+ * @property {string} message - Human-readable description, also fed back to the model
+ */
+
+/**
+ * @typedef {Object} ParseResult
+ * @property {any} value - Parsed JSON value, or null if nothing could be recovered
+ * @property {string[]} repairs - Local repairs applied (code_fence, smart_quotes, trailing_comma, extracted, truncated)
+ */
+
+/**
+ * Parse an LLM response as JSON, tolerating common breakage
+ * Repairs are tried one at a time, cheapest first, so valid JSON is never rewritten
+ * @param {string} response - Raw LLM response
+ * @returns {ParseResult} Parsed value and the repairs that were needed
+ */
+export function parseTolerantJson(response) {
+    const repairs = [];
+    if (typeof response !== 'string' || response.trim().length === 0) {
+        return { value: null, repairs };
+    }
+
+    const tryParse = (text) => {
+        try {
+            return { ok: true, value: JSON.parse(text) };
+        } catch (e) {
+            return { ok: false, value: null };
+        }
+    };
+
+    let text = response.trim();
+    let attempt = tryParse(text);
+    if (attempt.ok) return { value: attempt.value, repairs };
+
+    // 1. Markdown code fences (```json ... ```)
+    const fenceMatch = text.match(/```(?:json|JSON)?\s*([\s\S]*?)(?:```|$)/);
+    if (fenceMatch) {
+        text = fenceMatch[1].trim();
+        repairs.push('code_fence');
+        attempt = tryParse(text);
+        if (attempt.ok) return { value: attempt.value, repairs };
+    }
+
+    // 2. Explanatory text around the JSON - cut from the first opening bracket
+    const start = text.search(/[{[]/);
+    if (start === -1) {
+        return { value: null, repairs };
+    }
+    const fromStart = text.substring(start);
+    // Truncated output has no real closing bracket - keep everything so step 5 can close it
+    const isTruncated = closeTruncatedJson(fromStart) !== fromStart;
+    const end = isTruncated ? -1 : fromStart.lastIndexOf(fromStart[0] === '{' ? '}' : ']');
+    const extracted = end !== -1 ? fromStart.substring(0, end + 1) : fromStart;
+    if (extracted !== text) {
+        text = extracted;
+        repairs.push('extracted');
+        attempt = tryParse(text);
+        if (attempt.ok) return { value: attempt.value, repairs };
+    }
+
+    // 3. Smart quotes used as JSON delimiters
+    // Replacing them also rewrites curly quotes inside string values, so the later repairs run on the
+    // text both with and without this one - a reply that only needs its trailing comma removed still parses.
+    const variants = [{ text, repairs }];
+    if (/[“”‘’]/.test(text)) {
+        const smart = { text: text.replace(/[“”]/g, '"').replace(/[‘’]/g, "'"), repairs: [...repairs, 'smart_quotes'] };
+        attempt = tryParse(smart.text);
+        if (attempt.ok) return { value: attempt.value, repairs: smart.repairs };
+        variants.push(smart);
+    }
+
+    // 4. Trailing commas before a closing bracket
+    for (const variant of variants) {
+        if (!/,\s*[}\]]/.test(variant.text)) continue;
+        variant.text = variant.text.replace(/,(\s*[}\]])/g, '$1');
+        variant.repairs = [...variant.repairs, 'trailing_comma'];
+        attempt = tryParse(variant.text);
+        if (attempt.ok) return { value: attempt.value, repairs: variant.repairs };
+    }
+
+    // 5. Truncated output - close any open string, object or array
+    for (const variant of variants) {
+        const closed = closeTruncatedJson(variant.text);
+        if (closed === variant.text) continue;
+        variant.repairs = [...variant.repairs, 'truncated'];
+        attempt = tryParse(closed);
+        if (attempt.ok) return { value: attempt.value, repairs: variant.repairs };
+    }
+
+    const attempted = [...new Set(variants.flatMap(variant => variant.repairs))];
+    logger.log('Tolerant JSON parse failed after repairs:', attempted);
+    return { value: null, repairs: attempted };
+}
+
+/**
+ * Close unterminated strings, objects and arrays at the end of truncated JSON
+ * @param {string} text - Possibly truncated JSON text
+ * @returns {string} Text with the missing closing characters appended
+ */
+function closeTruncatedJson(text) {
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+
+    for (const char of text) {
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') inString = false;
+            continue;
+        }
+        if (char === '"') inString = true;
+        else if (char === '{') stack.push('}');
+        else if (char === '[') stack.push(']');
+        else if ((char === '}' || char === ']') && stack[stack.length - 1] === char) stack.pop();
+    }
+
+    let result = text;
+    if (escaped) result = result.slice(0, -1);
+    if (inString) result += '"';
+    // A dangling key or comma cannot be closed meaningfully - drop it
+    result = result.replace(/,\s*$/, '').replace(/,\s*"[^"]*"\s*:?\s*$/, '');
+    return result + stack.reverse().join('');
+}
+
+/**
+ * Validate a single plot object against PLOT_SCHEMA
+ * @param {any} plot - Parsed plot object
+ * @param {string} [path=''] - Field path prefix for error messages
+ * @returns {ValidationError[]} Validation errors (empty if valid)
+ */
+export function validatePlot(plot, path = '') {
+    const errors = [];
+
+    if (!plot || typeof plot !== 'object' || Array.isArray(plot)) {
+        errors.push({ field: path || 'response', code: 'not_object', message: `${path || 'Response'} must be a JSON object` });
+        return errors;
+    }
+
+    for (const [key, rule] of Object.entries(PLOT_SCHEMA)) {
+        const field = path ? `${path}.${key}` : key;
+        const value = plot[key];
+
+        if (value === undefined || value === null) {
+            if (rule.required) {
+                errors.push({ field, code: 'missing_field', message: `${field} is required` });
+            }
+            continue;
+        }
+        if (typeof value !== rule.type) {
+            errors.push({ field, code: 'wrong_type', message: `${field} must be a ${rule.type}, got ${Array.isArray(value) ? 'array' : typeof value}` });
+            continue;
+        }
+        if (rule.type === 'string' && rule.required && value.trim().length === 0) {
+            errors.push({ field, code: 'empty_field', message: `${field} must not be empty` });
+            continue;
+        }
+        if (rule.type === 'string' && value.length > rule.maxLength) {
+            errors.push({ field, code: 'too_long', message: `${field} must be at most ${rule.maxLength} characters (got ${value.length})` });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a multi-candidate response
+ * Accepts { candidates: [...] }, a bare array, or a single plot object. The response is usable when at least one candidate is valid.
+ * @param {any} parsed - Parsed JSON value
+ * @returns {{valid: boolean, errors: ValidationError[]}} Validation result
+ */
+export function validateCandidates(parsed) {
+    let list = null;
+    if (Array.isArray(parsed)) list = parsed;
+    else if (Array.isArray(parsed?.candidates)) list = parsed.candidates;
+    else if (parsed && typeof parsed === 'object' && 'plot_hook' in parsed) list = [parsed];
+
+    if (!list || list.length === 0) {
+        return {
+            valid: false,
+            errors: [{ field: 'candidates', code: 'no_candidates', message: 'candidates must be a non-empty array of plot objects' }]
+        };
+    }
+
+    const errors = [];
+    let validCount = 0;
+    list.forEach((candidate, index) => {
+        const candidateErrors = validatePlot(candidate, `candidates[${index}]`);
+        if (candidateErrors.length === 0) validCount++;
+        errors.push(...candidateErrors);
+    });
+
+    return { valid: validCount > 0, errors };
+}
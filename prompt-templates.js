@@ -0,0 +1,261 @@
+// Machinor Roundtable - Plot Prompt Templates
+import { getContext } from "../../../extensions.js";
+import { logger } from "./logger.js";
+
+/**
+ * Signature the ChatInjector recursion guard looks for in our own generation prompts
+ * @type {string}
+ */
+export const PROMPT_SIGNATURE = 'Narrative Architect';
+
+/** @type {string} */
+export const BUILTIN_TEMPLATE_ID = 'builtin-default';
+
+// Built-in plot generation prompt. Read-only; custom templates start as a copy of it.
+export const PLOT_GENERATION_PROMPT = `You are a Narrative Architect.Your goal is to analyze the story context and generate a plot hook for the next scene.
+[System Note: Output valid JSON only.Do not output any introductory text or markdown formatting outside the JSON block.]
+Based on the character information and recent conversation context provided, generate a dynamic plot hook that will drive the story forward.
+
+CHARACTER INFORMATION:
+Name: {{char}}
+Personality: {{personality}}
+Description: {{description}}
+Scenario: {{scenario}}
+
+RECENT CONVERSATION CONTEXT:
+{{recent_chat}}
+
+STORY DIRECTION:
+{{direction}}
+
+TEMPLATE GUIDANCE:
+{{guidance}}
+
+STYLE:
+{{style}}
+
+INTENSITY:
+{{intensity}}
+
+    INSTRUCTIONS:
+1. Analyze the context and character.
+2. {{hook_boldness}}
+3. Output MUST be a valid JSON object.
+
+JSON SCHEMA:
+{{output_schema}}
+`;
+
+/**
+ * Macros available to prompt templates
+ * @type {Array<{name: string, description: string}>}
+ */
+export const PROMPT_MACROS = [
+    { name: 'char', description: 'Character name' },
+    { name: 'user', description: 'User persona name' },
+    { name: 'personality', description: 'Character personality' },
+    { name: 'description', description: 'Character description' },
+    { name: 'scenario', description: 'Character scenario' },
+    { name: 'recent_chat', description: 'Recent messages as "Name: message" lines' },
+    { name: 'direction', description: 'Story direction from the sidebar' },
+    { name: 'guidance', description: 'Guidance from the selected sidebar template, or "None"' },
+    { name: 'style', description: 'Prompt fragment for the selected plot style' },
+    { name: 'intensity', description: 'Prompt fragment for the selected plot intensity' },
+    { name: 'hook_boldness', description: 'How bold the hook should be, set by intensity' },
+    { name: 'arc_context', description: 'Narrative arc type and progress (appended automatically if unused)' },
+    { name: 'world_context', description: 'World info entries (appended automatically if unused)' },
+    { name: 'output_schema', description: 'Required JSON schema (appended automatically if unused)' }
+];
+
+/**
+ * Scopes a template can be assigned to, most specific first
+ * @type {string[]}
+ */
+export const TEMPLATE_SCOPES = ['chat', 'character', 'global'];
+
+/**
+ * @typedef {Object} PromptTemplate
+ * @property {string} id - Unique template ID
+ * @property {string} name - Display name
+ * @property {string} body - Template text with {{macro}} placeholders
+ * @property {boolean} [readOnly] - True for the built-in default
+ * @property {number} [updatedAt] - Last save timestamp
+ */
+
+/**
+ * Replace every {{macro}} in a template. Unknown macros are left untouched.
+ * @param {string} body - Template text
+ * @param {Object<string, string>} values - Macro values keyed by name
+ * @returns {string} Expanded text
+ */
+export function expandMacros(body, values) {
+    return String(body ?? '').replace(/\{\{(\w+)\}\}/g, (match, name) => {
+        return Object.prototype.hasOwnProperty.call(values, name) ? String(values[name] ?? '') : match;
+    });
+}
+
+/**
+ * PromptTemplateManager - Stores user prompt templates and resolves which one applies
+ * Templates live in settings.promptTemplates; assignments in settings.promptTemplateScopes.
+ * Resolution order: chat > character > global > built-in default.
+ */
+export class PromptTemplateManager {
+    /**
+     * Get the extension settings object
+     * @returns {Object} Settings (empty object if unavailable)
+     */
+    getSettings() {
+        return window.extension_settings?.['machinor-roundtable'] || window.machinorRoundtable?.settings || {};
+    }
+
+    /**
+     * Get the built-in default template
+     * @returns {PromptTemplate} Built-in template
+     */
+    getBuiltinTemplate() {
+        return { id: BUILTIN_TEMPLATE_ID, name: 'Built-in Default', body: PLOT_GENERATION_PROMPT, readOnly: true };
+    }
+
+    /**
+     * List all templates, built-in first, then custom templates by name
+     * @returns {PromptTemplate[]} Templates
+     */
+    getTemplates() {
+        const custom = Object.values(this.getSettings().promptTemplates || {})
+            .sort((a, b) => a.name.localeCompare(b.name));
+        return [this.getBuiltinTemplate(), ...custom];
+    }
+
+    /**
+     * Look up a template by ID
+     * @param {string|null} id - Template ID
+     * @returns {PromptTemplate|null} Template or null if not found
+     */
+    getTemplate(id) {
+        if (!id) return null;
+        if (id === BUILTIN_TEMPLATE_ID) return this.getBuiltinTemplate();
+        return this.getSettings().promptTemplates?.[id] ?? null;
+    }
+
+    /**
+     * Create or update a custom template
+     * @param {{id?: string, name: string, body: string}} template - Template data (omit id to create)
+     * @returns {PromptTemplate} Saved template
+     * @throws {Error} If the template is read-only or has no name or body
+     */
+    saveTemplate({ id, name, body }) {
+        if (id === BUILTIN_TEMPLATE_ID) {
+            throw new Error('The built-in template is read-only');
+        }
+        const trimmedName = String(name ?? '').trim();
+        if (!trimmedName || !String(body ?? '').trim()) {
+            throw new Error('Template name and body are required');
+        }
+
+        const settings = this.getSettings();
+        settings.promptTemplates = settings.promptTemplates || {};
+
+        const templateId = id || `tpl_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+        const saved = { id: templateId, name: trimmedName, body, updatedAt: Date.now() };
+        settings.promptTemplates[templateId] = saved;
+        logger.log(`Saved prompt template "${trimmedName}" (${templateId})`);
+        return saved;
+    }
+
+    /**
+     * Delete a custom template and clear any scope assignments pointing at it
+     * @param {string} id - Template ID
+     * @returns {boolean} True if the template was deleted
+     */
+    deleteTemplate(id) {
+        const settings = this.getSettings();
+        if (id === BUILTIN_TEMPLATE_ID || !settings.promptTemplates?.[id]) return false;
+
+        delete settings.promptTemplates[id];
+
+        const scopes = settings.promptTemplateScopes;
+        if (scopes) {
+            if (scopes.global === id) scopes.global = null;
+            for (const map of [scopes.characters, scopes.chats]) {
+                for (const key of Object.keys(map || {})) {
+                    if (map[key] === id) delete map[key];
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Get the storage key for a scope in the current chat
+     * @param {string} scope - 'global', 'character' or 'chat'
+     * @returns {string|null} Character avatar or chat ID, 'global', or null if the scope is unavailable
+     */
+    getScopeKey(scope) {
+        if (scope === 'global') return 'global';
+
+        const context = getContext();
+        if (scope === 'chat') {
+            return context?.chatId ?? null;
+        }
+        if (scope === 'character') {
+            // Avatar filename is stable across renames; group chats have no single character
+            if (context?.groupId || context?.characterId === undefined) return null;
+            return context.characters?.[context.characterId]?.avatar ?? null;
+        }
+        return null;
+    }
+
+    /**
+     * Get the template ID assigned to a scope in the current chat
+     * @param {string} scope - 'global', 'character' or 'chat'
+     * @returns {string|null} Template ID or null if unassigned
+     */
+    getAssignment(scope) {
+        const scopes = this.getSettings().promptTemplateScopes;
+        const key = this.getScopeKey(scope);
+        if (!scopes || !key) return null;
+
+        if (scope === 'global') return scopes.global ?? null;
+        if (scope === 'character') return scopes.characters?.[key] ?? null;
+        return scopes.chats?.[key] ?? null;
+    }
+
+    /**
+     * Assign a template to a scope in the current chat
+     * @param {string} scope - 'global', 'character' or 'chat'
+     * @param {string|null} templateId - Template ID, or null to clear the assignment
+     * @returns {boolean} True if assigned, false if the scope is unavailable
+     */
+    assignTemplate(scope, templateId) {
+        const key = this.getScopeKey(scope);
+        if (!key) return false;
+
+        const settings = this.getSettings();
+        settings.promptTemplateScopes = settings.promptTemplateScopes || { global: null, characters: {}, chats: {} };
+        const scopes = settings.promptTemplateScopes;
+        scopes.characters = scopes.characters || {};
+        scopes.chats = scopes.chats || {};
+
+        if (scope === 'global') {
+            scopes.global = templateId;
+        } else {
+            const map = scope === 'character' ? scopes.characters : scopes.chats;
+            if (templateId) map[key] = templateId;
+            else delete map[key];
+        }
+        return true;
+    }
+
+    /**
+     * Resolve the template that applies to the current chat
+     * Assignments pointing at deleted templates are skipped.
+     * @returns {{template: PromptTemplate, scope: string}} Effective template and the scope it came from ('default' for the built-in)
+     */
+    resolveTemplate() {
+        for (const scope of TEMPLATE_SCOPES) {
+            const template = this.getTemplate(this.getAssignment(scope));
+            if (template) return { template, scope };
+        }
+        return { template: this.getBuiltinTemplate(), scope: 'default' };
+    }
+}
@@ -7,6 +7,38 @@ export const MIN_FREQUENCY = 1;
 export const MAX_FREQUENCY = 100;
 export const MIN_HISTORY_LIMIT = 1;
 export const MAX_HISTORY_LIMIT = 50;
+export const MIN_CANDIDATE_COUNT = 1;
+export const MAX_CANDIDATE_COUNT = 5;
+export const MIN_REPAIR_ATTEMPTS = 0;
+export const MAX_REPAIR_ATTEMPTS = 3;
+export const MIN_CONTEXT_BUDGET = 512;
+export const MAX_CONTEXT_BUDGET = 32768;
+export const DEFAULT_CONTEXT_BUDGET = 4096;
+export const MIN_BACKEND_TEMPERATURE = 0;
+export const MAX_BACKEND_TEMPERATURE = 2;
+export const MIN_BACKEND_MAX_TOKENS = 64;
+export const MAX_BACKEND_MAX_TOKENS = 4096;
+export const MIN_GENERATION_TIMEOUT = 10;
+export const MAX_GENERATION_TIMEOUT = 300;
+export const DEFAULT_GENERATION_TIMEOUT = 45;
+export const MIN_RETRY_COUNT = 0;
+export const MAX_RETRY_COUNT = 5;
+export const MIN_INJECTION_DEPTH = 0;
+export const MAX_INJECTION_DEPTH = 50;
+export const MIN_PLOT_LIFETIME = 0;
+export const MAX_PLOT_LIFETIME = 50;
+export const MIN_INJECTION_SIZE_LIMIT = 200;
+export const MAX_INJECTION_SIZE_LIMIT = 5000;
+export const DEFAULT_INJECTION_SIZE_LIMIT = 1200;
+export const MIN_ADAPTIVE_THRESHOLD = 10;
+export const MAX_ADAPTIVE_THRESHOLD = 100;
+export const DEFAULT_ADAPTIVE_THRESHOLD = 60;
+export const MIN_PHASE_AUTO_THRESHOLD = 50;
+export const MAX_PHASE_AUTO_THRESHOLD = 100;
+export const DEFAULT_PHASE_AUTO_THRESHOLD = 80;
+export const MIN_ARC_LENGTH = 10;
+export const MAX_ARC_LENGTH = 500;
+export const DEFAULT_ARC_LENGTH = 40;
 export const ALLOWED_STYLES = ['natural', 'dramatic', 'romantic', 'mysterious', 'adventure', 'comedy'];
 export const ALLOWED_INTENSITIES = ['subtle', 'moderate', 'intense'];
 
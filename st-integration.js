@@ -1,8 +1,10 @@
 // Machinor Roundtable - SillyTavern Deep Integration Module
 import { getContext } from "../../../extensions.js";
 import { eventSource, event_types, this_chid, characters, chat, isChatSaving, chat_metadata } from "../../../../script.js";
+import * as worldInfoModule from "../../../world-info.js";
 import { logger } from "./logger.js";
 import { createErrorHandler } from './security-utils.js';
+import { selectWorldInfoEntries } from './world-info-selector.js';
 
 /**
  * SillyTavern Integration Manager
@@ -10,8 +12,10 @@ import { createErrorHandler } from './security-utils.js';
  */
 export class STIntegrationManager {
     constructor() {
-        /** @type {Object|null} */
+        /** @type {Array<Object>|null} Entries of every lorebook bound to the current chat */
         this.worldInfo = null;
+        /** @type {{entries: Array<Object>, scanned: number, books: Array<{name: string, source: string}>, timestamp: number}|null} */
+        this.lastWorldSelection = null;
         /** @type {string|null} */
         this.currentWorldId = null;
         /** @type {boolean} */
@@ -82,6 +86,7 @@ export class STIntegrationManager {
         // 3. Reset State
         this.isChatReady = false;
         this.worldInfo = null;
+        this.lastWorldSelection = null;
         this.contextData = null;
         this.characterRelationships.clear();
 
@@ -274,80 +279,147 @@ export class STIntegrationManager {
     }
 
     /**
-     * Load world info from the current context
-     * @returns {Object|null} The loaded world info object or null
-     * @throws {Error} If loading fails
+     * Get the lorebooks SillyTavern would scan for the current chat
+     * Covers the global selection, character-bound books (primary and extra), the chat-bound book and the persona book.
+     * @returns {Array<{name: string, source: string}>} Unique lorebook names with the binding they came from
      */
-    loadWorldInfo() {
+    getBoundLorebooks() {
+        const books = [];
+        const add = (name, source) => {
+            if (name && typeof name === 'string' && !books.some(book => book.name === name)) {
+                books.push({ name, source });
+            }
+        };
+
         try {
             const context = getContext();
-            if (!context) return null;
 
-            this.contextData = context;
+            // Exports differ between ST versions - read them defensively
+            (worldInfoModule.selected_world_info || []).forEach(name => add(name, 'global'));
 
-            if (context.worlds && context.worldInfo) {
-                // Validate structure
-                if (typeof context.worldInfo === 'object') {
-                    this.worldInfo = context.worldInfo;
-                    this.currentWorldId = context.worldId || context.world_name;
-                } else {
-                    logger.warn('Invalid worldInfo structure');
-                    this.worldInfo = null;
-                }
-            }
+            this.getBoundCharacterRecords(context).forEach(character => {
+                add(character?.data?.extensions?.world, 'character');
+                const fileName = character?.avatar?.replace(/\.[^/.]+$/, '');
+                const charLore = worldInfoModule.world_info?.charLore?.find(entry => entry.name === fileName);
+                (charLore?.extraBooks || []).forEach(name => add(name, 'character'));
+            });
 
-            return this.worldInfo;
+            add(chat_metadata?.[worldInfoModule.METADATA_KEY ?? 'world_info'], 'chat');
+            add(context?.powerUserSettings?.persona_description_lorebook, 'persona');
         } catch (error) {
-            logger.error('Error loading world info:', error);
-            return null;
+            logger.error('Error resolving bound lorebooks:', error);
+        }
+
+        return books;
+    }
+
+    /**
+     * Get the character records whose lorebooks apply to the current chat
+     * @param {Object} context - SillyTavern context
+     * @returns {Array<Object>} Character records (group members in group chats)
+     */
+    getBoundCharacterRecords(context) {
+        if (!context?.characters) return [];
+
+        if (context.groupId) {
+            const group = context.groups?.find(g => g.id === context.groupId);
+            return (group?.members || [])
+                .map(avatar => context.characters.find(character => character.avatar === avatar))
+                .filter(Boolean);
         }
+
+        const character = context.characters[context.characterId];
+        return character ? [character] : [];
     }
 
     /**
-     * Get current world info for plot generation
-     * Returns raw active entries without rigid categorization
-     * @returns {Array<{name: string, content: string}>|null} Array of world info entries or null
+     * Load the entries of every lorebook bound to the current chat
+     * SillyTavern caches loaded lorebooks, so repeated calls are cheap.
+     * @returns {Promise<Array<Object>|null>} Entries tagged with their lorebook name, or null on failure
      */
-    getWorldInfo() {
+    async loadWorldInfo() {
         try {
-            if (!this.worldInfo) {
-                this.loadWorldInfo();
+            if (typeof worldInfoModule.loadWorldInfo !== 'function') {
+                logger.warn('World info loader unavailable in this SillyTavern version');
+                return null;
             }
 
-            if (!this.worldInfo || Object.keys(this.worldInfo).length === 0) {
-                return null;
+            const books = this.getBoundLorebooks();
+            const entries = [];
+            for (const book of books) {
+                const data = await worldInfoModule.loadWorldInfo(book.name);
+                Object.values(data?.entries || {}).forEach(entry => {
+                    entries.push({ ...entry, book: book.name });
+                });
             }
 
-            const activeEntries = [];
+            this.worldInfo = entries;
+            this.currentWorldId = books.map(book => book.name).join(', ') || null;
+            return this.worldInfo;
+        } catch (error) {
+            logger.error('Error loading world info:', error);
+            return null;
+        }
+    }
 
-            // Simply collect all active world info entries
-            Object.entries(this.worldInfo).forEach(([key, entry]) => {
-                try {
-                    if (!entry) return;
-
-                    // Handle both direct content strings and object structures
-                    // Handle both direct content strings and nested object structures from different ST versions
-                    const content = typeof entry === 'string' ? entry : (entry.content ?? entry.entry ?? '');
-                    const name = entry.name ?? key;
-
-                    if (content && typeof content === 'string' && content.length > 0) {
-                        activeEntries.push({
-                            name: name,
-                            content: content
-                        });
-                    }
-                } catch (err) {
-                    logger.warn('Error processing world info entry:', key, err);
-                }
+    /**
+     * Get the world info entries relevant to the recent chat for plot generation
+     * The selection is kept in lastWorldSelection and announced via 'world_info_selected'.
+     * @param {Array<{mes: string}>} [chatHistory=[]] - Recent chat messages to match keys against
+     * @returns {Promise<Array<import('./world-info-selector.js').SelectedWorldEntry>|null>} Selected entries or null if none apply
+     */
+    async getWorldInfo(chatHistory = []) {
+        try {
+            const entries = await this.loadWorldInfo();
+            const settings = window.extension_settings?.['machinor-roundtable'] || window.machinorRoundtable?.settings;
+
+            const { selected, scanned } = selectWorldInfoEntries(entries || [], chatHistory, {
+                scoring: settings?.worldInfoScoring ?? false,
+                caseSensitive: worldInfoModule.world_info_case_sensitive ?? false,
+                matchWholeWords: worldInfoModule.world_info_match_whole_words ?? false
             });
 
-            return activeEntries.length > 0 ? activeEntries : null;
+            this.lastWorldSelection = {
+                entries: selected,
+                scanned,
+                books: this.getBoundLorebooks(),
+                timestamp: Date.now()
+            };
+            this.emit('world_info_selected', this.lastWorldSelection);
+
+            return selected.length > 0 ? selected : null;
         } catch (error) {
             logger.error('Error in getWorldInfo:', error);
             return null;
         }
     }
 
+    /**
+     * Get a label for the model currently serving generations
+     * Used to attribute plot parsing failures to the model that produced them
+     * @returns {string} Label such as 'textgenerationwebui: mistral-7b' or 'unknown'
+     */
+    getActiveModelLabel() {
+        try {
+            const context = getContext();
+            if (!context) return 'unknown';
+
+            const api = context.mainApi ?? 'unknown';
+            let model = null;
+
+            if (api === 'openai' && typeof context.getChatCompletionModel === 'function') {
+                model = context.getChatCompletionModel();
+            } else if (context.onlineStatus && context.onlineStatus !== 'no_connection') {
+                model = context.onlineStatus;
+            }
+
+            return model ? `${api}: ${model}` : api;
+        } catch (error) {
+            logger.warn('Could not determine active model:', error);
+            return 'unknown';
+        }
+    }
+
     /**
      * Enhanced character detection for multi-character scenarios
      * @returns {Array<Object>} List of active characters
@@ -0,0 +1,83 @@
+// Machinor Roundtable - plot trigger tests (fixed frequency and adaptive scene signals)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeScene, evaluateTrigger } from '../adaptive-trigger.js';
+
+const message = (mes, is_user = false) => ({ mes, is_user });
+
+// Long, varied replies that keep introducing people and places
+const LIVELY_CHAT = [
+    message('We should leave before dawn, and I want to reach the river crossing before the patrols start their rounds.', true),
+    message('Mira folds the map carefully and gestures at Tomas, who is still loading the cart with lanterns, rope and dried apples for the journey. Beyond the gate the fog is lifting over the fields, and somewhere a dog barks twice before falling silent. She checks the straps on her satchel one more time, then nods toward the northern road where the old watchtower leans against a pale sky.'),
+    message('Ask Tomas whether the ferryman still owes him a favor, and whether the bridge is guarded this season.', true),
+    message('Tomas laughs and says Aldric the ferryman owes half the valley a favor, though he rarely pays anyone back. A rider appears on the ridge, wearing the grey cloak of the Wardens, and Selka mutters that the northern garrison must have moved early this year. The wind carries smoke from distant chimneys, and the horses stamp nervously while everyone watches the stranger descend the winding trail.'),
+    message('I wave at the rider and keep my hands where he can see them, then ask what brings a Warden this far south.', true),
+    message('The rider introduces himself as Corvin and explains that bandits raided the mill near Hollowmere two nights ago. He studies the cart, the lanterns and the rope with open suspicion, then offers to escort the group as far as the crossing if they share their supper. Overhead, geese fly toward the marshes, and the first bells of the morning ring out from the monastery beyond the orchards.')
+];
+
+// Short replies that repeat themselves in the same room
+const STALE_CHAT = Array.from({ length: 10 }, (_, i) => message(
+    i % 2 ? 'She sits in the tavern and sips her drink quietly.' : 'I wait in the tavern.',
+    i % 2 === 0
+));
+
+test('fixed mode fires every frequency turns', () => {
+    assert.equal(evaluateTrigger({ mode: 'fixed', turns: 2, frequency: 3 }).fire, false);
+    assert.equal(evaluateTrigger({ mode: 'fixed', turns: 3, frequency: 3 }).fire, true);
+    assert.equal(evaluateTrigger({ mode: 'fixed', turns: 5, frequency: 3 }).fire, true);
+});
+
+test('fixed mode with a frequency of 1 or less fires every turn', () => {
+    for (const frequency of [1, 0, -2]) {
+        assert.equal(evaluateTrigger({ mode: 'fixed', turns: 0, frequency }).fire, true, `frequency ${frequency}`);
+    }
+});
+
+test('fixed mode ignores the chat and the adaptive thresholds', () => {
+    const decision = evaluateTrigger({ mode: 'fixed', turns: 1, frequency: 4, minTurns: 0, threshold: 0, chat: STALE_CHAT });
+    assert.equal(decision.fire, false);
+    assert.equal(decision.mode, 'fixed');
+    assert.equal(decision.analysis, null);
+    assert.equal(decision.reason, '1 of 4 turns');
+});
+
+test('unknown modes fall back to fixed mode', () => {
+    assert.equal(evaluateTrigger({ mode: undefined, turns: 3, frequency: 3 }).mode, 'fixed');
+});
+
+test('a lively chat scores low and a stale one high', () => {
+    assert.ok(analyzeScene(LIVELY_CHAT).score < 0.6, `lively ${analyzeScene(LIVELY_CHAT).score}`);
+    assert.ok(analyzeScene(STALE_CHAT).score >= 0.6, `stale ${analyzeScene(STALE_CHAT).score}`);
+});
+
+test('adaptive mode fires when the score reaches the threshold', () => {
+    const decision = evaluateTrigger({ mode: 'adaptive', turns: 2, frequency: 6, minTurns: 1, threshold: 0.6, chat: STALE_CHAT });
+    assert.equal(decision.fire, true);
+    assert.equal(decision.mode, 'adaptive');
+    assert.match(decision.reason, /^Scene stagnating/);
+});
+
+test('adaptive mode holds below the threshold', () => {
+    const decision = evaluateTrigger({ mode: 'adaptive', turns: 2, frequency: 6, minTurns: 1, threshold: 0.6, chat: LIVELY_CHAT });
+    assert.equal(decision.fire, false);
+    assert.match(decision.reason, /^Score \d+% below 60%$/);
+});
+
+test('adaptive mode waits for the minimum gap, even on a stale scene', () => {
+    const decision = evaluateTrigger({ mode: 'adaptive', turns: 1, frequency: 6, minTurns: 2, threshold: 0.6, chat: STALE_CHAT });
+    assert.equal(decision.fire, false);
+    assert.match(decision.reason, /2-turn minimum/);
+});
+
+test('adaptive mode fires at the frequency, even on a lively scene', () => {
+    const decision = evaluateTrigger({ mode: 'adaptive', turns: 6, frequency: 6, minTurns: 2, threshold: 0.6, chat: LIVELY_CHAT });
+    assert.equal(decision.fire, true);
+    assert.match(decision.reason, /6-turn maximum/);
+});
+
+test('a scene break in the latest message fires the trigger', () => {
+    const chat = [...LIVELY_CHAT, message('The next morning, the group wakes to rain drumming on the canvas.')];
+    const decision = evaluateTrigger({ mode: 'adaptive', turns: 2, frequency: 6, minTurns: 1, threshold: 0.9, chat });
+    assert.equal(decision.fire, true);
+    assert.match(decision.reason, /^Scene break/);
+});
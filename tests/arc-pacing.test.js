@@ -0,0 +1,69 @@
+// Machinor Roundtable - weighted arc progress and pacing tests
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateWeightedProgress, getArcSegments, getPacingStatus, getPhaseTargets } from '../arc-pacing.js';
+
+const PHASES = [
+    { name: 'setup', weight: 20 },
+    { name: 'rising_action', weight: 50, exit: 'the heist goes wrong' },
+    { name: 'resolution', weight: 30 }
+];
+
+const arcAt = (phaseIndex, phaseTurns) => ({ template: { phases: PHASES }, phaseIndex, phaseTurns });
+
+test('splits the arc length across phases by weight', () => {
+    assert.deepEqual(getPhaseTargets(PHASES, 20), [4, 10, 6]);
+    assert.deepEqual(getPhaseTargets(PHASES, 40), [8, 20, 12]);
+});
+
+test('gives every phase at least one turn and normalises weights that do not sum to 100', () => {
+    assert.deepEqual(getPhaseTargets([{ weight: 1 }, { weight: 99 }], 10), [1, 10]);
+    assert.deepEqual(getPhaseTargets([{ weight: 1 }, { weight: 3 }], 8), [2, 6]);
+});
+
+test('progress counts completed phases in full and the current one by turns spent', () => {
+    assert.equal(calculateWeightedProgress(arcAt(0, 0), 20), 0);
+    assert.equal(calculateWeightedProgress(arcAt(1, 5), 20), 45);
+    assert.equal(calculateWeightedProgress(arcAt(2, 6), 20), 100);
+});
+
+test('the current phase stops filling at its target until the phase changes', () => {
+    assert.equal(calculateWeightedProgress(arcAt(1, 30), 20), 70);
+});
+
+test('the arc length changes progress', () => {
+    assert.equal(calculateWeightedProgress(arcAt(1, 5), 40), 33);
+});
+
+test('segments carry shares, targets, fill and state', () => {
+    assert.deepEqual(getArcSegments(arcAt(1, 5), 20), [
+        { name: 'setup', share: 20, targetTurns: 4, fill: 1, state: 'completed' },
+        { name: 'rising_action', share: 50, targetTurns: 10, fill: 0.5, state: 'current' },
+        { name: 'resolution', share: 30, targetTurns: 6, fill: 0, state: 'upcoming' }
+    ]);
+    assert.deepEqual(getArcSegments(null, 20), []);
+});
+
+test('a phase within its target is on pace', () => {
+    assert.deepEqual(getPacingStatus(arcAt(1, 15), [], 20), { state: 'on_track', phaseTurns: 15, targetTurns: 10, directive: null });
+    assert.equal(getPacingStatus(null, [], 20), null);
+});
+
+test('a phase past one and a half times its target is told to wrap up', () => {
+    const status = getPacingStatus(arcAt(1, 16), [], 20);
+    assert.equal(status.state, 'overrun');
+    assert.equal(status.directive, 'The rising action phase has run 16 turns against a target of 10. Steer toward its end: the heist goes wrong.');
+});
+
+test('a phase after a rushed one is told to slow down until it has run half its target', () => {
+    const milestones = [{ fromPhase: 'setup', toPhase: 'rising_action', turns: 1 }];
+    const status = getPacingStatus(arcAt(1, 2), milestones, 20);
+    assert.equal(status.state, 'rushed');
+    assert.equal(status.directive, 'The setup phase ended after 1 of 4 planned turns. Slow down and let the rising action phase develop before moving on.');
+    assert.equal(getPacingStatus(arcAt(1, 5), milestones, 20).state, 'on_track');
+});
+
+test('milestones without turns or for another phase are not counted as rushed', () => {
+    assert.equal(getPacingStatus(arcAt(1, 0), [{ fromPhase: 'setup', toPhase: 'rising_action' }], 20).state, 'on_track');
+    assert.equal(getPacingStatus(arcAt(2, 0), [{ fromPhase: 'setup', toPhase: 'rising_action', turns: 1 }], 20).state, 'on_track');
+});
@@ -0,0 +1,36 @@
+// Machinor Roundtable - generation type policy tests
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_GENERATION_POLICY, getGenerationPolicy, normalizeGenerationType } from '../generation-policy.js';
+
+test('only new messages inject and count as a turn by default', () => {
+    assert.deepEqual(getGenerationPolicy({}, 'normal'), { action: 'inject', countsAsTurn: true });
+    for (const type of ['swipe', 'regenerate', 'continue']) {
+        assert.deepEqual(getGenerationPolicy({}, type), { action: 'reuse', countsAsTurn: false }, type);
+    }
+    for (const type of ['impersonate', 'quiet']) {
+        assert.deepEqual(getGenerationPolicy({}, type), { action: 'skip', countsAsTurn: false }, type);
+    }
+});
+
+test('uses the defaults without settings', () => {
+    assert.deepEqual(getGenerationPolicy(undefined, 'swipe'), DEFAULT_GENERATION_POLICY.swipe);
+});
+
+test('treats unknown and missing types as new messages', () => {
+    assert.equal(normalizeGenerationType(undefined), 'normal');
+    assert.equal(normalizeGenerationType('draft'), 'normal');
+    assert.deepEqual(getGenerationPolicy({}, 'draft'), DEFAULT_GENERATION_POLICY.normal);
+});
+
+test('applies overrides field by field over the defaults', () => {
+    const settings = { generationPolicy: { swipe: { action: 'inject' }, continue: { countsAsTurn: true } } };
+    assert.deepEqual(getGenerationPolicy(settings, 'swipe'), { action: 'inject', countsAsTurn: false });
+    assert.deepEqual(getGenerationPolicy(settings, 'continue'), { action: 'reuse', countsAsTurn: true });
+    assert.deepEqual(getGenerationPolicy(settings, 'regenerate'), DEFAULT_GENERATION_POLICY.regenerate);
+});
+
+test('ignores invalid override values', () => {
+    const settings = { generationPolicy: { quiet: { action: 'shout', countsAsTurn: 'yes' } } };
+    assert.deepEqual(getGenerationPolicy(settings, 'quiet'), DEFAULT_GENERATION_POLICY.quiet);
+});
@@ -0,0 +1,41 @@
+// Machinor Roundtable - guidance wrapper template tests
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CUSTOM_GUIDANCE_PRESET, GUIDANCE_PRESETS, getGuidanceTemplate, renderGuidance } from '../guidance-format.js';
+
+test('uses the bracketed preset by default', () => {
+    assert.equal(getGuidanceTemplate({}), GUIDANCE_PRESETS.bracketed.template);
+    assert.equal(getGuidanceTemplate(undefined), GUIDANCE_PRESETS.bracketed.template);
+});
+
+test('selects each built-in preset', () => {
+    for (const [preset, { template }] of Object.entries(GUIDANCE_PRESETS)) {
+        assert.equal(getGuidanceTemplate({ guidancePreset: preset }), template, preset);
+    }
+});
+
+test('uses the custom wrapper when one is set', () => {
+    const settings = { guidancePreset: CUSTOM_GUIDANCE_PRESET, guidanceTemplate: '<<{{plot}}>>' };
+    assert.equal(getGuidanceTemplate(settings), '<<{{plot}}>>');
+});
+
+test('falls back to the default when the custom wrapper is empty or missing', () => {
+    for (const guidanceTemplate of ['', '   \n', undefined, null]) {
+        const settings = { guidancePreset: CUSTOM_GUIDANCE_PRESET, guidanceTemplate };
+        assert.equal(getGuidanceTemplate(settings), GUIDANCE_PRESETS.bracketed.template, JSON.stringify(guidanceTemplate));
+    }
+});
+
+test('falls back to the default for an unknown preset', () => {
+    assert.equal(getGuidanceTemplate({ guidancePreset: 'haiku' }), GUIDANCE_PRESETS.bracketed.template);
+});
+
+test('ignores a stored custom wrapper while a built-in preset is selected', () => {
+    assert.equal(getGuidanceTemplate({ guidancePreset: 'xml', guidanceTemplate: '<<{{plot}}>>' }), GUIDANCE_PRESETS.xml.template);
+});
+
+test('drops optional sections whose value is empty', () => {
+    const values = { label: 'Plot Directive', plot: 'A storm rolls in', tone: '', pacing: 'slow', focus: 'atmosphere', directive: null };
+    assert.equal(renderGuidance(GUIDANCE_PRESETS.bracketed.template, values),
+        '[Plot Directive: A storm rolls in | Pacing: slow | Focus: atmosphere]');
+});
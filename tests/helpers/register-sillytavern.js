@@ -0,0 +1,4 @@
+// Machinor Roundtable - test setup, loaded with node --import
+import { register } from 'node:module';
+
+register('./sillytavern-hooks.js', import.meta.url);
@@ -0,0 +1,10 @@
+// Machinor Roundtable - resolve SillyTavern's own modules to stand-ins outside of SillyTavern
+// The extension imports them by path from its install folder (public/scripts/extensions/third-party/...).
+const HOST_MODULE = /^(\.\.\/){3,4}(extensions|script|world-info)\.js$/;
+
+export async function resolve(specifier, context, nextResolve) {
+    if (HOST_MODULE.test(specifier)) {
+        return { url: new URL('./sillytavern.js', import.meta.url).href, shortCircuit: true };
+    }
+    return nextResolve(specifier, context);
+}
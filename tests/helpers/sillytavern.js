@@ -0,0 +1,22 @@
+// Machinor Roundtable - stand-ins for the SillyTavern exports the extension imports
+// Only enough to load the modules; tests set window.extension_settings or window.machinorRoundtable themselves.
+export const extension_settings = {};
+export const event_types = {};
+export const eventSource = { on() {}, removeListener() {}, emit: async () => {} };
+export const characters = [];
+export const chat = [];
+export const chat_metadata = {};
+export const this_chid = undefined;
+export const isChatSaving = false;
+
+export function getContext() {
+    return { chat, characters, chat_metadata, extension_settings };
+}
+
+export async function loadExtensionSettings() {}
+
+export async function generateQuietPrompt() {
+    return '';
+}
+
+export function saveSettingsDebounced() {}
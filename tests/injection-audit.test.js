@@ -0,0 +1,42 @@
+// Machinor Roundtable - injection audit log limit tests
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_AUDIT_ENTRIES, MAX_AUDIT_TEXT_CHARS, appendAuditEntry, createAuditEntry, trimAuditLog } from '../injection-audit.js';
+
+const injected = (length) => createAuditEntry({ outcome: 'injected', generationType: 'normal', apiFormat: 'chat', where: 'system', text: 'x'.repeat(length) });
+
+test('drops the oldest entries over the entry limit', () => {
+    let log = [];
+    for (let i = 0; i < MAX_AUDIT_ENTRIES + 5; i++) {
+        log = appendAuditEntry(log, createAuditEntry({ outcome: 'skipped', generationType: 'normal', reason: `#${i}` }));
+    }
+    assert.equal(log.length, MAX_AUDIT_ENTRIES);
+    assert.equal(log[0].reason, '#5');
+});
+
+test('keeps the text of the newest entries within the character budget', () => {
+    const size = Math.floor(MAX_AUDIT_TEXT_CHARS / 4);
+    let log = [];
+    for (let i = 0; i < 6; i++) log = appendAuditEntry(log, injected(size));
+
+    const kept = log.filter(entry => entry.text);
+    assert.equal(kept.length, 4);
+    assert.deepEqual(log.slice(-4), kept);
+    assert.ok(log.slice(0, 2).every(entry => entry.text === '' && entry.droppedChars === size));
+    assert.ok(log.reduce((sum, entry) => sum + entry.text.length, 0) <= MAX_AUDIT_TEXT_CHARS);
+});
+
+test('always keeps the newest entry text, even over the budget', () => {
+    const log = appendAuditEntry([injected(100)], injected(MAX_AUDIT_TEXT_CHARS + 1));
+    assert.equal(log[1].text.length, MAX_AUDIT_TEXT_CHARS + 1);
+    assert.equal(log[0].text, '');
+    assert.equal(log[0].droppedChars, 100);
+});
+
+test('trims logs saved before the limits without touching skipped entries', () => {
+    const skipped = createAuditEntry({ outcome: 'skipped', generationType: 'swipe', reason: 'Extension disabled' });
+    const log = trimAuditLog([injected(MAX_AUDIT_TEXT_CHARS), skipped, injected(10)]);
+    assert.equal(log[0].droppedChars, MAX_AUDIT_TEXT_CHARS);
+    assert.deepEqual(log[1], skipped);
+    assert.equal(log[2].text.length, 10);
+});
@@ -0,0 +1,127 @@
+// Machinor Roundtable - Instruct-aware text injection tests (ChatML, Llama 3, Alpaca)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectInstructFormat, KNOWN_INSTRUCT_FORMATS } from '../instruct-format.js';
+import { insertIntoText } from '../injection-placement.js';
+
+const GUIDANCE = '\n[Plot: A stranger is following them]\n';
+
+const ANCHORS = {
+    chat: [
+        { mes: 'Where are we going?', is_user: true },
+        { mes: 'North, past the ridge.', is_user: false },
+        { mes: 'Show me the map.', is_user: true }
+    ],
+    definitions: ['Mira is a curious cartographer.']
+};
+
+const SAMPLES = {
+    ChatML: {
+        prompt: '<|im_start|>system\nYou are Mira. Mira is a curious cartographer.<|im_end|>\n' +
+            '<|im_start|>user\nWhere are we going?<|im_end|>\n' +
+            '<|im_start|>assistant\nNorth, past the ridge.<|im_end|>\n' +
+            '<|im_start|>user\nShow me the map.<|im_end|>\n' +
+            '<|im_start|>assistant\n',
+        block: '<|im_start|>system\n[Plot: A stranger is following them]<|im_end|>\n',
+        // What the guidance must sit directly in front of, per placement
+        before: {
+            system_prompt: '<|im_start|>system\nYou are Mira.',
+            after_character: '<|im_start|>user\nWhere are we going?',
+            before_last_user: '<|im_start|>user\nShow me the map.',
+            depth_2: '<|im_start|>assistant\nNorth, past the ridge.',
+            depth_0: '<|im_start|>assistant\n'
+        }
+    },
+    'Llama 3 Instruct': {
+        prompt: '<|begin_of_text|><|start_header_id|>system<|end_header_id|>\n\nYou are Mira. Mira is a curious cartographer.<|eot_id|>' +
+            '<|start_header_id|>user<|end_header_id|>\n\nWhere are we going?<|eot_id|>' +
+            '<|start_header_id|>assistant<|end_header_id|>\n\nNorth, past the ridge.<|eot_id|>' +
+            '<|start_header_id|>user<|end_header_id|>\n\nShow me the map.<|eot_id|>' +
+            '<|start_header_id|>assistant<|end_header_id|>\n\n',
+        block: '<|start_header_id|>system<|end_header_id|>\n\n[Plot: A stranger is following them]<|eot_id|>',
+        before: {
+            system_prompt: '<|start_header_id|>system<|end_header_id|>\n\nYou are Mira.',
+            after_character: '<|start_header_id|>user<|end_header_id|>\n\nWhere are we going?',
+            before_last_user: '<|start_header_id|>user<|end_header_id|>\n\nShow me the map.',
+            depth_2: '<|start_header_id|>assistant<|end_header_id|>\n\nNorth, past the ridge.',
+            depth_0: '<|start_header_id|>assistant<|end_header_id|>\n\n'
+        }
+    },
+    Alpaca: {
+        prompt: '### Instruction:\nYou are Mira. Mira is a curious cartographer.\n\n' +
+            '### Input:\nWhere are we going?\n\n' +
+            '### Response:\nNorth, past the ridge.\n\n' +
+            '### Input:\nShow me the map.\n\n' +
+            '### Response:\n',
+        // No system turn: plain text at the end of an instruction or input block
+        block: '[Plot: A stranger is following them]\n\n',
+        before: {
+            system_prompt: '### Input:\nWhere are we going?',
+            after_character: '### Input:\nWhere are we going?',
+            before_last_user: '### Response:\n',
+            depth_2: '### Response:\n',
+            depth_0: '### Response:\n'
+        }
+    }
+};
+
+const PLACEMENTS = {
+    system_prompt: { position: 'system_prompt', depth: 0, role: 'system' },
+    after_character: { position: 'after_character', depth: 0, role: 'system' },
+    before_last_user: { position: 'before_last_user', depth: 0, role: 'system' },
+    depth_2: { position: 'depth', depth: 2, role: 'system' },
+    depth_0: { position: 'depth', depth: 0, role: 'system' }
+};
+
+for (const [name, sample] of Object.entries(SAMPLES)) {
+    test(`${name}: the sample prompt is detected`, () => {
+        assert.equal(detectInstructFormat(sample.prompt)?.name, name);
+    });
+
+    for (const [placementName, placement] of Object.entries(PLACEMENTS)) {
+        test(`${name}: ${placementName} round-trips`, () => {
+            const format = detectInstructFormat(sample.prompt);
+            const result = insertIntoText(sample.prompt, GUIDANCE, placement, ANCHORS, format);
+
+            assert.equal(result.text, sample.block);
+            const index = result.prompt.indexOf(sample.block);
+            assert.notEqual(index, -1);
+            const end = index + sample.block.length;
+            // Taking the guidance back out gives the original prompt
+            assert.equal(result.prompt.slice(0, index) + result.prompt.slice(end), sample.prompt);
+            assert.ok(result.prompt.slice(end).startsWith(sample.before[placementName]),
+                `expected the guidance before ${JSON.stringify(sample.before[placementName])}, got ${JSON.stringify(result.prompt.slice(end, end + 40))}`);
+            // The model still completes the assistant turn
+            assert.ok(result.prompt.endsWith(sample.prompt.slice(sample.prompt.lastIndexOf(format.outputSequence))));
+        });
+    }
+}
+
+test('Alpaca: nothing is inserted ahead of the instruction header and no user header is added', () => {
+    const { prompt } = SAMPLES.Alpaca;
+    for (const placement of Object.values(PLACEMENTS)) {
+        const result = insertIntoText(prompt, GUIDANCE, placement, ANCHORS, detectInstructFormat(prompt));
+        assert.ok(result.prompt.startsWith('### Instruction:\n'));
+        assert.equal(result.prompt.split('### Input:').length, prompt.split('### Input:').length);
+    }
+});
+
+test('Alpaca: a system prompt before the first instruction header stays first', () => {
+    const prompt = 'You are Mira. Mira is a curious cartographer.\n\n### Instruction:\nShow me the map.\n\n### Response:\n';
+    const result = insertIntoText(prompt, GUIDANCE, PLACEMENTS.system_prompt, ANCHORS, detectInstructFormat(prompt));
+    assert.equal(result.prompt, 'You are Mira. Mira is a curious cartographer.\n\n### Instruction:\nShow me the map.\n\n' +
+        '[Plot: A stranger is following them]\n\n### Response:\n');
+});
+
+test("Alpaca: SillyTavern's active Alpaca preset keeps the built-in rules", () => {
+    const instruct = { enabled: true, preset: 'Alpaca', input_sequence: '### Instruction:', output_sequence: '### Response:', system_sequence: '### Input:' };
+    const format = detectInstructFormat(SAMPLES.Alpaca.prompt, instruct);
+    assert.equal(format.systemTurns, false);
+    assert.equal(format.instructionSequence, KNOWN_INSTRUCT_FORMATS.find(known => known.name === 'Alpaca').instructionSequence);
+});
+
+test('plain prompts without a template are not wrapped', () => {
+    const prompt = 'Mira: Hello.\nYou: Show me the map.\n';
+    const result = insertIntoText(prompt, GUIDANCE, PLACEMENTS.depth_0, ANCHORS, detectInstructFormat(prompt));
+    assert.equal(result.prompt, prompt + GUIDANCE);
+});
@@ -0,0 +1,27 @@
+// Machinor Roundtable - narrative arc settings tests
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The arc modules read window at load time
+globalThis.window = {};
+const { NarrativeArcManager } = await import('../narrative-arc.js');
+const { DEFAULT_ARC_LENGTH } = await import('../security-utils.js');
+
+test('reads the arc length from the extension settings object', () => {
+    window.machinorRoundtable = { settings: { arcLength: 24 } };
+    assert.equal(new NarrativeArcManager().getArcLength(), 24);
+    delete window.machinorRoundtable;
+});
+
+test('uses the default arc length without settings', () => {
+    assert.equal(new NarrativeArcManager().getArcLength(), DEFAULT_ARC_LENGTH);
+});
+
+test('the arc length drives progress', () => {
+    window.machinorRoundtable = { settings: { arcLength: DEFAULT_ARC_LENGTH * 2 } };
+    const arcs = new NarrativeArcManager();
+    const phases = [{ name: 'setup', weight: 50 }, { name: 'resolution', weight: 50 }];
+    arcs.currentArc = { template: { phases }, phaseIndex: 0, phaseTurns: DEFAULT_ARC_LENGTH / 2 };
+    assert.equal(arcs.calculateArcProgress(), 25);
+    delete window.machinorRoundtable;
+});
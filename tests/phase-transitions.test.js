@@ -0,0 +1,75 @@
+// Machinor Roundtable - arc phase transition tests (heuristic detector and thresholds)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildProposal, getEvidenceMessages, isPhaseCheckDue, scorePhaseExit, shouldAutoApply } from '../phase-transitions.js';
+
+const PHASES = [
+    { name: 'rising_action', cues: ['ambush', 'betray', 'trap', 'chase'] },
+    { name: 'climax', cues: ['duel', 'confront'] }
+];
+
+const arcAt = (phaseIndex, phaseTurns, dismissedAtTurn = null) => ({
+    template: { phases: PHASES },
+    phaseIndex,
+    currentPhase: PHASES[phaseIndex],
+    phaseTurns,
+    dismissedAtTurn
+});
+
+const chat = (...texts) => texts.map((mes, i) => ({ mes, is_user: i % 2 === 0 }));
+
+test('a phase is checked once it has run two replies', () => {
+    assert.equal(isPhaseCheckDue(arcAt(0, 1)), false);
+    assert.equal(isPhaseCheckDue(arcAt(0, 2)), true);
+    assert.equal(isPhaseCheckDue(null), false);
+});
+
+test('a dismissed proposal waits two more replies before the next check', () => {
+    assert.equal(isPhaseCheckDue(arcAt(0, 5, 4)), false);
+    assert.equal(isPhaseCheckDue(arcAt(0, 6, 4)), true);
+});
+
+test('evidence covers the phase turns, skips system messages and stops at ten messages', () => {
+    const messages = [...chat('a', 'b', 'c', 'd'), { mes: 'note', is_system: true }];
+    assert.deepEqual(getEvidenceMessages(messages, 1).map(message => message.mes), ['c', 'd']);
+    assert.equal(getEvidenceMessages(chat(...'abcdefghijklmn'), 20).length, 10);
+    assert.deepEqual(getEvidenceMessages(undefined, 3), []);
+});
+
+test('the heuristic scores a third of full confidence per distinct cue', () => {
+    const phase = PHASES[0];
+    assert.equal(scorePhaseExit(phase, chat('They ride on in silence.')).confidence, 0);
+    assert.equal(scorePhaseExit(phase, chat('An ambush!', 'Another ambush.')).confidence, 1 / 3);
+    const evidence = scorePhaseExit(phase, chat('It was a trap.', 'They chased us into an ambush, and Rook betrayed us.'));
+    assert.equal(evidence.confidence, 1);
+    assert.equal(evidence.reason, 'The recent chat mentions "ambush", "betray", "trap"');
+});
+
+test('cues match at word starts only, case-insensitively', () => {
+    assert.equal(scorePhaseExit(PHASES[1], chat('A DUEL at dawn.')).confidence, 1 / 3);
+    assert.equal(scorePhaseExit(PHASES[1], chat('The residuel smoke lingers.')).confidence, 0);
+});
+
+test('evidence below half confidence is not proposed', () => {
+    assert.equal(buildProposal(arcAt(0, 3), { confidence: 0.4, reason: 'weak' }, 'heuristic'), null);
+    assert.equal(buildProposal(arcAt(0, 3), null, 'llm'), null);
+});
+
+test('a proposal names the next phase, or none at the end of the arc', () => {
+    assert.deepEqual(buildProposal(arcAt(0, 3), { confidence: 0.5, reason: 'ambush' }, 'heuristic'), {
+        fromPhase: 'rising_action',
+        toPhase: 'climax',
+        confidence: 0.5,
+        reason: 'ambush',
+        detector: 'heuristic'
+    });
+    assert.equal(buildProposal(arcAt(1, 3), { confidence: 1, reason: 'duel' }, 'llm').toPhase, null);
+});
+
+test('only auto mode applies a proposal, and only at the threshold', () => {
+    const proposal = { confidence: 0.75 };
+    assert.equal(shouldAutoApply(proposal, 'auto', 75), true);
+    assert.equal(shouldAutoApply(proposal, 'auto', 76), false);
+    assert.equal(shouldAutoApply(proposal, 'confirm', 0), false);
+    assert.equal(shouldAutoApply(proposal, 'off', 0), false);
+});
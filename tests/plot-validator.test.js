@@ -0,0 +1,44 @@
+// Machinor Roundtable - parseTolerantJson repair tests
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTolerantJson } from '../plot-validator.js';
+
+test('parses valid JSON without repairs', () => {
+    assert.deepEqual(parseTolerantJson('{"plot_hook":"A door creaks"}'), { value: { plot_hook: 'A door creaks' }, repairs: [] });
+});
+
+test('replaces smart quotes used as delimiters', () => {
+    const { value, repairs } = parseTolerantJson('{“plot_hook”: “A door creaks”}');
+    assert.deepEqual(value, { plot_hook: 'A door creaks' });
+    assert.deepEqual(repairs, ['smart_quotes']);
+});
+
+test('keeps curly quotes inside values when only a trailing comma needs removing', () => {
+    const { value, repairs } = parseTolerantJson('{"plot":"She said “run” now","tone":"tense",}');
+    assert.deepEqual(value, { plot: 'She said “run” now', tone: 'tense' });
+    assert.deepEqual(repairs, ['trailing_comma']);
+});
+
+test('combines smart quote and trailing comma repairs', () => {
+    const { value, repairs } = parseTolerantJson('{“plot_hook”: “A door creaks”,}');
+    assert.deepEqual(value, { plot_hook: 'A door creaks' });
+    assert.deepEqual(repairs, ['smart_quotes', 'trailing_comma']);
+});
+
+test('closes truncated output that has curly quotes in a value', () => {
+    const { value, repairs } = parseTolerantJson('{"plot_hook":"She whispers “wait');
+    assert.deepEqual(value, { plot_hook: 'She whispers “wait' });
+    assert.deepEqual(repairs, ['truncated']);
+});
+
+test('strips code fences and surrounding text', () => {
+    const { value, repairs } = parseTolerantJson('Here you go:\n```json\n{"plot_hook":"Rain"}\n```');
+    assert.deepEqual(value, { plot_hook: 'Rain' });
+    assert.deepEqual(repairs, ['code_fence']);
+});
+
+test('returns null with the attempted repairs when nothing helps', () => {
+    const { value, repairs } = parseTolerantJson('{"plot_hook": nope nope}');
+    assert.equal(value, null);
+    assert.ok(Array.isArray(repairs));
+});
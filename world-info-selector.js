@@ -0,0 +1,189 @@
+// Machinor Roundtable - World Info Relevance Selection
+import { logger } from "./logger.js";
+
+// SillyTavern selectiveLogic values for secondary keys
+const SELECTIVE_LOGIC = {
+    AND_ANY: 0,
+    NOT_ALL: 1,
+    NOT_ANY: 2,
+    AND_ALL: 3
+};
+
+// Scoring fallback limits - only a handful of the best unkeyed matches are worth the tokens
+const MAX_SCORED_ENTRIES = 5;
+const MIN_TERM_OVERLAP = 2;
+const MIN_TERM_LENGTH = 4;
+
+const STOP_WORDS = new Set([
+    'about', 'after', 'again', 'also', 'been', 'before', 'being', 'could', 'does', 'each', 'even', 'from',
+    'have', 'having', 'here', 'into', 'just', 'like', 'more', 'most', 'much', 'only', 'other', 'over',
+    'said', 'some', 'such', 'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+    'those', 'very', 'want', 'were', 'what', 'when', 'where', 'which', 'while', 'will', 'with', 'would',
+    'your', 'yours'
+]);
+
+/**
+ * @typedef {Object} SelectedWorldEntry
+ * @property {string} name - Entry title (comment, first key or UID)
+ * @property {string} content - Entry content
+ * @property {string} book - Lorebook the entry came from
+ * @property {'constant'|'key'|'score'} reason - Why the entry was selected
+ * @property {string} matched - Matched key, or the overlapping terms for scored entries
+ * @property {number} [score] - Term overlap score (scored entries only)
+ */
+
+/**
+ * @typedef {Object} SelectionOptions
+ * @property {boolean} [scoring=false] - Rank unkeyed entries by term overlap with the chat
+ * @property {boolean} [caseSensitive=false] - Default key case sensitivity (entries may override)
+ * @property {boolean} [matchWholeWords=false] - Default whole-word matching (entries may override)
+ */
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check whether a world info key matches the scanned text
+ * Keys written as /pattern/flags are treated as regular expressions, like SillyTavern does.
+ * @param {string} key - Entry key
+ * @param {string} text - Text to scan
+ * @param {{caseSensitive: boolean, matchWholeWords: boolean}} flags - Matching flags
+ * @returns {boolean} True if the key matches
+ */
+export function matchesKey(key, text, { caseSensitive, matchWholeWords }) {
+    const trimmed = String(key ?? '').trim();
+    if (!trimmed || !text) return false;
+
+    const regexMatch = trimmed.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+        try {
+            return new RegExp(regexMatch[1], regexMatch[2]).test(text);
+        } catch (error) {
+            logger.warn(`Invalid world info key regex: ${trimmed}`);
+            return false;
+        }
+    }
+
+    if (matchWholeWords && !/\s/.test(trimmed)) {
+        return new RegExp(`(?:^|\\W)${escapeRegex(trimmed)}(?:$|\\W)`, caseSensitive ? '' : 'i').test(text);
+    }
+    return caseSensitive ? text.includes(trimmed) : text.toLowerCase().includes(trimmed.toLowerCase());
+}
+
+/**
+ * Split text into distinct lowercase terms for overlap scoring
+ * @param {string} text - Text to split
+ * @returns {Set<string>} Terms of at least MIN_TERM_LENGTH characters, stop words removed
+ */
+export function extractTerms(text) {
+    const terms = new Set();
+    (String(text ?? '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || []).forEach(term => {
+        if (term.length >= MIN_TERM_LENGTH && !STOP_WORDS.has(term)) terms.add(term);
+    });
+    return terms;
+}
+
+/**
+ * Decide whether an entry's primary and secondary keys activate it
+ * @param {Object} entry - SillyTavern world info entry
+ * @param {string} text - Text to scan
+ * @param {{caseSensitive: boolean, matchWholeWords: boolean}} flags - Matching flags
+ * @returns {string|null} The matched primary key, or null if the entry does not activate
+ */
+function findKeyActivation(entry, text, flags) {
+    const primary = (entry.key || []).find(key => matchesKey(key, text, flags));
+    if (!primary) return null;
+
+    const secondary = (entry.keysecondary || []).filter(key => String(key ?? '').trim());
+    if (!entry.selective || secondary.length === 0) return primary;
+
+    const matchedCount = secondary.filter(key => matchesKey(key, text, flags)).length;
+    switch (entry.selectiveLogic ?? SELECTIVE_LOGIC.AND_ANY) {
+        case SELECTIVE_LOGIC.AND_ALL:
+            return matchedCount === secondary.length ? primary : null;
+        case SELECTIVE_LOGIC.NOT_ANY:
+            return matchedCount === 0 ? primary : null;
+        case SELECTIVE_LOGIC.NOT_ALL:
+            return matchedCount < secondary.length ? primary : null;
+        default:
+            return matchedCount > 0 ? primary : null;
+    }
+}
+
+/**
+ * Select the world info entries relevant to the recent chat
+ * Disabled entries are skipped, constant entries always apply, keyed entries need a matching key
+ * (with secondary key logic). With scoring enabled, the best unkeyed matches by term overlap are added.
+ * Result order is most relevant first: constant and keyed entries by insertion order, then scored entries.
+ * @param {Array<Object>} entries - SillyTavern world info entries, each with a `book` property
+ * @param {Array<{mes: string}>} chatHistory - Recent chat messages
+ * @param {SelectionOptions} [options={}] - Selection options
+ * @returns {{selected: SelectedWorldEntry[], scanned: number}} Selected entries and how many were considered
+ */
+export function selectWorldInfoEntries(entries, chatHistory, options = {}) {
+    const messages = (chatHistory || []).map(msg => msg.mes ?? '');
+    const activated = [];
+    const candidates = [];
+    let scanned = 0;
+
+    for (const entry of entries || []) {
+        if (!entry || entry.disable || !entry.content?.trim()) continue;
+        scanned++;
+
+        const name = entry.comment || entry.key?.[0] || `Entry ${entry.uid ?? scanned}`;
+        const base = { name, content: entry.content, book: entry.book ?? '', order: entry.order ?? 100 };
+
+        if (entry.constant) {
+            activated.push({ ...base, reason: 'constant', matched: '' });
+            continue;
+        }
+
+        // Per-entry scan depth limits how far back the keys are checked
+        const depth = Number(entry.scanDepth) > 0 ? Number(entry.scanDepth) : messages.length;
+        const text = messages.slice(-depth).join('\n');
+        const flags = {
+            caseSensitive: entry.caseSensitive ?? options.caseSensitive ?? false,
+            matchWholeWords: entry.matchWholeWords ?? options.matchWholeWords ?? false
+        };
+
+        const matched = findKeyActivation(entry, text, flags);
+        if (matched) {
+            activated.push({ ...base, reason: 'key', matched });
+        } else {
+            candidates.push({ entry, base });
+        }
+    }
+
+    // Higher order is inserted later by SillyTavern, i.e. treated as more important
+    activated.sort((a, b) => b.order - a.order);
+
+    const scored = [];
+    if (options.scoring && candidates.length > 0) {
+        const chatTerms = extractTerms(messages.join('\n'));
+        for (const { entry, base } of candidates) {
+            const entryTerms = extractTerms([...(entry.key || []), entry.comment, entry.content].join(' '));
+            const overlap = [...entryTerms].filter(term => chatTerms.has(term));
+            if (overlap.length >= MIN_TERM_OVERLAP) {
+                scored.push({
+                    ...base,
+                    reason: 'score',
+                    matched: overlap.slice(0, 5).join(', '),
+                    // Normalize so long entries do not win on size alone
+                    score: Math.round((overlap.length / Math.sqrt(entryTerms.size)) * 100) / 100
+                });
+            }
+        }
+        scored.sort((a, b) => b.score - a.score);
+        scored.splice(MAX_SCORED_ENTRIES);
+    }
+
+    const selected = [...activated, ...scored].map(({ order, ...entry }) => entry);
+    logger.log(`World info: selected ${selected.length} of ${scanned} entries (${activated.length} activated, ${scored.length} scored)`);
+    return { selected, scanned };
+}